@@ -6,9 +6,17 @@ try {
     'js/debug-logger.js',
     'js/storage-manager.js',
     'js/chat-manager.js',
+    'js/sse-decoder.js',
+    'js/json-path.js',
     'js/stream-parser.js', 
+    'js/aws-sigv4.js',
     'js/llm-providers.js',
-    'js/llm-manager.js'
+    'js/request-queue.js',
+    'js/token-estimator.js',
+    'js/usage-tracker.js',
+    'js/embedding-manager.js',
+    'js/llm-manager.js',
+    'js/browser-tools.js'
   );
   
   debugLogger.logSync('Background: importScripts completed');
@@ -22,6 +30,7 @@ try {
 // Initialize managers
 let llmManager;
 let chatManager;
+const browserTools = new BrowserTools();
 
 // Extension installation
 chrome.runtime.onInstalled.addListener(async (details) => {
@@ -188,6 +197,18 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       handleChatMessage(request, sender, sendResponse);
       return true;
       
+    case 'cancelChatMessage':
+      handleCancelChatMessage(request, sender, sendResponse);
+      return true;
+      
+    case 'captureVisibleTab':
+      handleCaptureVisibleTab(sender, sendResponse);
+      return true;
+      
+    case 'fetchImage':
+      handleFetchImage(request.url, sendResponse);
+      return true;
+      
     case 'getLLMConnections':
       handleGetConnections(sendResponse);
       return true;
@@ -200,6 +221,18 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       handleTestConnection(request.connectionData, sendResponse);
       return true;
       
+    case 'listModels':
+      handleListModels(request, sendResponse);
+      return true;
+      
+    case 'embedTexts':
+      handleEmbedTexts(request.texts, sendResponse);
+      return true;
+      
+    case 'clearEmbeddingCache':
+      handleClearEmbeddingCache(sendResponse);
+      return true;
+      
     case 'openSettings':
       handleOpenSettings(sendResponse);
       return true;
@@ -258,6 +291,49 @@ async function handleGetPageContext(tabId, sendResponse) {
   }
 }
 
+// Screenshot of the visible part of the sender's tab, for vision models
+async function handleCaptureVisibleTab(sender, sendResponse) {
+  try {
+    const dataUrl = await chrome.tabs.captureVisibleTab(sender.tab.windowId, { format: 'jpeg', quality: 90 });
+    sendResponse({ success: true, dataUrl });
+  } catch (error) {
+    debugLogger.error('Error capturing visible tab:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Fetch a page image from the background, where host permissions avoid CORS and canvas tainting
+async function handleFetchImage(url, sendResponse) {
+  try {
+    const maxImageBytes = 10 * 1024 * 1024;
+    const response = await fetch(url);
+    
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+    
+    const blob = await response.blob();
+    if (!blob.type.startsWith('image/')) {
+      throw new Error(`Not an image (${blob.type || 'unknown type'})`);
+    }
+    if (blob.size > maxImageBytes) {
+      throw new Error('Image is too large (over 10 MB)');
+    }
+    
+    // Base64-encode in chunks to stay within argument limits
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    
+    sendResponse({ success: true, dataUrl: `data:${blob.type};base64,${btoa(binary)}` });
+  } catch (error) {
+    debugLogger.error('Error fetching image:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
 // Handle chat messages with LLM
 async function handleChatMessage(request, sender, sendResponse) {
   try {
@@ -267,83 +343,168 @@ async function handleChatMessage(request, sender, sendResponse) {
     }
 
     const { message, pageContext, options = {} } = request;
+    const tabId = sender.tab.id;
     
     debugLogger.logSync('Background: Processing chat message:', message);
     
-    // Send the message and get the result
-    const result = await llmManager.sendMessage(message, pageContext, options);
-    
-    debugLogger.logSync('Background: LLM result:', result);
+    // Use the sidebar's requestId so listeners are in place before the first chunk
+    const requestId = options.requestId || llmManager.generateRequestId();
+    
+    const cleanup = () => {
+      llmManager.off('streamChunk', streamChunkHandler);
+      llmManager.off('streamEnd', streamEndHandler);
+      llmManager.off('streamError', streamErrorHandler);
+      llmManager.off('toolCall', toolCallHandler);
+      llmManager.off('toolResult', toolResultHandler);
+      llmManager.off('requestStatus', requestStatusHandler);
+      untrackTabRequest(tabId, requestId);
+    };
+    
+    // Tool steps are shown in the sidebar as they happen
+    const sendToolStep = (step) => {
+      chrome.tabs.sendMessage(tabId, { action: 'toolStep', requestId, ...step }).catch((error) => {
+        debugLogger.logSync('Background: Failed to send tool step:', error);
+      });
+    };
+    
+    const toolCallHandler = (data) => {
+      if (data.requestId === requestId) {
+        sendToolStep({
+          toolCallId: data.toolCall.id,
+          name: data.toolCall.name,
+          arguments: data.toolCall.arguments,
+          status: 'running'
+        });
+      }
+    };
+    
+    const toolResultHandler = (data) => {
+      if (data.requestId === requestId) {
+        sendToolStep({
+          toolCallId: data.toolCallId,
+          name: data.name,
+          status: data.isError ? 'error' : 'done',
+          result: data.result.length > 2000 ? data.result.substring(0, 2000) + '…' : data.result
+        });
+      }
+    };
     
-    // Set up streaming event listeners AFTER getting the requestId
-    const requestId = result.requestId;
+    // Queue position and rate limit retries, so the sidebar can explain the wait
+    const requestStatusHandler = (data) => {
+      if (data.requestId === requestId) {
+        chrome.tabs.sendMessage(tabId, { action: 'requestStatus', ...data }).catch((error) => {
+          debugLogger.logSync('Background: Failed to send request status:', error);
+        });
+      }
+    };
+    
+    const streamChunkHandler = (data) => {
+      debugLogger.logSync('Background: Stream chunk received:', data);
+      if (data.requestId === requestId) {
+        chrome.tabs.sendMessage(tabId, {
+          action: 'streamChunk',
+          requestId: data.requestId,
+          content: data.content,
+          blocks: data.blocks,
+          fullContent: data.fullContent
+        }).catch((error) => {
+          debugLogger.logSync('Background: Failed to send stream chunk:', error);
+        });
+      }
+    };
+    
+    const streamEndHandler = (data) => {
+      debugLogger.logSync('Background: Stream end received:', data);
+      if (data.requestId === requestId) {
+        chrome.tabs.sendMessage(tabId, {
+          action: 'streamEnd',
+          requestId: data.requestId,
+          fullContent: data.fullContent,
+          blocks: data.blocks,
+          usage: data.usage,
+          finishReason: data.finishReason,
+          interrupted: data.interrupted,
+          connectionId: data.connectionId,
+          connection: data.connection
+        }).catch((error) => {
+          debugLogger.logSync('Background: Failed to send stream end:', error);
+        });
+        
+        cleanup();
+      }
+    };
+    
+    let streamErrorSent = false;
+    const streamErrorHandler = (data) => {
+      debugLogger.logSync('Background: Stream error received:', data);
+      if (data.requestId === requestId) {
+        streamErrorSent = true;
+        chrome.tabs.sendMessage(tabId, {
+          action: 'streamError',
+          requestId: data.requestId,
+          error: data.error,
+          partialContent: data.partialContent,
+          blocks: data.blocks,
+          connectionId: data.connectionId,
+          connection: data.connection,
+          canContinue: data.canContinue
+        }).catch((error) => {
+          debugLogger.logSync('Background: Failed to send stream error:', error);
+        });
+        
+        cleanup();
+      }
+    };
     
     // Handle streaming responses
-    if (options.streaming !== false && result.type === 'streaming') {
+    if (options.streaming !== false) {
       debugLogger.logSync('Background: Setting up streaming listeners for requestId:', requestId);
-      
-      const streamChunkHandler = (data) => {
-        debugLogger.logSync('Background: Stream chunk received:', data);
-        if (data.requestId === requestId) {
-          chrome.tabs.sendMessage(sender.tab.id, {
-            action: 'streamChunk',
-            requestId: data.requestId,
-            content: data.content,
-            blocks: data.blocks,
-            fullContent: data.fullContent
-          }).catch((error) => {
-            debugLogger.logSync('Background: Failed to send stream chunk:', error);
-          });
-        }
-      };
-      
-      const streamEndHandler = (data) => {
-        debugLogger.logSync('Background: Stream end received:', data);
-        if (data.requestId === requestId) {
-          chrome.tabs.sendMessage(sender.tab.id, {
-            action: 'streamEnd',
-            requestId: data.requestId,
-            fullContent: data.fullContent,
-            blocks: data.blocks
-          }).catch((error) => {
-            debugLogger.logSync('Background: Failed to send stream end:', error);
-          });
-          
-          // Clean up event listeners
-          llmManager.off('streamChunk', streamChunkHandler);
-          llmManager.off('streamEnd', streamEndHandler);
-          llmManager.off('streamError', streamErrorHandler);
-        }
-      };
-      
-      const streamErrorHandler = (data) => {
-        debugLogger.logSync('Background: Stream error received:', data);
-        if (data.requestId === requestId) {
-          chrome.tabs.sendMessage(sender.tab.id, {
-            action: 'streamError',
-            requestId: data.requestId,
-            error: data.error
-          }).catch((error) => {
-            debugLogger.logSync('Background: Failed to send stream error:', error);
-          });
-          
-          // Clean up event listeners
-          llmManager.off('streamChunk', streamChunkHandler);
-          llmManager.off('streamEnd', streamEndHandler);
-          llmManager.off('streamError', streamErrorHandler);
-        }
-      };
-      
-      // Add event listeners
       llmManager.on('streamChunk', streamChunkHandler);
       llmManager.on('streamEnd', streamEndHandler);
       llmManager.on('streamError', streamErrorHandler);
     }
+    llmManager.on('toolCall', toolCallHandler);
+    llmManager.on('toolResult', toolResultHandler);
+    llmManager.on('requestStatus', requestStatusHandler);
+    trackTabRequest(tabId, requestId);
+    
+    // Built-in browser tools run in the sender's tab (used when the connection enables tool calling)
+    const chatOptions = {
+      ...options,
+      requestId,
+      tools: browserTools.getDefinitions(),
+      executeTool: (toolCall) => browserTools.execute(tabId, toolCall)
+    };
+    
+    // Send the message and get the result
+    let result;
+    try {
+      result = await llmManager.sendMessage(message, pageContext, chatOptions);
+    } catch (error) {
+      cleanup();
+      // The sidebar already shows this failure; reporting it again would handle it twice
+      if (streamErrorSent) {
+        debugLogger.logSync('Background: Request failed after its stream error was sent:', error.message);
+        sendResponse({ success: true, requestId, type: 'streaming' });
+        return;
+      }
+      throw error;
+    }
+    
+    debugLogger.logSync('Background: LLM result:', result);
+    
+    // Without streaming (turned off in settings or unsupported by the connection)
+    // the whole answer goes to the sidebar as a single stream end
+    if (result.type !== 'streaming') {
+      streamEndHandler({ ...result, fullContent: result.content });
+      cleanup();
+    }
     
     sendResponse({ 
       success: true, 
       requestId: result.requestId,
-      type: result.type
+      type: result.type,
+      connection: result.connection
     });
     
   } catch (error) {
@@ -356,6 +517,72 @@ async function handleChatMessage(request, sender, sendResponse) {
   }
 }
 
+// In-flight chat requests per tab, so they can be cancelled when the tab goes away
+const tabRequests = new Map();
+
+function trackTabRequest(tabId, requestId) {
+  if (!tabRequests.has(tabId)) {
+    tabRequests.set(tabId, new Set());
+  }
+  tabRequests.get(tabId).add(requestId);
+}
+
+function untrackTabRequest(tabId, requestId) {
+  const requests = tabRequests.get(tabId);
+  if (requests) {
+    requests.delete(requestId);
+    if (requests.size === 0) {
+      tabRequests.delete(tabId);
+    }
+  }
+}
+
+// Cancel every in-flight request started from a tab
+function cancelTabRequests(tabId) {
+  const requests = tabRequests.get(tabId);
+  if (!requests || !llmManager) return 0;
+  
+  let cancelled = 0;
+  for (const requestId of [...requests]) {
+    if (llmManager.cancelRequest(requestId)) {
+      cancelled++;
+    }
+  }
+  return cancelled;
+}
+
+// Stop a chat request (or all of the sender tab's requests when no requestId is given)
+function handleCancelChatMessage(request, sender, sendResponse) {
+  try {
+    if (!llmManager) {
+      sendResponse({ success: true, cancelled: 0 });
+      return;
+    }
+    
+    let cancelled;
+    if (request.requestId) {
+      cancelled = llmManager.cancelRequest(request.requestId) ? 1 : 0;
+    } else {
+      cancelled = sender.tab ? cancelTabRequests(sender.tab.id) : 0;
+    }
+    
+    debugLogger.logSync('Background: Cancelled requests:', cancelled);
+    sendResponse({ success: true, cancelled });
+  } catch (error) {
+    debugLogger.error('Error cancelling chat message:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Closing a tab cancels its in-flight requests
+chrome.tabs.onRemoved.addListener((tabId) => {
+  const cancelled = cancelTabRequests(tabId);
+  if (cancelled > 0) {
+    debugLogger.logSync('Background: Cancelled', cancelled, 'requests for closed tab', tabId);
+  }
+  tabRequests.delete(tabId);
+});
+
 // Get available connections
 async function handleGetConnections(sendResponse) {
   try {
@@ -410,6 +637,59 @@ async function handleTestConnection(connectionData, sendResponse) {
   }
 }
 
+// List a connection's models (cached unless refresh is set). Takes the connection
+// itself, or the id of a saved one.
+async function handleListModels(request, sendResponse) {
+  try {
+    if (!llmManager) {
+      llmManager = new LLMManager();
+      await llmManager.initialize();
+    }
+    
+    const connection = request.connectionData || await llmManager.storageManager.getConnection(request.connectionId);
+    if (!connection) {
+      throw new Error('Connection not found');
+    }
+    
+    const result = await llmManager.listModels(connection, { refresh: request.refresh === true });
+    sendResponse({ success: true, ...result });
+  } catch (error) {
+    debugLogger.error('Error listing models:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Embed texts with the embedding connection from settings (vectors are cached)
+async function handleEmbedTexts(texts, sendResponse) {
+  try {
+    if (!llmManager) {
+      llmManager = new LLMManager();
+      await llmManager.initialize();
+    }
+    
+    const result = await llmManager.embeddingManager.embed(texts);
+    sendResponse({ success: true, ...result });
+  } catch (error) {
+    debugLogger.error('Error embedding texts:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+async function handleClearEmbeddingCache(sendResponse) {
+  try {
+    if (!llmManager) {
+      llmManager = new LLMManager();
+      await llmManager.initialize();
+    }
+    
+    await llmManager.embeddingManager.clearCache();
+    sendResponse({ success: true });
+  } catch (error) {
+    debugLogger.error('Error clearing embedding cache:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
 // Open settings page
 async function handleOpenSettings(sendResponse) {
   try {
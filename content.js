@@ -43,6 +43,29 @@
   let floatingSize = { width: 400, height: 600 };
   let preservedSelections = []; // Array to store multiple selections
   let selectionCounter = 0;
+  let attachedImages = []; // Screenshots and page images for the next message
+  let imageCounter = 0;
+  let isPickingImage = false;
+
+  // Context window of the active connection, for the context meter and page extraction
+  const tokenEstimator = new TokenEstimator();
+  let contextLimits = { contextWindow: 4096, responseReserve: 1024 };
+  let showThinkingBlocks = true;
+
+  chrome.storage.local.get('llamb-settings', (result) => {
+    const settings = result['llamb-settings'] || {};
+    contextLimits = getContextLimits(settings);
+    showThinkingBlocks = settings.globalSettings?.showThinkingBlocks !== false;
+  });
+
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes['llamb-settings']) {
+      const settings = changes['llamb-settings'].newValue || {};
+      contextLimits = getContextLimits(settings);
+      showThinkingBlocks = settings.globalSettings?.showThinkingBlocks !== false;
+      updateContextMeter();
+    }
+  });
   
   // Chat management
   let chatManager = null;
@@ -255,6 +278,7 @@
         // Restore visibility and mode
         isVisible = true;
         updateSidebarDisplay();
+        updateContextMeter();
         
         // Restore chat if specified
         if (stateChatId && chatManager) {
@@ -324,12 +348,13 @@
         
         // Add all messages from chat history
         chat.messages.forEach(message => {
-          addMessageToUI(message.role, message.content, message.sourceUrl);
+          addMessageToUI(message.role, message.content, message.sourceUrl, message);
         });
         
         // Scroll to bottom
         messagesContainer.scrollTop = messagesContainer.scrollHeight;
       }
+      updateContextMeter();
       
       // Hide suggested actions if there are messages
       const suggestedActions = document.getElementById('llamb-suggested-actions');
@@ -361,7 +386,7 @@
   }
 
   // Add message to UI
-  function addMessageToUI(role, content, sourceUrl = null) {
+  function addMessageToUI(role, content, sourceUrl = null, metadata = {}) {
     const messagesContainer = document.getElementById('llamb-messages');
     if (!messagesContainer) return;
     
@@ -377,14 +402,45 @@
       </div>
       <div class="llamb-message-bubble ${bubbleClass}">
         <div class="llamb-message-content">${role === 'user' ? renderMarkdown(content) : content}</div>
+        ${metadata.images && metadata.images.length > 0 ? `<div class="llamb-message-attachments"><small>📎 ${metadata.images.map(name => escapeHtml(name)).join(', ')}</small></div>` : ''}
+        ${metadata.interrupted ? getInterruptedNoteHtml() : ''}
+        ${role === 'assistant' && metadata.connection ? getConnectionNoteHtml(metadata.connection, metadata.usage) : ''}
         ${sourceUrl ? `<div class="llamb-message-source"><small>Source: ${sourceUrl}</small></div>` : ''}
       </div>
     `;
     
+    if (metadata.toolSteps) {
+      renderToolSteps(messageDiv.querySelector('.llamb-message-bubble'), metadata.toolSteps);
+    }
+
+    if (role === 'assistant' && metadata.structuredOutput) {
+      const contentDiv = messageDiv.querySelector('.llamb-message-content');
+      contentDiv.innerHTML = '';
+      renderStructuredOutput(contentDiv, content, metadata.structuredOutput);
+    }
+    
     messagesContainer.appendChild(messageDiv);
     messagesContainer.scrollTop = messagesContainer.scrollHeight;
   }
 
+  // Note shown under a response that was stopped before it finished
+  function getInterruptedNoteHtml() {
+    return '<div class="llamb-message-interrupted"><small>⏹ Generation stopped</small></div>';
+  }
+
+  // Which connection answered (it can differ from the active one after a failover) and the tokens it used
+  function getConnectionNoteHtml(connectionName, usage = null) {
+    let usageText = '';
+    if (usage) {
+      const approx = usage.estimated ? '~' : '';
+      usageText = ` · ${approx}${tokenEstimator.format(usage.promptTokens)} in / ${approx}${tokenEstimator.format(usage.completionTokens)} out`;
+      if (usage.cost) {
+        usageText += ` · $${usage.cost < 0.01 ? usage.cost.toFixed(4) : usage.cost.toFixed(2)}`;
+      }
+    }
+    return `<div class="llamb-message-connection"><small>via ${escapeHtml(connectionName)}${usageText}</small></div>`;
+  }
+
   // History dropdown management
   let cachedChatHistory = [];
 
@@ -818,7 +874,7 @@
             
             // Add all messages from chat history
             response.chat.messages.forEach(message => {
-              addMessageToUI(message.role, message.content, message.sourceUrl);
+              addMessageToUI(message.role, message.content, message.sourceUrl, message);
             });
             
             // Scroll to bottom
@@ -905,6 +961,7 @@
       
       // Clear messages UI
       clearChat();
+      updateContextMeter();
       
       // Save state
       saveSidebarState();
@@ -1131,6 +1188,7 @@
       const cacheExpiry = 5 * 60 * 1000; // 5 minutes
       
       if (pageContentCache.url === currentUrl && 
+          pageContentCache.maxTokens === contextLimits.contextWindow &&
           pageContentCache.content &&
           pageContentCache.timestamp &&
           (Date.now() - pageContentCache.timestamp) < cacheExpiry) {
@@ -1147,6 +1205,7 @@
         pageContentCache = {
           url: currentUrl,
           content: truncatedContent,
+          maxTokens: contextLimits.contextWindow,
           timestamp: Date.now()
         };
         
@@ -1221,17 +1280,18 @@
         // Remove excessive spaces
         .replace(/ {2,}/g, ' ');
 
-      // Limit content size (approximately 5000 words)
-      const maxWords = 5000;
-      const words = markdown.split(/\s+/);
-      if (words.length > maxWords) {
-        markdown = words.slice(0, maxWords).join(' ') + '\n\n[Content truncated due to length]';
+      // More than a whole context window can never be sent; LLMManager trims
+      // the rest to whatever space the request leaves for the page
+      const maxTokens = contextLimits.contextWindow;
+      if (tokenEstimator.estimate(markdown) > maxTokens) {
+        markdown = tokenEstimator.truncate(markdown, maxTokens) + '\n\n[Content truncated due to length]';
       }
 
       // Cache the result
       pageContentCache = {
         url: currentUrl,
         content: markdown,
+        maxTokens,
         timestamp: Date.now()
       };
 
@@ -1380,6 +1440,101 @@
     
     // Update plugin chips
     updatePluginChips();
+
+    // Update image chips
+    updateImageChips();
+
+    updateContextMeter();
+  }
+
+  // Context window and response reserve of the active connection (mirrors LLMManager.fitToContextWindow)
+  function getContextLimits(settings) {
+    const connection = (settings.connections || []).find(conn => conn.id === settings.activeConnectionId);
+    const contextWindow = connection?.features?.contextWindow || 4096;
+    const maxTokens = settings.globalSettings?.maxTokens || 4000;
+    return { contextWindow, responseReserve: Math.min(maxTokens, Math.floor(contextWindow / 4)) };
+  }
+
+  // Recount the context meter shortly after the chips, history or input change
+  let contextMeterTimeout = null;
+  function updateContextMeter() {
+    clearTimeout(contextMeterTimeout);
+    contextMeterTimeout = setTimeout(() => {
+      renderContextMeter().catch(error => debugError('LlamB: Error updating context meter:', error));
+    }, 300);
+  }
+
+  // Show how much of the connection's context each chip, and the whole request, will use
+  async function renderContextMeter() {
+    const meter = document.getElementById('llamb-context-meter');
+    const chipsContainer = document.getElementById('llamb-context-chips');
+    if (!meter || !chipsContainer || !isVisible) return;
+
+    const available = contextLimits.contextWindow - contextLimits.responseReserve;
+    const percentOf = (tokens) => {
+      const percent = tokens / available * 100;
+      return percent > 0 && percent < 1 ? '<1%' : `${Math.round(percent)}%`;
+    };
+    const setChipTokens = (chip, tokens) => {
+      let badge = chip.querySelector('.llamb-chip-tokens');
+      if (tokens === null) {
+        if (badge) badge.remove();
+        return;
+      }
+      if (!badge) {
+        badge = document.createElement('span');
+        badge.className = 'llamb-chip-tokens';
+        chip.querySelector('.llamb-chip-text').insertAdjacentElement('afterend', badge);
+      }
+      badge.textContent = percentOf(tokens);
+      badge.title = `~${tokenEstimator.format(tokens)} tokens of the ${tokenEstimator.format(available)} available`;
+    };
+
+    let total = 0;
+
+    const pageChip = chipsContainer.querySelector('.llamb-chip-page');
+    if (pageChip) {
+      const tokens = tokenEstimator.estimate(extractPageContent());
+      setChipTokens(pageChip, tokens);
+      total += tokens;
+    }
+
+    chipsContainer.querySelectorAll('.llamb-chip-selection').forEach(chip => {
+      const selection = preservedSelections.find(sel => String(sel.id) === chip.dataset.selectionId);
+      const tokens = tokenEstimator.estimate(selection?.text);
+      setChipTokens(chip, tokens);
+      total += tokens;
+    });
+
+    // Only active plugin chips are sent
+    for (const chip of chipsContainer.querySelectorAll('.llamb-chip-plugin')) {
+      if (!pluginManager || !chip.classList.contains('llamb-chip-active')) {
+        setChipTokens(chip, null);
+        continue;
+      }
+      const tokens = tokenEstimator.estimate(await pluginManager.getPluginContent(chip.dataset.pluginId));
+      setChipTokens(chip, tokens);
+      total += tokens;
+    }
+
+    chipsContainer.querySelectorAll('.llamb-chip-image').forEach(chip => {
+      setChipTokens(chip, tokenEstimator.imageTokens);
+      total += tokenEstimator.imageTokens;
+    });
+
+    const historyTokens = tokenEstimator.estimateMessages(getConversationHistory());
+    const inputTokens = tokenEstimator.estimate(document.getElementById('llamb-chat-input')?.value);
+    total += historyTokens + inputTokens;
+
+    const percent = Math.round(total / available * 100);
+    meter.querySelector('.llamb-context-meter-fill').style.width = `${Math.min(percent, 100)}%`;
+    meter.querySelector('.llamb-context-meter-label').textContent =
+      `~${tokenEstimator.format(total)} / ${tokenEstimator.format(available)} tokens`;
+    meter.classList.toggle('llamb-context-meter-warning', percent >= 80 && percent <= 100);
+    meter.classList.toggle('llamb-context-meter-over', percent > 100);
+    meter.title = percent > 100
+      ? 'More than fits in the context window: older messages and page content will be trimmed before sending'
+      : `Conversation history: ~${tokenEstimator.format(historyTokens)} tokens. ${contextLimits.responseReserve} tokens are kept free for the answer.`;
   }
 
   // Create selection chip element
@@ -1414,6 +1569,207 @@
     return chip;
   }
 
+  // Image attachments for vision models
+  function updateImageChips() {
+    const chipsContainer = document.getElementById('llamb-context-chips');
+    if (!chipsContainer) return;
+
+    chipsContainer.querySelectorAll('.llamb-chip-image').forEach(chip => chip.remove());
+    attachedImages.forEach(image => {
+      chipsContainer.appendChild(createImageChip(image));
+    });
+    updateContextMeter();
+  }
+
+  // Create image chip element with a thumbnail
+  function createImageChip(image) {
+    const chip = document.createElement('div');
+    chip.className = 'llamb-chip llamb-chip-image';
+    chip.dataset.imageId = image.id;
+    chip.title = image.name;
+    chip.innerHTML = `
+      <img class="llamb-chip-thumbnail" src="${image.dataUrl}" alt="">
+      <span class="llamb-chip-text">${escapeHtml(truncateText(image.name, 24))}</span>
+      <button class="llamb-chip-close" aria-label="Remove image">×</button>
+    `;
+
+    chip.querySelector('.llamb-chip-close').addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      removeImage(image.id);
+    });
+
+    return chip;
+  }
+
+  function removeImage(imageId) {
+    attachedImages = attachedImages.filter(image => image.id !== imageId);
+    updateImageChips();
+  }
+
+  async function attachImage(dataUrl, name) {
+    const image = await prepareImage(dataUrl);
+    attachedImages.push({
+      id: `image-${++imageCounter}`,
+      name,
+      ...image
+    });
+    updateImageChips();
+  }
+
+  // Vision APIs take JPEG, PNG, GIF and WebP up to roughly 1568px;
+  // other formats and larger images are re-encoded through a canvas
+  function prepareImage(dataUrl) {
+    const supportedTypes = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+    const maxDimension = 1568;
+
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => {
+        const mediaType = splitDataUrl(dataUrl).mediaType;
+        const width = img.naturalWidth || 1024;
+        const height = img.naturalHeight || 1024;
+        const scale = Math.min(1, maxDimension / Math.max(width, height));
+
+        if (supportedTypes.includes(mediaType) && scale === 1) {
+          resolve(splitDataUrl(dataUrl));
+          return;
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(width * scale));
+        canvas.height = Math.max(1, Math.round(height * scale));
+        canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+
+        const outputType = mediaType === 'image/jpeg' ? 'image/jpeg' : 'image/png';
+        resolve(splitDataUrl(canvas.toDataURL(outputType, 0.9)));
+      };
+      img.onerror = () => reject(new Error('Could not load image'));
+      img.src = dataUrl;
+    });
+  }
+
+  function splitDataUrl(dataUrl) {
+    const commaIndex = dataUrl.indexOf(',');
+    const header = dataUrl.substring(5, commaIndex);
+    return {
+      mediaType: header.split(';')[0],
+      data: dataUrl.substring(commaIndex + 1),
+      dataUrl
+    };
+  }
+
+  // Screenshot of the visible tab, taken with the sidebar hidden
+  async function captureScreenshot() {
+    const sidebarElement = document.getElementById('llamb-chat-sidebar');
+    const previousVisibility = sidebarElement ? sidebarElement.style.visibility : '';
+
+    try {
+      let response;
+      try {
+        if (sidebarElement) {
+          sidebarElement.style.visibility = 'hidden';
+          // Give the page a moment to repaint without the sidebar
+          await new Promise(resolve => setTimeout(resolve, 100));
+        }
+        response = await chrome.runtime.sendMessage({ action: 'captureVisibleTab' });
+      } finally {
+        if (sidebarElement) {
+          sidebarElement.style.visibility = previousVisibility;
+        }
+      }
+
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Screenshot failed');
+      }
+      await attachImage(response.dataUrl, `Screenshot: ${document.title || window.location.hostname}`);
+    } catch (error) {
+      debugError('LlamB: Error capturing screenshot:', error);
+      alert('Failed to capture screenshot: ' + error.message);
+    }
+  }
+
+  // Let the user click an image on the page to attach it; Escape cancels
+  let pickerHighlight = null;
+
+  function startImagePicker() {
+    isPickingImage = true;
+    document.body.setAttribute('data-llamb-picking-image', 'true');
+    document.getElementById('llamb-pick-image-btn')?.classList.add('llamb-input-tool-active');
+    document.addEventListener('mouseover', handlePickerHover, true);
+    document.addEventListener('click', handlePickerClick, true);
+    document.addEventListener('keydown', handlePickerKeydown, true);
+  }
+
+  function stopImagePicker() {
+    isPickingImage = false;
+    document.body.removeAttribute('data-llamb-picking-image');
+    document.getElementById('llamb-pick-image-btn')?.classList.remove('llamb-input-tool-active');
+    document.removeEventListener('mouseover', handlePickerHover, true);
+    document.removeEventListener('click', handlePickerClick, true);
+    document.removeEventListener('keydown', handlePickerKeydown, true);
+    setPickerHighlight(null);
+  }
+
+  function setPickerHighlight(img) {
+    if (pickerHighlight) {
+      pickerHighlight.removeAttribute('data-llamb-pick-highlight');
+    }
+    pickerHighlight = img;
+    if (img) {
+      img.setAttribute('data-llamb-pick-highlight', 'true');
+    }
+  }
+
+  function handlePickerHover(e) {
+    const img = e.target.closest && e.target.closest('img');
+    setPickerHighlight(img && !img.closest('#llamb-chat-sidebar') ? img : null);
+  }
+
+  function handlePickerClick(e) {
+    // Clicks inside the sidebar (including the picker button) behave normally
+    if (e.target.closest && e.target.closest('#llamb-chat-sidebar')) return;
+
+    e.preventDefault();
+    e.stopPropagation();
+
+    const img = e.target.closest && e.target.closest('img');
+    stopImagePicker();
+    if (img) {
+      attachPageImage(img);
+    }
+  }
+
+  function handlePickerKeydown(e) {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      stopImagePicker();
+    }
+  }
+
+  async function attachPageImage(img) {
+    const src = img.currentSrc || img.src;
+    if (!src) return;
+
+    try {
+      let dataUrl = src;
+      if (!src.startsWith('data:')) {
+        // The background fetches the bytes, avoiding CORS and tainted canvases
+        const response = await chrome.runtime.sendMessage({ action: 'fetchImage', url: src });
+        if (!response || !response.success) {
+          throw new Error(response?.error || 'Could not fetch image');
+        }
+        dataUrl = response.dataUrl;
+      }
+
+      const fileName = src.startsWith('data:') ? 'image' : decodeURIComponent(new URL(src).pathname.split('/').pop() || 'image');
+      await attachImage(dataUrl, img.alt || img.title || fileName);
+    } catch (error) {
+      debugError('LlamB: Error attaching page image:', error);
+      alert('Failed to attach image: ' + error.message);
+    }
+  }
+
   // Plugin context chip management
   function updatePluginChips() {
     if (!pluginManager) return;
@@ -1504,6 +1860,7 @@
         plugin.contextChip.isActive = !isActive;
       }
     }
+    updateContextMeter();
   }
 
   // Add plugin context chip (called by plugins)
@@ -1631,7 +1988,15 @@
             </div>
             <button class="llamb-clear-all-btn" id="llamb-clear-all" style="display: none;">Clear All Selections</button>
           </div>
+          <div class="llamb-context-meter" id="llamb-context-meter">
+            <div class="llamb-context-meter-bar"><div class="llamb-context-meter-fill"></div></div>
+            <span class="llamb-context-meter-label"></span>
+          </div>
           <div class="llamb-input-wrapper">
+            <div class="llamb-input-tools">
+              <button id="llamb-screenshot-btn" class="llamb-input-tool-btn" title="Attach a screenshot of the visible page">📷</button>
+              <button id="llamb-pick-image-btn" class="llamb-input-tool-btn" title="Attach an image from the page">🖼️</button>
+            </div>
             <textarea 
               id="llamb-chat-input" 
               placeholder="Ask me anything..."
@@ -1708,6 +2073,9 @@
     
     // Update sidebar based on current mode
     updateSidebarDisplay();
+    if (isVisible) {
+      updateContextMeter();
+    }
     
     // Save sidebar state
     saveSidebarState();
@@ -1984,11 +2352,20 @@
       });
     }
 
-    sendBtn.addEventListener('click', sendMessage);
+    // The send button doubles as a stop button while a response is streaming
+    sendBtn.addEventListener('click', () => {
+      if (activeRequestId) {
+        stopGeneration();
+      } else {
+        sendMessage();
+      }
+    });
     chatInput.addEventListener('keypress', (e) => {
       if (e.key === 'Enter' && !e.shiftKey) {
         e.preventDefault();
-        sendMessage();
+        if (!activeRequestId) {
+          sendMessage();
+        }
       }
     });
 
@@ -2008,8 +2385,32 @@
     chatInput.addEventListener('input', () => {
       chatInput.style.height = 'auto';
       chatInput.style.height = Math.min(chatInput.scrollHeight, 100) + 'px';
+      updateContextMeter();
     });
 
+    // Image attachment buttons
+    const screenshotBtn = document.getElementById('llamb-screenshot-btn');
+    if (screenshotBtn) {
+      screenshotBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        captureScreenshot();
+      });
+    }
+
+    const pickImageBtn = document.getElementById('llamb-pick-image-btn');
+    if (pickImageBtn) {
+      pickImageBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        if (isPickingImage) {
+          stopImagePicker();
+        } else {
+          startImagePicker();
+        }
+      });
+    }
+
     // Clear all selections button
     const clearAllBtn = document.getElementById('llamb-clear-all');
     if (clearAllBtn) {
@@ -2346,8 +2747,9 @@
     sendMessage();
   }
 
-  // Send message function
-  async function sendMessage() {
+  // Send message function. Quick actions with a JSON schema pass it as outputSchema
+  // ({ name, schema }) to get structured data back.
+  async function sendMessage({ outputSchema = null } = {}) {
     debugLog('LlamB: sendMessage called');
     const chatInput = document.getElementById('llamb-chat-input');
     const messagesContainer = document.getElementById('llamb-messages');
@@ -2386,17 +2788,25 @@
       }
     }
 
+    // Prior turns are sent along so follow-up questions keep their meaning
+    const conversationHistory = getConversationHistory();
+
+    // Attached images go with this message only
+    const images = attachedImages.map(({ name, mediaType, data }) => ({ name, mediaType, data }));
+    const userMetadata = images.length > 0 ? { images: images.map(image => image.name) } : null;
+
     // Add user message to chat
     if (currentChat) {
       if (chatManager) {
-        await chatManager.addMessage(currentChat, 'user', message, pageContext);
+        await chatManager.addMessage(currentChat, 'user', message, pageContext, userMetadata);
       } else {
         // Fallback: add message directly to chat object
         currentChat.messages.push({
           role: 'user',
           content: message,
           timestamp: new Date().toISOString(),
-          sourceUrl: pageContext.url
+          sourceUrl: pageContext.url,
+          ...(userMetadata || {})
         });
         // Try to save directly to storage
         try {
@@ -2417,7 +2827,7 @@
     }
 
     // Add user message to UI
-    addMessageToUI('user', message, pageContext.url);
+    addMessageToUI('user', message, pageContext.url, userMetadata || {});
 
     // Clear input
     chatInput.value = '';
@@ -2432,12 +2842,33 @@
     // Scroll to bottom
     messagesContainer.scrollTop = messagesContainer.scrollHeight;
 
+    // The requestId is chosen here so the placeholder exists before the first chunk arrives
+    const requestId = 'req-' + Date.now().toString(36) + Math.random().toString(36).substr(2);
+
+    // Create assistant message placeholder for streaming
+    const assistantMessageDiv = document.createElement('div');
+    assistantMessageDiv.className = 'llamb-message-container llamb-assistant-container';
+    assistantMessageDiv.dataset.requestId = requestId;
+    assistantMessageDiv.innerHTML = `
+      <div class="llamb-message-avatar">
+        <div class="llamb-avatar llamb-assistant-avatar">AI</div>
+      </div>
+      <div class="llamb-message-bubble llamb-assistant-bubble">
+        <div class="llamb-message-content llamb-message-streaming"></div>
+      </div>
+    `;
+    messagesContainer.appendChild(assistantMessageDiv);
+    messagesContainer.scrollTop = messagesContainer.scrollHeight;
+
+    setStreamingState(requestId);
+
     try {
       debugLog('LlamB: Sending message:', message);
       
       // Get page context
       const pageContext = await getPageContext();
       debugLog('LlamB: Page context:', pageContext);
+      requestInputs.set(requestId, { message, pageContext, conversationHistory, images, outputSchema });
       
       // Send to background script for LLM processing
       debugLog('LlamB: Sending to background...');
@@ -2447,7 +2878,11 @@
         pageContext: pageContext,
         options: {
           streaming: true,
-          includeContext: true
+          includeContext: true,
+          conversationHistory,
+          images,
+          requestId,
+          outputSchema
         }
       });
 
@@ -2459,26 +2894,20 @@
 
       debugLog('LlamB: Message sent, requestId:', response.requestId);
 
-      // Create assistant message placeholder for streaming
-      const assistantMessageDiv = document.createElement('div');
-      assistantMessageDiv.className = 'llamb-message-container llamb-assistant-container';
-      assistantMessageDiv.dataset.requestId = response.requestId;
-      assistantMessageDiv.innerHTML = `
-        <div class="llamb-message-avatar">
-          <div class="llamb-avatar llamb-assistant-avatar">AI</div>
-        </div>
-        <div class="llamb-message-bubble llamb-assistant-bubble">
-          <div class="llamb-message-content llamb-message-streaming"></div>
-        </div>
-      `;
-      messagesContainer.appendChild(assistantMessageDiv);
-      messagesContainer.scrollTop = messagesContainer.scrollHeight;
+      // Images were sent, clear them (they stay attached if sending failed)
+      if (images.length > 0) {
+        attachedImages = [];
+        updateImageChips();
+      }
 
     } catch (error) {
       debugError('LlamB: Error sending message:', error);
+      requestInputs.delete(requestId);
       
       // Show error message
+      clearRequestStatus(assistantMessageDiv);
       const contentDiv = assistantMessageDiv.querySelector('.llamb-message-content');
+      contentDiv.classList.remove('llamb-message-streaming');
       contentDiv.innerHTML = `
         <div class="llamb-error-message">
           ❌ Error: ${escapeHtml(error.message)}
@@ -2488,17 +2917,126 @@
       `;
       
       // Re-enable input
-      chatInput.disabled = false;
-      sendBtn.disabled = false;
+      setStreamingState(null);
       chatInput.focus();
     }
   }
 
+  // Request currently streaming into the sidebar, if any
+  let activeRequestId = null;
+
+  // Swap the send button for a stop button while a request is active
+  function setStreamingState(requestId) {
+    activeRequestId = requestId;
+
+    const chatInput = document.getElementById('llamb-chat-input');
+    const sendBtn = document.getElementById('llamb-send-btn');
+    if (!chatInput || !sendBtn) return;
+
+    chatInput.disabled = !!requestId;
+    sendBtn.disabled = false;
+    sendBtn.classList.toggle('llamb-stop-mode', !!requestId);
+    sendBtn.title = requestId ? 'Stop generating' : '';
+    sendBtn.innerHTML = requestId
+      ? `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="currentColor" class="llamb-send-icon">
+          <rect x="6" y="6" width="12" height="12" rx="2" />
+        </svg>`
+      : `<svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor" class="llamb-send-icon">
+          <path stroke-linecap="round" stroke-linejoin="round" d="M4.5 10.5 12 3m0 0 7.5 7.5M12 3v18" />
+        </svg>`;
+  }
+
+  // Ask the background to cancel the active request; the partial answer arrives as an interrupted streamEnd
+  async function stopGeneration() {
+    if (!activeRequestId) return;
+
+    const requestId = activeRequestId;
+    const sendBtn = document.getElementById('llamb-send-btn');
+    if (sendBtn) sendBtn.disabled = true;
+
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'cancelChatMessage', requestId });
+      debugLog('LlamB: Cancel response:', response);
+
+      // Nothing was cancelled yet (request still starting up), allow another try
+      if (!response?.cancelled && activeRequestId === requestId && sendBtn) {
+        sendBtn.disabled = false;
+      }
+    } catch (error) {
+      debugError('LlamB: Error cancelling request:', error);
+      if (sendBtn) sendBtn.disabled = false;
+    }
+  }
+
+  // Collect the previous turns of the current chat for the LLM
+  function getConversationHistory() {
+    if (!currentChat || !Array.isArray(currentChat.messages)) {
+      return [];
+    }
+    
+    return currentChat.messages
+      .filter(message => (message.role === 'user' || message.role === 'assistant') && message.content)
+      .map(message => ({
+        role: message.role,
+        content: message.content
+      }));
+  }
+
+  // Thinking/reasoning blocks received so far, per streaming request
+  const streamBlocks = new Map();
+
+  // Blocks from a failed attempt that a continued request starts with
+  const carriedBlocks = new Map();
+
+  // What was sent for each active request, kept so a failed answer can be continued elsewhere
+  const requestInputs = new Map();
+
+  // Text already shown before a request took over a failed answer
+  const streamPrefixes = new Map();
+
+  // Show why a request is waiting (connection busy, rate limited, retrying)
+  function handleRequestStatus(data) {
+    const assistantMessage = document.querySelector(`[data-request-id="${data.requestId}"]`);
+    if (!assistantMessage) return;
+
+    // The budget warning stays with the message
+    if (data.status === 'budgetWarning') {
+      assistantMessage.querySelector('.llamb-message-content').insertAdjacentHTML('afterend',
+        `<div class="llamb-message-budget-warning"><small>⚠️ ${escapeHtml(data.message)}</small></div>`);
+      return;
+    }
+
+    let text;
+    if (data.status === 'queued') {
+      text = `⏳ Queued behind ${data.position} other request${data.position === 1 ? '' : 's'}…`;
+    } else if (data.status === 'failover') {
+      text = `⚠️ ${data.from} failed, trying ${data.to}…`;
+    } else {
+      const seconds = Math.max(1, Math.ceil((data.retryInMs || 0) / 1000));
+      const reason = data.status === 'rateLimited' ? 'Waiting for rate limit' : 'Server error';
+      text = `⏳ ${reason}, retrying in ${seconds}s (attempt ${data.attempt} of ${data.maxRetries})…`;
+    }
+
+    let statusDiv = assistantMessage.querySelector('.llamb-request-status');
+    if (!statusDiv) {
+      statusDiv = document.createElement('div');
+      statusDiv.className = 'llamb-request-status';
+      assistantMessage.querySelector('.llamb-message-content').insertAdjacentElement('afterend', statusDiv);
+    }
+    statusDiv.textContent = text;
+  }
+
+  function clearRequestStatus(assistantMessage) {
+    const statusDiv = assistantMessage.querySelector('.llamb-request-status');
+    if (statusDiv) statusDiv.remove();
+  }
+
   // Handle streaming chunk updates
   function handleStreamChunk(data) {
     const assistantMessage = document.querySelector(`[data-request-id="${data.requestId}"]`);
     if (!assistantMessage) return;
 
+    clearRequestStatus(assistantMessage);
     const contentDiv = assistantMessage.querySelector('.llamb-message-content');
     
     // Remove streaming indicator on first chunk
@@ -2507,64 +3045,323 @@
       contentDiv.innerHTML = '';
     }
 
-    // Render markdown for the full accumulated content
-    contentDiv.innerHTML = renderMarkdown(data.fullContent || '');
-
-    // Handle thinking/reasoning blocks
+    // Every chunk carries all blocks so far, reasoning grows while the model thinks
     if (data.blocks && data.blocks.length > 0) {
-      const blocksContainer = contentDiv.querySelector('.llamb-blocks-container') || document.createElement('div');
-      if (!blocksContainer.parentNode) {
-        blocksContainer.className = 'llamb-blocks-container';
-        contentDiv.insertBefore(blocksContainer, contentDiv.firstChild);
-      }
-
-      blocksContainer.innerHTML = '';
-      data.blocks.forEach(block => {
-        const blockDiv = document.createElement('div');
-        blockDiv.className = `llamb-block llamb-${block.type}-block`;
-        
-        const emoji = {
-          'thinking': '🤔',
-          'reasoning': '🧠',
-          'reflection': '💭'
-        }[block.type] || '💡';
-
-        blockDiv.innerHTML = `
-          <div class="llamb-block-header">
-            <span class="llamb-block-emoji">${emoji}</span>
-            <strong>${block.type.charAt(0).toUpperCase() + block.type.slice(1)}</strong>
-          </div>
-          <div class="llamb-block-content">${escapeHtml(block.content).replace(/\n/g, '<br>')}</div>
-        `;
-        
-        blocksContainer.appendChild(blockDiv);
-      });
+      streamBlocks.set(data.requestId, [...(carriedBlocks.get(data.requestId) || []), ...data.blocks]);
     }
 
+    // Render markdown for the full accumulated content; structured answers show as JSON until they are complete
+    const fullContent = (streamPrefixes.get(data.requestId) || '') + (data.fullContent || '');
+    contentDiv.innerHTML = requestInputs.get(data.requestId)?.outputSchema
+      ? `<pre class="llamb-code-block" data-lang="json"><code>${escapeHtml(fullContent)}</code></pre>`
+      : renderMarkdown(fullContent);
+
+    // Handle thinking/reasoning blocks
+    renderMessageBlocks(contentDiv, streamBlocks.get(data.requestId) || []);
+
     // Auto-scroll to bottom
     const messagesContainer = document.getElementById('llamb-messages');
     messagesContainer.scrollTop = messagesContainer.scrollHeight;
   }
 
+  // Render thinking/reasoning blocks above the message content
+  function renderMessageBlocks(contentDiv, blocks) {
+    if (!showThinkingBlocks || !blocks || blocks.length === 0) return;
+
+    const blocksContainer = contentDiv.querySelector('.llamb-blocks-container') || document.createElement('div');
+    if (!blocksContainer.parentNode) {
+      blocksContainer.className = 'llamb-blocks-container';
+      contentDiv.insertBefore(blocksContainer, contentDiv.firstChild);
+    }
+
+    blocksContainer.innerHTML = '';
+    blocks.forEach(block => {
+      const blockDiv = document.createElement('div');
+      blockDiv.className = `llamb-block llamb-${block.type}-block`;
+      
+      const emoji = {
+        'thinking': '🤔',
+        'reasoning': '🧠',
+        'reflection': '💭'
+      }[block.type] || '💡';
+
+      blockDiv.innerHTML = `
+        <div class="llamb-block-header">
+          <span class="llamb-block-emoji">${emoji}</span>
+          <strong>${block.type.charAt(0).toUpperCase() + block.type.slice(1)}</strong>
+        </div>
+        <div class="llamb-block-content">${escapeHtml(block.content.trim()).replace(/\n/g, '<br>')}</div>
+      `;
+      
+      blocksContainer.appendChild(blockDiv);
+    });
+  }
+
+  // Structured answers (quick actions with a JSON schema) are checked against the
+  // schema, then lists of records become tables and the remaining fields a card
+  function renderStructuredOutput(contentDiv, text, outputSchema) {
+    const container = document.createElement('div');
+    container.className = 'llamb-structured';
+    contentDiv.appendChild(container);
+
+    const data = parseStructuredContent(text);
+    if (data === undefined) {
+      container.innerHTML = `
+        <div class="llamb-structured-warning">⚠️ The answer is not valid JSON</div>
+        <pre class="llamb-code-block" data-lang="json"><code>${escapeHtml(text)}</code></pre>
+      `;
+      return;
+    }
+
+    const errors = typeof JsonSchema !== 'undefined' ? JsonSchema.validate(data, outputSchema.schema) : [];
+    if (errors.length > 0) {
+      const more = errors.length > 5 ? `<li>…and ${errors.length - 5} more</li>` : '';
+      container.insertAdjacentHTML('beforeend', `
+        <div class="llamb-structured-warning">
+          ⚠️ The answer does not fully match the schema
+          <ul>${errors.slice(0, 5).map(error => `<li>${escapeHtml(error)}</li>`).join('')}${more}</ul>
+        </div>
+      `);
+    }
+
+    const fileName = outputSchema.name || 'data';
+    const { fields, tables } = splitStructuredData(data);
+    if (Object.keys(fields).length > 0) {
+      container.appendChild(buildStructuredCard(fields));
+    }
+    tables.forEach(table => container.appendChild(buildStructuredTable(table, fileName)));
+
+    // Copy the whole answer; a card on its own downloads as a one-row CSV
+    const toolbar = document.createElement('div');
+    toolbar.className = 'llamb-structured-toolbar';
+    toolbar.innerHTML = '<button type="button" class="llamb-structured-btn">Copy JSON</button>';
+    const copyBtn = toolbar.querySelector('button');
+    copyBtn.addEventListener('click', () => {
+      navigator.clipboard.writeText(JSON.stringify(data, null, 2)).then(() => {
+        copyBtn.textContent = 'Copied!';
+        setTimeout(() => {
+          copyBtn.textContent = 'Copy JSON';
+        }, 1500);
+      });
+    });
+    if (tables.length === 0 && Object.keys(fields).length > 0) {
+      const csvBtn = document.createElement('button');
+      csvBtn.type = 'button';
+      csvBtn.className = 'llamb-structured-btn';
+      csvBtn.textContent = 'Download CSV';
+      csvBtn.addEventListener('click', () => downloadCsv(`${fileName}.csv`, toCsv([fields])));
+      toolbar.appendChild(csvBtn);
+    }
+    container.appendChild(toolbar);
+  }
+
+  // The JSON in an answer. Models without a structured output mode sometimes wrap
+  // it in a code fence or a sentence. Returns undefined when there is none.
+  function parseStructuredContent(text) {
+    const candidates = [text.trim()];
+    const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+    if (fenced) {
+      candidates.push(fenced[1].trim());
+    }
+    const start = text.search(/[{[]/);
+    const end = Math.max(text.lastIndexOf('}'), text.lastIndexOf(']'));
+    if (start !== -1 && end > start) {
+      candidates.push(text.substring(start, end + 1));
+    }
+
+    for (const candidate of candidates) {
+      try {
+        return JSON.parse(candidate);
+      } catch (error) {
+        // Try the next candidate
+      }
+    }
+    return undefined;
+  }
+
+  // Arrays of records become tables, every other value is a field of the card
+  function splitStructuredData(data) {
+    const isRecord = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+    if (Array.isArray(data)) {
+      return data.every(isRecord)
+        ? { fields: {}, tables: [{ title: '', rows: data }] }
+        : { fields: { items: data }, tables: [] };
+    }
+    if (!isRecord(data)) {
+      return { fields: { value: data }, tables: [] };
+    }
+
+    const fields = {};
+    const tables = [];
+    for (const [key, value] of Object.entries(data)) {
+      if (Array.isArray(value) && value.every(isRecord)) {
+        tables.push({ title: key, rows: value });
+      } else {
+        fields[key] = value;
+      }
+    }
+    return { fields, tables };
+  }
+
+  // "company_name" -> "Company name"
+  function formatFieldLabel(key) {
+    const label = String(key).replace(/[_-]+/g, ' ').replace(/([a-z])([A-Z])/g, '$1 $2').trim().toLowerCase();
+    return label.charAt(0).toUpperCase() + label.slice(1);
+  }
+
+  function formatStructuredValue(value) {
+    if (value === null || value === undefined) return '';
+    if (Array.isArray(value)) return value.map(formatStructuredValue).join(', ');
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+  }
+
+  function getStructuredColumns(rows) {
+    const columns = [];
+    rows.forEach(row => Object.keys(row).forEach(key => {
+      if (!columns.includes(key)) columns.push(key);
+    }));
+    return columns;
+  }
+
+  function buildStructuredCard(fields) {
+    const card = document.createElement('div');
+    card.className = 'llamb-structured-card';
+    for (const [key, value] of Object.entries(fields)) {
+      const row = document.createElement('div');
+      row.className = 'llamb-structured-field';
+      row.innerHTML = '<div class="llamb-structured-label"></div><div class="llamb-structured-value"></div>';
+      row.firstChild.textContent = formatFieldLabel(key);
+      row.lastChild.textContent = formatStructuredValue(value) || '—';
+      card.appendChild(row);
+    }
+    return card;
+  }
+
+  function buildStructuredTable(table, fileName) {
+    const section = document.createElement('div');
+    section.className = 'llamb-structured-section';
+
+    const header = document.createElement('div');
+    header.className = 'llamb-structured-header';
+    header.innerHTML = '<strong></strong><button type="button" class="llamb-structured-btn">Download CSV</button>';
+    header.querySelector('strong').textContent = `${table.title ? formatFieldLabel(table.title) : 'Results'} (${table.rows.length})`;
+    const csvName = table.title ? `${fileName}-${table.title}.csv` : `${fileName}.csv`;
+    header.querySelector('button').addEventListener('click', () => downloadCsv(csvName, toCsv(table.rows)));
+    section.appendChild(header);
+
+    if (table.rows.length === 0) {
+      section.insertAdjacentHTML('beforeend', '<div class="llamb-structured-empty">None found</div>');
+      return section;
+    }
+
+    const columns = getStructuredColumns(table.rows);
+    const wrapper = document.createElement('div');
+    wrapper.className = 'llamb-structured-table-wrapper';
+    const tableElement = document.createElement('table');
+    tableElement.className = 'llamb-structured-table';
+
+    const headRow = tableElement.createTHead().insertRow();
+    columns.forEach(column => {
+      const cell = document.createElement('th');
+      cell.textContent = formatFieldLabel(column);
+      headRow.appendChild(cell);
+    });
+
+    const body = tableElement.createTBody();
+    table.rows.forEach(row => {
+      const rowElement = body.insertRow();
+      columns.forEach(column => {
+        rowElement.insertCell().textContent = formatStructuredValue(row[column]) || '—';
+      });
+    });
+
+    wrapper.appendChild(tableElement);
+    section.appendChild(wrapper);
+    return section;
+  }
+
+  function toCsv(rows) {
+    const columns = getStructuredColumns(rows);
+    const escapeCell = (value) => {
+      let text = formatStructuredValue(value);
+      // Keep spreadsheets from running cell text as a formula
+      if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+      }
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [columns, ...rows.map(row => columns.map(column => row[column]))]
+      .map(cells => cells.map(escapeCell).join(','))
+      .join('\r\n');
+  }
+
+  function downloadCsv(fileName, csv) {
+    const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv;charset=utf-8' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
   // Handle stream end
   async function handleStreamEnd(data) {
     const assistantMessage = document.querySelector(`[data-request-id="${data.requestId}"]`);
     if (!assistantMessage) return;
 
     debugLog('LlamB: Stream ended for request:', data.requestId);
-    
+    clearRequestStatus(assistantMessage);
+
+    // A continued answer is saved as one message
+    const prefix = streamPrefixes.get(data.requestId);
+    if (prefix) {
+      data = { ...data, fullContent: prefix + (data.fullContent || '') };
+    }
+    streamPrefixes.delete(data.requestId);
+    const outputSchema = requestInputs.get(data.requestId)?.outputSchema;
+    requestInputs.delete(data.requestId);
+    
+    // Stopped responses keep what was generated, flagged as interrupted
+    const metadata = {};
+    if (data.interrupted) {
+      metadata.interrupted = true;
+    }
+    if (outputSchema) {
+      metadata.structuredOutput = outputSchema;
+    }
+    const toolSteps = streamToolSteps.get(data.requestId);
+    if (toolSteps && toolSteps.length > 0) {
+      metadata.toolSteps = toolSteps;
+    }
+    if (data.connection) {
+      metadata.connection = data.connection;
+    }
+    if (data.usage) {
+      metadata.usage = {
+        promptTokens: data.usage.prompt_tokens || 0,
+        completionTokens: data.usage.completion_tokens || 0,
+        cost: data.usage.cost || 0,
+        estimated: !!data.usage.estimated
+      };
+    }
+
     // Save assistant message to chat
     if (currentChat && data.fullContent) {
       try {
         if (chatManager) {
-          await chatManager.addMessage(currentChat, 'assistant', data.fullContent);
+          await chatManager.addMessage(currentChat, 'assistant', data.fullContent, null, metadata);
           debugLog('LlamB: Saved assistant message to chat');
         } else {
           // Fallback: add message directly
           currentChat.messages.push({
             role: 'assistant',
             content: data.fullContent,
-            timestamp: new Date().toISOString()
+            timestamp: new Date().toISOString(),
+            ...metadata
           });
           currentChat.updatedAt = new Date().toISOString();
           
@@ -2588,15 +3385,40 @@
     }
     
     // Re-enable input
-    const chatInput = document.getElementById('llamb-chat-input');
-    const sendBtn = document.getElementById('llamb-send-btn');
-    chatInput.disabled = false;
-    sendBtn.disabled = false;
-    chatInput.focus();
+    if (activeRequestId === data.requestId) {
+      setStreamingState(null);
+    }
+    document.getElementById('llamb-chat-input').focus();
 
-    // Remove streaming indicator if still present
+    // Remove streaming indicator if still present. Answers that were not streamed arrive here whole.
     const contentDiv = assistantMessage.querySelector('.llamb-message-content');
-    contentDiv.classList.remove('llamb-message-streaming');
+    const wasStreamed = !contentDiv.classList.contains('llamb-message-streaming');
+    if (!wasStreamed) {
+      contentDiv.classList.remove('llamb-message-streaming');
+      contentDiv.innerHTML = '';
+    }
+
+    // Final render with every block of the response
+    const blocks = [...(carriedBlocks.get(data.requestId) || []), ...(data.blocks || [])];
+    if (outputSchema && data.fullContent) {
+      contentDiv.innerHTML = '';
+      renderStructuredOutput(contentDiv, data.fullContent, outputSchema);
+      renderMessageBlocks(contentDiv, blocks);
+    } else if (blocks.length > 0 || (!wasStreamed && data.fullContent)) {
+      contentDiv.innerHTML = renderMarkdown(data.fullContent || '');
+      renderMessageBlocks(contentDiv, blocks);
+    }
+    streamBlocks.delete(data.requestId);
+    carriedBlocks.delete(data.requestId);
+    streamToolSteps.delete(data.requestId);
+
+    if (data.interrupted && !assistantMessage.querySelector('.llamb-message-interrupted')) {
+      contentDiv.insertAdjacentHTML('afterend', getInterruptedNoteHtml());
+    }
+    if (data.connection && data.fullContent && !assistantMessage.querySelector('.llamb-message-connection')) {
+      assistantMessage.querySelector('.llamb-message-bubble').insertAdjacentHTML('beforeend', getConnectionNoteHtml(data.connection, metadata.usage));
+    }
+    updateContextMeter();
 
     // Final scroll to bottom
     const messagesContainer = document.getElementById('llamb-messages');
@@ -2609,20 +3431,235 @@
     if (!assistantMessage) return;
 
     debugError('LlamB: Stream error:', data.error);
+    clearRequestStatus(assistantMessage);
     
     const contentDiv = assistantMessage.querySelector('.llamb-message-content');
-    contentDiv.innerHTML = `
-      <div class="llamb-error-message">
-        ❌ Streaming Error: ${escapeHtml(data.error)}
-      </div>
-    `;
+    const partialContent = (streamPrefixes.get(data.requestId) || '') + (data.partialContent || '');
+
+    if (partialContent) {
+      // Keep what arrived before the failure and offer to finish it on another connection
+      contentDiv.classList.remove('llamb-message-streaming');
+      contentDiv.innerHTML = renderMarkdown(partialContent);
+      renderMessageBlocks(contentDiv, streamBlocks.get(data.requestId) || []);
+      contentDiv.insertAdjacentHTML('beforeend', `
+        <div class="llamb-error-message">
+          ❌ ${escapeHtml(data.connection || 'Connection')} failed mid-answer: ${escapeHtml(data.error)}
+          ${data.canContinue ? '<br><button class="llamb-continue-btn">Continue on another connection</button>' : ''}
+        </div>
+      `);
+
+      const continueBtn = contentDiv.querySelector('.llamb-continue-btn');
+      if (continueBtn) {
+        continueBtn.addEventListener('click', () => {
+          continueBtn.disabled = true;
+          continueOnAnotherConnection(assistantMessage, data.requestId, partialContent, data.connectionId);
+        });
+      }
+    } else {
+      contentDiv.innerHTML = `
+        <div class="llamb-error-message">
+          ❌ Streaming Error: ${escapeHtml(data.error)}
+        </div>
+      `;
+    }
+
+    // Blocks and inputs stay around while the answer can still be continued
+    if (!data.canContinue) {
+      streamBlocks.delete(data.requestId);
+      carriedBlocks.delete(data.requestId);
+      streamToolSteps.delete(data.requestId);
+      requestInputs.delete(data.requestId);
+    }
+    streamPrefixes.delete(data.requestId);
 
     // Re-enable input
-    const chatInput = document.getElementById('llamb-chat-input');
-    const sendBtn = document.getElementById('llamb-send-btn');
-    chatInput.disabled = false;
-    sendBtn.disabled = false;
-    chatInput.focus();
+    if (activeRequestId === data.requestId) {
+      setStreamingState(null);
+    }
+    document.getElementById('llamb-chat-input').focus();
+  }
+
+  // Resend a request that failed mid-answer to another connection, which picks up
+  // where the failed one stopped. The new text streams into the same message.
+  async function continueOnAnotherConnection(assistantMessage, failedRequestId, partialContent, failedConnectionId) {
+    const input = requestInputs.get(failedRequestId);
+    if (!input || activeRequestId) return;
+
+    const requestId = 'req-' + Date.now().toString(36) + Math.random().toString(36).substr(2);
+    requestInputs.delete(failedRequestId);
+    requestInputs.set(requestId, input);
+    streamPrefixes.set(requestId, partialContent);
+
+    // Carry over thinking blocks and tool steps from the failed attempt
+    if (streamBlocks.has(failedRequestId)) {
+      carriedBlocks.set(requestId, streamBlocks.get(failedRequestId));
+      streamBlocks.set(requestId, streamBlocks.get(failedRequestId));
+      streamBlocks.delete(failedRequestId);
+    }
+    carriedBlocks.delete(failedRequestId);
+    if (streamToolSteps.has(failedRequestId)) {
+      streamToolSteps.set(requestId, streamToolSteps.get(failedRequestId));
+      streamToolSteps.delete(failedRequestId);
+    }
+
+    assistantMessage.dataset.requestId = requestId;
+    const errorDiv = assistantMessage.querySelector('.llamb-message-content .llamb-error-message');
+    if (errorDiv) errorDiv.remove();
+    setStreamingState(requestId);
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'sendChatMessage',
+        message: input.message,
+        pageContext: input.pageContext,
+        options: {
+          streaming: true,
+          includeContext: true,
+          conversationHistory: input.conversationHistory,
+          images: input.images,
+          requestId,
+          continueFrom: partialContent,
+          excludeConnectionIds: [failedConnectionId],
+          outputSchema: input.outputSchema
+        }
+      });
+
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Failed to send message');
+      }
+    } catch (error) {
+      debugError('LlamB: Error continuing on another connection:', error);
+      // The background may already have reported a stream error for this request
+      if (activeRequestId === requestId) {
+        handleStreamError({ requestId, error: error.message });
+      }
+    }
+  }
+
+  // Built-in browser tools the LLM can call (schemas live in js/browser-tools.js)
+  function runBrowserTool(name, args) {
+    debugLog('LlamB: Running tool:', name, args);
+
+    switch (name) {
+      case 'read_page': {
+        const maxChars = args.max_chars || 20000;
+        return {
+          url: window.location.href,
+          title: document.title,
+          content: truncateText(extractPageContent(), maxChars)
+        };
+      }
+
+      case 'query_selector': {
+        if (!args.selector) {
+          throw new Error('selector is required');
+        }
+
+        let elements;
+        try {
+          elements = Array.from(document.querySelectorAll(args.selector));
+        } catch (error) {
+          throw new Error(`Invalid selector: ${args.selector}`);
+        }
+
+        // Never report our own sidebar back to the model
+        elements = elements.filter(element => !element.closest('#llamb-chat-sidebar'));
+        const limit = args.limit || 20;
+
+        return {
+          selector: args.selector,
+          count: elements.length,
+          matches: elements.slice(0, limit).map(element => args.include_html
+            ? truncateText(element.outerHTML, 2000)
+            : truncateText(element.textContent.replace(/\s+/g, ' ').trim(), 1000))
+        };
+      }
+
+      case 'list_links': {
+        const filter = (args.filter || '').toLowerCase();
+        const limit = args.limit || 50;
+        const links = Array.from(document.querySelectorAll('a[href]'))
+          .filter(link => !link.closest('#llamb-chat-sidebar'))
+          .map(link => ({
+            text: link.textContent.replace(/\s+/g, ' ').trim(),
+            url: link.href
+          }))
+          .filter(link => !filter || link.text.toLowerCase().includes(filter) || link.url.toLowerCase().includes(filter));
+
+        return {
+          count: links.length,
+          links: links.slice(0, limit)
+        };
+      }
+
+      case 'get_selection': {
+        const preserved = preservedSelections.map(sel => sel.text).join('\n\n---\n\n');
+        return {
+          text: getSelectedText() || preserved
+        };
+      }
+
+      default:
+        throw new Error(`Unknown tool: ${name}`);
+    }
+  }
+
+  // Tool calls made so far, per streaming request
+  const streamToolSteps = new Map();
+
+  // Handle a tool call starting or finishing
+  function handleToolStep(data) {
+    const assistantMessage = document.querySelector(`[data-request-id="${data.requestId}"]`);
+    if (!assistantMessage) return;
+
+    const steps = streamToolSteps.get(data.requestId) || [];
+    let step = steps.find(existing => existing.toolCallId === data.toolCallId);
+    if (!step) {
+      step = { toolCallId: data.toolCallId, name: data.name, arguments: data.arguments };
+      steps.push(step);
+    }
+    step.status = data.status;
+    if (data.result !== undefined) {
+      step.result = data.result;
+    }
+    streamToolSteps.set(data.requestId, steps);
+
+    renderToolSteps(assistantMessage.querySelector('.llamb-message-bubble'), steps);
+  }
+
+  // Render tool calls as collapsible steps above the message content
+  function renderToolSteps(bubble, steps) {
+    if (!bubble || !steps || steps.length === 0) return;
+
+    let container = bubble.querySelector('.llamb-tool-steps');
+    if (!container) {
+      container = document.createElement('div');
+      container.className = 'llamb-tool-steps';
+      bubble.insertBefore(container, bubble.firstChild);
+    }
+
+    // Keep steps the user expanded open across re-renders
+    const openSteps = new Set(
+      Array.from(container.querySelectorAll('details[open]')).map(details => details.dataset.toolCallId)
+    );
+
+    const statusIcon = { running: '⏳', done: '🔧', error: '⚠️' };
+
+    container.innerHTML = steps.map(step => {
+      const stepId = String(step.toolCallId || '').replace(/[^\w-]/g, '');
+      return `
+      <details class="llamb-tool-step llamb-tool-step-${step.status || 'done'}" data-tool-call-id="${stepId}"${openSteps.has(stepId) ? ' open' : ''}>
+        <summary>${statusIcon[step.status] || '🔧'} <code>${escapeHtml(step.name || 'tool')}</code></summary>
+        <div class="llamb-tool-step-body">
+          <div class="llamb-tool-step-label">Arguments</div>
+          <pre>${escapeHtml(JSON.stringify(step.arguments || {}, null, 2))}</pre>
+          ${step.result !== undefined ? `
+          <div class="llamb-tool-step-label">Result</div>
+          <pre>${escapeHtml(step.result)}</pre>` : ''}
+        </div>
+      </details>
+    `;
+    }).join('');
   }
 
   // Escape HTML to prevent XSS
@@ -2765,7 +3802,7 @@
           const chatInput = document.getElementById('llamb-chat-input');
           if (chatInput) {
             chatInput.value = request.message;
-            sendMessage();
+            sendMessage({ outputSchema: request.outputSchema || null });
             sendResponse({ success: true });
           } else {
             sendResponse({ success: false, error: 'Chat input not found' });
@@ -2773,6 +3810,16 @@
         } else {
           sendResponse({ success: false, error: 'Sidebar not visible' });
         }
+      } else if (request.action === 'runTool') {
+        // Built-in browser tools run synchronously so the response channel stays open
+        const result = runBrowserTool(request.name, request.arguments || {});
+        sendResponse({ success: true, result });
+      } else if (request.action === 'requestStatus') {
+        handleRequestStatus(request);
+        sendResponse({ success: true });
+      } else if (request.action === 'toolStep') {
+        handleToolStep(request);
+        sendResponse({ success: true });
       } else if (request.action === 'streamChunk') {
         // Handle streaming response chunks
         handleStreamChunk(request);
@@ -0,0 +1,116 @@
+// AWS SigV4 - Sign HTTP requests for AWS APIs (Bedrock) with an access key
+// Uses Web Crypto, so it runs in the service worker without an SDK. The date
+// can be passed in, which lets a request be checked against a known signature.
+class AwsSigV4 {
+  constructor() {
+    this.algorithm = 'AWS4-HMAC-SHA256';
+    this.textEncoder = new TextEncoder();
+  }
+
+  // Sign a request. Returns the headers to send: the given headers plus
+  // x-amz-date, the session token if any, and Authorization.
+  // credentials: { accessKeyId, secretAccessKey, sessionToken }
+  async sign({ method = 'GET', url, headers = {}, body = '', region, service, credentials, date = new Date() }) {
+    if (!credentials?.accessKeyId || !credentials?.secretAccessKey) {
+      throw new Error('AWS access key ID and secret access key are required');
+    }
+    if (!region) {
+      throw new Error('AWS region is required');
+    }
+
+    const parsedUrl = new URL(url);
+    const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.substring(0, 8);
+    const payloadHash = await this.sha256Hex(body || '');
+
+    const signedHeaders = {
+      ...headers,
+      'x-amz-date': amzDate
+    };
+    if (credentials.sessionToken) {
+      signedHeaders['x-amz-security-token'] = credentials.sessionToken;
+    }
+
+    // Host is set by fetch itself but still has to be part of the signature
+    const canonicalHeaders = { host: parsedUrl.host };
+    for (const [name, value] of Object.entries(signedHeaders)) {
+      canonicalHeaders[name.toLowerCase()] = String(value).trim().replace(/\s+/g, ' ');
+    }
+    const headerNames = Object.keys(canonicalHeaders).sort();
+
+    const canonicalRequest = [
+      method.toUpperCase(),
+      this.getCanonicalPath(parsedUrl.pathname),
+      this.getCanonicalQuery(parsedUrl.searchParams),
+      headerNames.map(name => `${name}:${canonicalHeaders[name]}\n`).join(''),
+      headerNames.join(';'),
+      payloadHash
+    ].join('\n');
+
+    const scope = `${dateStamp}/${region}/${service}/aws4_request`;
+    const stringToSign = [
+      this.algorithm,
+      amzDate,
+      scope,
+      await this.sha256Hex(canonicalRequest)
+    ].join('\n');
+
+    const signingKey = await this.getSigningKey(credentials.secretAccessKey, dateStamp, region, service);
+    const signature = this.toHex(await this.hmac(signingKey, stringToSign));
+
+    return {
+      ...signedHeaders,
+      Authorization: `${this.algorithm} Credential=${credentials.accessKeyId}/${scope}, SignedHeaders=${headerNames.join(';')}, Signature=${signature}`
+    };
+  }
+
+  // Every path segment is encoded again on top of the URL's own encoding
+  // (all services except S3 sign the double-encoded path)
+  getCanonicalPath(pathname) {
+    if (!pathname || pathname === '/') return '/';
+    return pathname.split('/').map(segment => this.uriEncode(segment)).join('/');
+  }
+
+  getCanonicalQuery(searchParams) {
+    return [...searchParams.entries()]
+      .map(([key, value]) => [this.uriEncode(key), this.uriEncode(value)])
+      .sort(([keyA, valueA], [keyB, valueB]) => keyA < keyB ? -1 : keyA > keyB ? 1 : (valueA < valueB ? -1 : valueA > valueB ? 1 : 0))
+      .map(([key, value]) => `${key}=${value}`)
+      .join('&');
+  }
+
+  // RFC 3986 encoding: everything except A-Z a-z 0-9 - _ . ~
+  uriEncode(text) {
+    return encodeURIComponent(text).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  }
+
+  async getSigningKey(secretAccessKey, dateStamp, region, service) {
+    const dateKey = await this.hmac(this.textEncoder.encode(`AWS4${secretAccessKey}`), dateStamp);
+    const regionKey = await this.hmac(dateKey, region);
+    const serviceKey = await this.hmac(regionKey, service);
+    return this.hmac(serviceKey, 'aws4_request');
+  }
+
+  async hmac(key, text) {
+    const cryptoKey = await crypto.subtle.importKey('raw', key, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    return new Uint8Array(await crypto.subtle.sign('HMAC', cryptoKey, this.textEncoder.encode(text)));
+  }
+
+  async sha256Hex(data) {
+    const bytes = typeof data === 'string' ? this.textEncoder.encode(data) : data;
+    return this.toHex(new Uint8Array(await crypto.subtle.digest('SHA-256', bytes)));
+  }
+
+  toHex(bytes) {
+    return [...bytes].map(byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AwsSigV4;
+} else if (typeof globalThis !== 'undefined') {
+  globalThis.AwsSigV4 = AwsSigV4;
+} else if (typeof self !== 'undefined') {
+  self.AwsSigV4 = AwsSigV4;
+}
@@ -0,0 +1,105 @@
+// Browser Tools - Built-in tools the LLM can call against the current tab
+// Schemas live here (background); the tools themselves run in the content script.
+class BrowserTools {
+  constructor() {
+    // Provider-neutral tool schemas: { name, description, parameters (JSON Schema) }
+    this.definitions = [
+      {
+        name: 'read_page',
+        description: 'Read the main content of the current web page as markdown.',
+        parameters: {
+          type: 'object',
+          properties: {
+            max_chars: {
+              type: 'integer',
+              description: 'Maximum number of characters to return (default 20000).'
+            }
+          }
+        }
+      },
+      {
+        name: 'query_selector',
+        description: 'Find elements on the current page with a CSS selector and return their text (or HTML).',
+        parameters: {
+          type: 'object',
+          properties: {
+            selector: {
+              type: 'string',
+              description: 'CSS selector, e.g. "table.prices tr" or "h2".'
+            },
+            limit: {
+              type: 'integer',
+              description: 'Maximum number of elements to return (default 20).'
+            },
+            include_html: {
+              type: 'boolean',
+              description: 'Return outer HTML instead of text content.'
+            }
+          },
+          required: ['selector']
+        }
+      },
+      {
+        name: 'list_links',
+        description: 'List the links on the current page with their text and URL.',
+        parameters: {
+          type: 'object',
+          properties: {
+            filter: {
+              type: 'string',
+              description: 'Only include links whose text or URL contains this string (case-insensitive).'
+            },
+            limit: {
+              type: 'integer',
+              description: 'Maximum number of links to return (default 50).'
+            }
+          }
+        }
+      },
+      {
+        name: 'get_selection',
+        description: 'Read the text the user has currently selected on the page.',
+        parameters: {
+          type: 'object',
+          properties: {}
+        }
+      }
+    ];
+  }
+
+  getDefinitions() {
+    return this.definitions;
+  }
+
+  has(name) {
+    return this.definitions.some(definition => definition.name === name);
+  }
+
+  // Run a tool call in a tab's content script and return its result
+  async execute(tabId, toolCall) {
+    if (!this.has(toolCall.name)) {
+      throw new Error(`Unknown tool: ${toolCall.name}`);
+    }
+
+    const response = await chrome.tabs.sendMessage(tabId, {
+      action: 'runTool',
+      name: toolCall.name,
+      arguments: toolCall.arguments || {}
+    });
+
+    if (!response || !response.success) {
+      throw new Error(response?.error || `Tool ${toolCall.name} failed`);
+    }
+
+    return response.result;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BrowserTools;
+} else if (typeof globalThis !== 'undefined') {
+  globalThis.BrowserTools = BrowserTools;
+} else if (typeof self !== 'undefined') {
+  self.BrowserTools = BrowserTools;
+}
@@ -115,14 +115,15 @@ class ChatManager {
     }
   }
 
-  // Add message to chat
-  async addMessage(chat, role, content, pageContext) {
+  // Add message to chat. Metadata (e.g. { interrupted: true }) is stored on the message.
+  async addMessage(chat, role, content, pageContext, metadata = null) {
     const message = {
       id: this.generateUUID(),
       role: role, // 'user' or 'assistant'
       content: content,
       timestamp: new Date().toISOString(),
-      sourceUrl: pageContext ? pageContext.url : null
+      sourceUrl: pageContext ? pageContext.url : null,
+      ...(metadata || {})
     };
 
     chat.messages.push(message);
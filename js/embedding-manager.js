@@ -0,0 +1,173 @@
+// Embedding Manager - Embedding vectors for semantic search over chats and pages
+// Texts go to the embedding connection chosen in settings, which is separate from
+// the chat connection, in batches the provider accepts. Vectors are cached in
+// IndexedDB by a hash of the text, so unchanged content is never embedded twice.
+class EmbeddingManager {
+  constructor(storageManager = new StorageManager(), providers = new LLMProviders(), usageTracker = null) {
+    this.storageManager = storageManager;
+    this.providers = providers;
+    this.usageTracker = usageTracker;
+    this.dbName = 'llamb-embeddings';
+    this.storeName = 'vectors';
+    this.dbPromise = null;
+  }
+
+  // The connection and model set under Embeddings in settings
+  async getEmbeddingConnection() {
+    const settings = await this.storageManager.getSettings();
+    const globalSettings = settings.globalSettings || {};
+    this.providers.setCustomProviders(settings.customProviders);
+
+    const connection = settings.connections.find(conn => conn.id === globalSettings.embeddingConnectionId);
+    if (!connection) {
+      throw new Error('No embedding connection configured. Choose one under Embeddings in settings.');
+    }
+
+    const model = globalSettings.embeddingModel || connection.model;
+    if (!model) {
+      throw new Error('Embedding model is required');
+    }
+
+    return { connection, model };
+  }
+
+  // Vectors for texts, in order. Cached vectors are reused and the rest are
+  // embedded in batches; a text that appears twice is embedded once.
+  async embed(texts, { signal } = {}) {
+    if (!Array.isArray(texts) || texts.some(text => typeof text !== 'string')) {
+      throw new Error('Texts to embed must be an array of strings');
+    }
+
+    const { connection, model } = await this.getEmbeddingConnection();
+    const provider = this.providers.getProvider(connection.type);
+    if (!provider.supportedFeatures?.embeddings) {
+      throw new Error(`${provider.name} connections cannot create embeddings`);
+    }
+
+    const keys = await Promise.all(texts.map(text => this.getCacheKey(connection, model, text)));
+    const vectors = await this.getCached(keys);
+    const missing = [...new Set(keys.filter(key => !vectors.has(key)))];
+    const textsByKey = new Map(keys.map((key, index) => [key, texts[index]]));
+    const cachedCount = keys.filter(key => vectors.has(key)).length;
+    const batchSize = provider.embeddingBatchSize || 100;
+
+    for (let start = 0; start < missing.length; start += batchSize) {
+      const batchKeys = missing.slice(start, start + batchSize);
+      const result = await provider.embed(connection, batchKeys.map(key => textsByKey.get(key)), { model, signal });
+
+      if (!Array.isArray(result.embeddings) || result.embeddings.length !== batchKeys.length) {
+        throw new Error(`Expected ${batchKeys.length} embeddings from ${connection.name}, got ${result.embeddings?.length || 0}`);
+      }
+
+      const records = batchKeys.map((key, index) => ({
+        key,
+        model,
+        vector: result.embeddings[index],
+        createdAt: Date.now()
+      }));
+      await this.putCached(records);
+      records.forEach(record => vectors.set(record.key, record.vector));
+
+      if (this.usageTracker && result.usage) {
+        this.usageTracker.record(connection, model, result.usage);
+      }
+    }
+
+    debugLogger.logSync(`EmbeddingManager: Embedded ${texts.length} texts with ${model} (${cachedCount} cached)`);
+    return {
+      vectors: keys.map(key => vectors.get(key)),
+      model,
+      connection: connection.name,
+      cached: cachedCount
+    };
+  }
+
+  // Vectors depend on the server and model as well as the text. Two servers can
+  // serve different weights under the same model name, so the endpoint is part of the key.
+  async getCacheKey(connection, model, text) {
+    const bytes = new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text)));
+    const hash = [...bytes].map(byte => byte.toString(16).padStart(2, '0')).join('');
+    const endpoint = (connection.endpoint || '').replace(/\/+$/, '');
+    return `${connection.type}|${endpoint}|${model}|${hash}`;
+  }
+
+  // Cosine similarity of two vectors, for ranking search results
+  static cosineSimilarity(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+      dot += a[i] * b[i];
+      normA += a[i] * a[i];
+      normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+  }
+
+  openDatabase() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(this.storeName, { keyPath: 'key' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      }).catch(error => {
+        // Let the next call try again
+        this.dbPromise = null;
+        throw error;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  // Map of key -> vector for the keys that are cached
+  async getCached(keys) {
+    const db = await this.openDatabase();
+    const store = db.transaction(this.storeName, 'readonly').objectStore(this.storeName);
+    const records = await Promise.all([...new Set(keys)].map(key => this.promisifyRequest(store.get(key))));
+
+    return new Map(records.filter(Boolean).map(record => [record.key, record.vector]));
+  }
+
+  async putCached(records) {
+    const db = await this.openDatabase();
+    const transaction = db.transaction(this.storeName, 'readwrite');
+    const store = transaction.objectStore(this.storeName);
+    records.forEach(record => store.put(record));
+    await this.promisifyTransaction(transaction);
+  }
+
+  async clearCache() {
+    const db = await this.openDatabase();
+    const transaction = db.transaction(this.storeName, 'readwrite');
+    transaction.objectStore(this.storeName).clear();
+    await this.promisifyTransaction(transaction);
+    debugLogger.logSync('EmbeddingManager: Cache cleared');
+  }
+
+  promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  promisifyTransaction(transaction) {
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EmbeddingManager;
+} else if (typeof globalThis !== 'undefined') {
+  globalThis.EmbeddingManager = EmbeddingManager;
+} else if (typeof self !== 'undefined') {
+  self.EmbeddingManager = EmbeddingManager;
+}
@@ -0,0 +1,86 @@
+// JSON Path - Read values out of API responses with JSONPath-style selectors
+// Covers the subset custom provider specs need: $.a.b, a.b, [0], ['key'],
+// [-1] for the last item and [*] for every item of an array.
+class JsonPath {
+  // Split a selector into steps: property names, array indexes and '*'
+  static parse(path) {
+    if (typeof path !== 'string' || !path.trim()) {
+      throw new Error('Selector must be a non-empty string');
+    }
+
+    const text = path.trim().replace(/^\$/, '');
+    const steps = [];
+    const stepPattern = /\.?([A-Za-z_$][\w$-]*)|\[(-?\d+)\]|\[\*\]|\.\*|\[(['"])(.*?)\3\]/y;
+    let index = 0;
+
+    while (index < text.length) {
+      stepPattern.lastIndex = index;
+      const match = stepPattern.exec(text);
+      // A bare name is only allowed at the start, anything later needs a dot or brackets
+      if (!match || (index > 0 && match[1] !== undefined && text[index] !== '.')) {
+        throw new Error(`Invalid selector "${path}" at position ${index + (path.length - text.length)}`);
+      }
+
+      if (match[1] !== undefined) {
+        steps.push(match[1]);
+      } else if (match[2] !== undefined) {
+        steps.push(Number(match[2]));
+      } else if (match[4] !== undefined) {
+        steps.push(match[4]);
+      } else {
+        steps.push('*');
+      }
+      index = stepPattern.lastIndex;
+    }
+
+    return steps;
+  }
+
+  // The value at a selector, or undefined when it is missing. Selectors with
+  // [*] return an array of every match.
+  static select(data, path) {
+    let values = [data];
+    let multiple = false;
+
+    for (const step of JsonPath.parse(path)) {
+      const next = [];
+      for (const value of values) {
+        if (value === null || value === undefined) continue;
+
+        if (step === '*') {
+          next.push(...(Array.isArray(value) ? value : Object.values(value)));
+        } else if (typeof step === 'number') {
+          if (Array.isArray(value)) {
+            next.push(value[step < 0 ? value.length + step : step]);
+          }
+        } else if (typeof value === 'object') {
+          next.push(value[step]);
+        }
+      }
+      multiple = multiple || step === '*';
+      values = next;
+    }
+
+    return multiple ? values.filter(value => value !== undefined) : values[0];
+  }
+
+  // Text at a selector; the strings of a [*] selector are joined
+  static selectText(data, path) {
+    if (!path) return '';
+
+    const value = JsonPath.select(data, path);
+    if (Array.isArray(value)) {
+      return value.filter(item => typeof item === 'string').join('');
+    }
+    return typeof value === 'string' ? value : '';
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = JsonPath;
+} else if (typeof globalThis !== 'undefined') {
+  globalThis.JsonPath = JsonPath;
+} else if (typeof self !== 'undefined') {
+  self.JsonPath = JsonPath;
+}
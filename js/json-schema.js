@@ -0,0 +1,133 @@
+// JSON Schema - Check structured answers against a quick action's schema
+// Covers the keywords extraction schemas use: type, properties, required,
+// additionalProperties, items, enum, const, anyOf and the common length and
+// range limits. Unknown keywords are ignored rather than rejected.
+class JsonSchema {
+  // Problems with a schema itself, for the quick action editor. Structured
+  // output APIs (OpenAI, tool input on Anthropic and Bedrock) need an object at the root.
+  static check(schema) {
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+      return 'Schema must be a JSON object';
+    }
+    if (schema.type !== 'object') {
+      return 'Schema must have "type": "object" at the root';
+    }
+    if (!schema.properties || typeof schema.properties !== 'object' || Object.keys(schema.properties).length === 0) {
+      return 'Schema must list the fields to extract under "properties"';
+    }
+    return null;
+  }
+
+  // Every place the value breaks the schema, as "path: problem" strings.
+  // An empty list means the value is valid.
+  static validate(value, schema, path = '$') {
+    if (!schema || typeof schema !== 'object') return [];
+
+    const errors = [];
+
+    if (schema.anyOf) {
+      const matches = schema.anyOf.some(option => JsonSchema.validate(value, option, path).length === 0);
+      if (!matches) {
+        errors.push(`${path}: does not match any of the allowed shapes`);
+      }
+    }
+
+    if (schema.type) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      if (!types.some(type => JsonSchema.isType(value, type))) {
+        errors.push(`${path}: expected ${types.join(' or ')}, got ${JsonSchema.getType(value)}`);
+        return errors;
+      }
+    }
+
+    if (schema.enum && !schema.enum.some(option => JsonSchema.isEqual(option, value))) {
+      errors.push(`${path}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+    }
+    if ('const' in schema && !JsonSchema.isEqual(schema.const, value)) {
+      errors.push(`${path}: must be ${JSON.stringify(schema.const)}`);
+    }
+
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push(`${path}: shorter than ${schema.minLength} characters`);
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        errors.push(`${path}: longer than ${schema.maxLength} characters`);
+      }
+      if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+        errors.push(`${path}: does not match ${schema.pattern}`);
+      }
+    }
+
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${path}: less than ${schema.minimum}`);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push(`${path}: greater than ${schema.maximum}`);
+      }
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push(`${path}: fewer than ${schema.minItems} items`);
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        errors.push(`${path}: more than ${schema.maxItems} items`);
+      }
+      if (schema.items) {
+        value.forEach((item, index) => errors.push(...JsonSchema.validate(item, schema.items, `${path}[${index}]`)));
+      }
+    }
+
+    if (JsonSchema.isType(value, 'object')) {
+      const properties = schema.properties || {};
+      for (const name of schema.required || []) {
+        if (!(name in value)) {
+          errors.push(`${path}: missing required field "${name}"`);
+        }
+      }
+      for (const [name, propertyValue] of Object.entries(value)) {
+        if (properties[name]) {
+          errors.push(...JsonSchema.validate(propertyValue, properties[name], `${path}.${name}`));
+        } else if (schema.additionalProperties === false) {
+          errors.push(`${path}: unexpected field "${name}"`);
+        } else if (typeof schema.additionalProperties === 'object') {
+          errors.push(...JsonSchema.validate(propertyValue, schema.additionalProperties, `${path}.${name}`));
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  static isType(value, type) {
+    switch (type) {
+      case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+      case 'array': return Array.isArray(value);
+      case 'integer': return Number.isInteger(value);
+      case 'number': return typeof value === 'number' && Number.isFinite(value);
+      case 'null': return value === null;
+      default: return typeof value === type;
+    }
+  }
+
+  static getType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+  }
+
+  static isEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = JsonSchema;
+} else if (typeof globalThis !== 'undefined') {
+  globalThis.JsonSchema = JsonSchema;
+} else if (typeof self !== 'undefined') {
+  self.JsonSchema = JsonSchema;
+}
@@ -4,10 +4,14 @@ class LLMManager {
     this.storageManager = new StorageManager();
     this.providers = new LLMProviders();
     this.streamParser = new StreamParser();
+    this.tokenEstimator = new TokenEstimator();
+    this.usageTracker = new UsageTracker();
+    this.embeddingManager = new EmbeddingManager(this.storageManager, this.providers, this.usageTracker);
     
     this.activeRequests = new Map(); // Track ongoing requests
-    this.requestQueue = []; // Queue for rate limiting
-    this.isProcessingQueue = false;
+    this.requestQueue = new RequestQueue(); // Per-connection concurrency limit
+    this.modelCacheKey = 'llamb-model-cache';
+    this.modelCacheTtl = 6 * 60 * 60 * 1000; // Model lists rarely change within a few hours
     
     // Event listeners for real-time updates
     this.eventListeners = new Map();
@@ -17,6 +21,7 @@ class LLMManager {
   async initialize() {
     try {
       const settings = await this.storageManager.getSettings();
+      this.providers.setCustomProviders(settings.customProviders);
       console.log('LLMManager: Initialized with', settings.connections.length, 'connections');
       return true;
     } catch (error) {
@@ -27,186 +32,766 @@ class LLMManager {
 
   // Send a message to the active LLM
   async sendMessage(messageText, pageContext = null, options = {}) {
-    const requestId = this.generateRequestId();
+    // Callers may pass their own requestId so they can listen for events before sending
+    const requestId = options.requestId || this.generateRequestId();
     console.log('LLMManager: Starting sendMessage, requestId:', requestId);
+
+    // Register the request so it can be cancelled while in flight
+    const controller = new AbortController();
+    this.activeRequests.set(requestId, { controller, startedAt: Date.now() });
+    options = { ...options, signal: controller.signal };
     
     try {
-      // Get active connection
-      const connection = await this.storageManager.getActiveConnection();
+      await this.checkBudget(requestId);
+
+      // Get active connection (or the one the caller picked) and the connections to fail over to
+      const { connection, fallbacks } = await this.getConnectionsForRequest(options);
       console.log('LLMManager: Active connection:', connection);
       if (!connection) {
         throw new Error('No active LLM connection configured');
       }
 
-      // Build message array
-      const messages = await this.buildMessageArray(messageText, pageContext, options);
-      console.log('LLMManager: Built messages:', messages);
-      
-      // Get provider
-      const provider = this.providers.getProvider(connection.type);
-      console.log('LLMManager: Using provider:', provider.name);
-      
-      // Send message based on streaming preference
-      if (options.streaming !== false && connection.features.streaming) {
-        console.log('LLMManager: Sending streaming message');
-        return await this.sendStreamingMessage(requestId, connection, provider, messages, options);
-      } else {
-        console.log('LLMManager: Sending single message');
-        return await this.sendSingleMessage(requestId, connection, provider, messages, options);
-      }
+      return await this.sendWithConnection(requestId, connection, fallbacks, messageText, pageContext, options);
     } catch (error) {
+      this.finishRequest(requestId);
+      // Cancelled while waiting in the queue
+      if (controller.signal.aborted && options.streaming !== false) {
+        this.emit('streamEnd', { requestId, fullContent: '', blocks: [], interrupted: true });
+        return { requestId, type: 'streaming' };
+      }
       this.emit('error', { requestId, error: error.message });
       throw error;
     }
   }
 
+  // Send a request through one connection. fallbacks are tried in order if it fails
+  // before producing any output.
+  async sendWithConnection(requestId, connection, fallbacks, messageText, pageContext, options) {
+    // Get provider
+    const provider = this.providers.getProvider(connection.type);
+    console.log('LLMManager: Using provider:', provider.name, 'on', connection.name);
+
+    if (options.images && options.images.length > 0 && !this.supportsVision(connection, provider)) {
+      throw new Error('The active connection does not accept images. Enable "Vision" on the connection in settings or remove the attached images.');
+    }
+
+    // Wait for a free slot on this connection
+    const release = await this.requestQueue.acquire(connection.id, {
+      concurrency: connection.maxConcurrentRequests || 2,
+      signal: options.signal,
+      onQueued: (position) => this.emit('requestStatus', { requestId, status: 'queued', position })
+    });
+    const request = this.activeRequests.get(requestId);
+    if (request) {
+      request.release = release;
+    } else {
+      release();
+    }
+
+    // Generation parameters from global settings and the connection, then the
+    // message array trimmed to the connection's context window
+    const settings = await this.storageManager.getSettings();
+    const generationOptions = this.getGenerationOptions(connection, options, settings.globalSettings);
+    const messages = await this.buildMessageArray(messageText, pageContext, generationOptions, connection);
+    console.log('LLMManager: Built messages:', messages.length);
+
+    // Providers without a structured output mode get the schema as an instruction instead
+    if (generationOptions.outputSchema && !provider.supportedFeatures?.structuredOutput) {
+      messages.unshift({ role: 'system', content: this.getOutputSchemaInstruction(generationOptions.outputSchema) });
+    }
+    const connectionOptions = this.getToolOptions(connection, provider, generationOptions);
+
+    const failover = fallbacks.length > 0
+      ? (error) => this.failover(requestId, connection, fallbacks, error, messageText, pageContext, options)
+      : null;
+    
+    // Send message based on streaming preference
+    if (connectionOptions.streaming !== false && connection.features.streaming) {
+      console.log('LLMManager: Sending streaming message');
+      return await this.sendStreamingMessage(requestId, connection, provider, messages, connectionOptions, failover);
+    } else {
+      console.log('LLMManager: Sending single message');
+      return await this.sendSingleMessage(requestId, connection, provider, messages, connectionOptions, failover);
+    }
+  }
+
+  // Hand a request that failed before producing any output to the next connection.
+  // The active connection in storage is left alone.
+  failover(requestId, connection, fallbacks, error, messageText, pageContext, options) {
+    const [next, ...rest] = fallbacks;
+    console.warn(`LLMManager: ${connection.name} failed (${error.message}), failing over to ${next.name}`);
+
+    this.releaseSlot(requestId);
+    this.emit('requestStatus', {
+      requestId,
+      status: 'failover',
+      from: connection.name,
+      to: next.name,
+      error: error.message
+    });
+
+    return this.sendWithConnection(requestId, next, rest, messageText, pageContext, options);
+  }
+
+  // The connection to send to first, then the enabled connections to fail over to by priority
+  async getConnectionsForRequest(options = {}) {
+    const settings = await this.storageManager.getSettings();
+    this.providers.setCustomProviders(settings.customProviders);
+    const excluded = options.excludeConnectionIds || [];
+    const candidates = settings.connections
+      .filter(conn => conn.enabled && !excluded.includes(conn.id))
+      .sort((a, b) => a.priority - b.priority);
+
+    // When the preferred connection is excluded (e.g. it just failed), the next by priority takes over
+    const preferredId = options.connectionId || settings.activeConnectionId;
+    const connection = candidates.find(conn => conn.id === preferredId) ||
+      (excluded.length > 0 ? candidates[0] : null) || null;
+
+    if (!connection || settings.fallbackEnabled === false || options.fallback === false) {
+      return { connection, fallbacks: [] };
+    }
+
+    // Only connections that can handle the request's images can take it over
+    const needsVision = options.images && options.images.length > 0;
+    const fallbacks = candidates.filter(conn =>
+      conn !== connection &&
+      (!needsVision || this.supportsVision(conn, this.providers.getProvider(conn.type)))
+    );
+
+    return { connection, fallbacks };
+  }
+
   // Send streaming message
-  async sendStreamingMessage(requestId, connection, provider, messages, options) {
+  async sendStreamingMessage(requestId, connection, provider, messages, options, failover = null) {
     console.log('LLMManager: Starting streaming message, requestId:', requestId);
     this.emit('streamStart', { requestId, connection: connection.name });
     
     try {
       console.log('LLMManager: Calling provider.sendStreamingMessage');
-      const responseStream = await provider.sendStreamingMessage(connection, messages, options);
+      const responseStream = await this.withRetry(requestId, options, () =>
+        provider.sendStreamingMessage(connection, messages, options)
+      );
       console.log('LLMManager: Got response stream:', responseStream);
-      const reader = responseStream.getReader();
-      
-      let accumulatedContent = '';
-      let allBlocks = [];
+
+      // Read in the background; the caller only waits for the response to start
+      this.consumeStream(requestId, connection, provider, messages, options, responseStream, failover);
       
-      const processChunk = async () => {
-        try {
-          console.log('LLMManager: Reading next chunk...');
+      return { requestId, type: 'streaming', connection: connection.name };
+    } catch (error) {
+      if (failover && !options.signal?.aborted) {
+        return await failover(error);
+      }
+      this.finishRequest(requestId);
+      if (options.signal?.aborted) {
+        this.emit('streamEnd', { requestId, fullContent: '', blocks: [], interrupted: true });
+        return { requestId, type: 'streaming' };
+      }
+      this.emit('streamError', { requestId, error: error.message });
+      throw error;
+    }
+  }
+
+  // Read a streamed response. When the model calls tools, run them and stream
+  // the follow-up response into the same message until a final answer arrives.
+  // A stream that fails before its first token goes to failover; later failures
+  // report the partial answer so the user can continue it on another connection.
+  async consumeStream(requestId, connection, provider, messages, options, responseStream, failover = null) {
+    const streamFormat = provider.streamFormat || 'openai-sse';
+    const conversation = [...messages];
+    
+    let accumulatedContent = '';
+    let allBlocks = [];
+    let usage = null;
+    let finishReason = null;
+    let toolRounds = 0;
+    let hasOutput = false;
+
+    const emitStreamEnd = (interrupted = false) => {
+      this.finishRequest(requestId);
+      usage = this.recordUsage(connection, usage, conversation, accumulatedContent);
+      this.emit('streamEnd', { 
+        requestId, 
+        fullContent: accumulatedContent,
+        blocks: allBlocks,
+        usage,
+        finishReason,
+        interrupted,
+        connectionId: connection.id,
+        connection: connection.name
+      });
+    };
+
+    try {
+      while (true) {
+        // Each stream gets its own parser so decoder state never leaks between requests
+        const streamParser = provider.createStreamParser(connection);
+        const reader = responseStream.getReader();
+        const toolCallParts = new Map();
+        const separator = accumulatedContent ? '\n\n' : '';
+        let turnContent = '';
+        let turnThinking = [];
+        let turnUsage = null;
+        let streamDone = false;
+        finishReason = null;
+
+        while (!streamDone) {
           const { done, value } = await reader.read();
-          
-          if (done) {
-            console.log('LLMManager: Stream finished, emitting streamEnd');
-            this.emit('streamEnd', { 
-              requestId, 
-              fullContent: accumulatedContent,
-              blocks: allBlocks
-            });
-            return;
-          }
 
-          const chunk = new TextDecoder().decode(value);
-          console.log('LLMManager: Raw chunk received:', chunk);
-          
-          const parsedChunks = this.streamParser.parseChunk(chunk, 'openai-sse');
-          console.log('LLMManager: Parsed chunks:', parsedChunks);
-          
-          for (const parsedChunk of parsedChunks) {
+          // Bytes go to the parser as-is; it decodes UTF-8 across chunk boundaries.
+          // At the end, flush any event still buffered without a trailing newline.
+          const parsedChunks = done
+            ? streamParser.flush(streamFormat)
+            : streamParser.parseChunk(value, streamFormat);
+
+          for (const chunk of parsedChunks) {
+            // Structured output forced through a tool call (Anthropic, Bedrock) is the tool's arguments
+            const parsedChunk = options.outputSchema && chunk.type === 'tool_call_delta'
+              ? { type: 'content', content: chunk.arguments || '' }
+              : chunk;
+
             if (parsedChunk.type === 'content') {
-              accumulatedContent += parsedChunk.content;
-              if (parsedChunk.blocks) {
-                allBlocks.push(...parsedChunk.blocks);
+              if (!turnContent && parsedChunk.content) {
+                accumulatedContent += separator;
               }
-              
-              console.log('LLMManager: Emitting streamChunk:', {
-                requestId,
-                content: parsedChunk.content,
-                fullContent: accumulatedContent
-              });
+              turnContent += parsedChunk.content;
+              accumulatedContent += parsedChunk.content;
+              hasOutput = true;
               
               this.emit('streamChunk', {
                 requestId,
                 content: parsedChunk.content,
-                blocks: parsedChunk.blocks,
+                blocks: allBlocks,
                 fullContent: accumulatedContent,
                 metadata: parsedChunk.metadata
               });
-            } else if (parsedChunk.type === 'done') {
-              console.log('LLMManager: Got done signal, emitting streamEnd');
-              this.emit('streamEnd', { 
-                requestId, 
-                fullContent: accumulatedContent,
-                blocks: allBlocks
+            } else if (parsedChunk.type === 'block_delta') {
+              // Block ids restart with every tool round's parser
+              streamParser.mergeBlocks(allBlocks, [{ ...parsedChunk, id: `${toolRounds}-${parsedChunk.id}` }]);
+              hasOutput = true;
+
+              this.emit('streamChunk', {
+                requestId,
+                content: '',
+                blocks: allBlocks,
+                fullContent: accumulatedContent
               });
-              return;
+            } else if (parsedChunk.type === 'tool_call_delta') {
+              const part = toolCallParts.get(parsedChunk.index) || { id: null, name: '', arguments: '' };
+              part.id = parsedChunk.id || part.id;
+              part.name = parsedChunk.name || part.name;
+              part.arguments += parsedChunk.arguments || '';
+              toolCallParts.set(parsedChunk.index, part);
+            } else if (parsedChunk.type === 'thinking_signature') {
+              turnThinking.push(parsedChunk.block);
+            } else if (parsedChunk.type === 'usage') {
+              turnUsage = parsedChunk.usage;
+            } else if (parsedChunk.type === 'finish') {
+              finishReason = parsedChunk.reason;
+            } else if (parsedChunk.type === 'error') {
+              throw new Error(parsedChunk.error);
+            } else if (parsedChunk.type === 'done') {
+              streamDone = true;
             }
           }
-          
-          // Continue reading
-          processChunk();
-        } catch (error) {
-          console.error('LLMManager: Stream processing error:', error);
-          this.emit('streamError', { requestId, error: error.message });
-          throw error;
+
+          if (done) break;
         }
-      };
-      
-      processChunk();
-      
-      return { requestId, type: 'streaming' };
+
+        if (streamDone) {
+          console.log('LLMManager: Got done signal');
+          reader.cancel().catch(() => {});
+        }
+        usage = this.addUsage(usage, turnUsage);
+
+        const toolCalls = [...toolCallParts.values()].map((part, index) => ({
+          id: part.id || `call_${toolRounds}_${index}`,
+          name: part.name,
+          arguments: provider.parseToolArguments(part.arguments)
+        }));
+
+        if (toolCalls.length === 0 || !options.tools) {
+          break;
+        }
+
+        // Run the tools and ask again with their results
+        hasOutput = true;
+        conversation.push({ role: 'assistant', content: turnContent, toolCalls, thinking: turnThinking });
+        for (const toolCall of toolCalls) {
+          conversation.push(await this.runToolCall(requestId, toolCall, options));
+        }
+        toolRounds++;
+
+        const roundOptions = this.getToolRoundOptions(options, toolRounds);
+        responseStream = await this.withRetry(requestId, options, () =>
+          provider.sendStreamingMessage(connection, conversation, roundOptions)
+        );
+      }
+
+      console.log('LLMManager: Stream finished, emitting streamEnd');
+      emitStreamEnd();
     } catch (error) {
-      this.emit('streamError', { requestId, error: error.message });
-      throw error;
+      // A cancelled request ends normally with whatever was generated so far
+      if (options.signal?.aborted) {
+        console.log('LLMManager: Stream cancelled, requestId:', requestId);
+        emitStreamEnd(true);
+        return;
+      }
+      // Nothing reached the user yet, so another connection can answer from scratch
+      if (failover && !hasOutput) {
+        try {
+          await failover(error);
+        } catch (failoverError) {
+          // Errors from the stream itself were already reported by the next attempt
+          if (options.signal?.aborted) {
+            this.emit('streamEnd', { requestId, fullContent: '', blocks: [], interrupted: true });
+          } else if (this.activeRequests.has(requestId)) {
+            this.finishRequest(requestId);
+            this.emit('streamError', { requestId, error: failoverError.message });
+          }
+        }
+        return;
+      }
+
+      console.error('LLMManager: Stream processing error:', error);
+      this.finishRequest(requestId);
+      this.recordUsage(connection, usage, conversation, accumulatedContent);
+
+      // Offer to continue the partial answer elsewhere when another connection is available
+      let canContinue = false;
+      if (accumulatedContent) {
+        const { connection: next } = await this.getConnectionsForRequest({ excludeConnectionIds: [connection.id] });
+        canContinue = !!next;
+      }
+
+      this.emit('streamError', {
+        requestId,
+        error: error.message,
+        partialContent: accumulatedContent,
+        blocks: allBlocks,
+        connectionId: connection.id,
+        connection: connection.name,
+        canContinue
+      });
     }
   }
 
   // Send single message (non-streaming)
-  async sendSingleMessage(requestId, connection, provider, messages, options) {
+  async sendSingleMessage(requestId, connection, provider, messages, options, failover = null) {
     this.emit('messageStart', { requestId, connection: connection.name });
     
     try {
-      const response = await provider.sendMessage(connection, messages, options);
-      const parsedResponse = this.streamParser.parseCompleteResponse(response.content);
+      let conversation = messages;
+      let response = await this.withRetry(requestId, options, () =>
+        provider.sendMessage(connection, conversation, options)
+      );
+      // Structured output forced through a tool call comes back as the call's arguments
+      if (options.outputSchema && !response.content && response.toolCalls?.length > 0) {
+        response = { ...response, content: JSON.stringify(response.toolCalls[0].arguments), toolCalls: [] };
+      }
+      const contentParts = response.content ? [response.content] : [];
+      const reasoningParts = response.reasoning ? [response.reasoning] : [];
+      let usage = this.addUsage(null, response.usage);
+      let toolRounds = 0;
+
+      // Keep answering tool calls until the model replies with text only
+      while (options.tools && response.toolCalls && response.toolCalls.length > 0) {
+        conversation = [...conversation, { role: 'assistant', content: response.content, toolCalls: response.toolCalls, thinking: response.thinkingBlocks }];
+        for (const toolCall of response.toolCalls) {
+          conversation.push(await this.runToolCall(requestId, toolCall, options));
+        }
+        toolRounds++;
+
+        const roundOptions = this.getToolRoundOptions(options, toolRounds);
+        response = await this.withRetry(requestId, options, () =>
+          provider.sendMessage(connection, conversation, roundOptions)
+        );
+        if (response.content) {
+          contentParts.push(response.content);
+        }
+        if (response.reasoning) {
+          reasoningParts.push(response.reasoning);
+        }
+        usage = this.addUsage(usage, response.usage);
+      }
+
+      const fullContent = contentParts.join('\n\n');
+      const parsedResponse = new StreamParser({ customTags: connection.reasoningTags }).parseCompleteResponse(fullContent);
+      if (reasoningParts.length > 0) {
+        parsedResponse.blocks.unshift({ id: 'reasoning', type: 'reasoning', content: reasoningParts.join('\n\n').trim() });
+      }
+      usage = this.recordUsage(connection, usage, conversation, fullContent, response.model);
       
       const result = {
         requestId,
         type: 'complete',
         content: parsedResponse.content,
         blocks: parsedResponse.blocks,
-        usage: response.usage,
+        usage,
         model: response.model,
-        finishReason: response.finishReason
+        finishReason: response.finishReason,
+        connectionId: connection.id,
+        connection: connection.name
       };
       
+      this.finishRequest(requestId);
       this.emit('messageComplete', result);
       return result;
     } catch (error) {
+      if (failover && !options.signal?.aborted) {
+        return await failover(error);
+      }
+      this.finishRequest(requestId);
       this.emit('messageError', { requestId, error: error.message });
       throw error;
     }
   }
 
+  // Add up token usage across the rounds of a tool-calling request
+  addUsage(total, usage) {
+    if (!usage) return total;
+
+    const promptTokens = (total?.prompt_tokens || 0) + (usage.prompt_tokens || 0);
+    const completionTokens = (total?.completion_tokens || 0) + (usage.completion_tokens || 0);
+    return {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: promptTokens + completionTokens
+    };
+  }
+
+  // Save a finished request's usage for the usage dashboard. Providers that report
+  // nothing (many local servers) get an estimate, flagged as such.
+  recordUsage(connection, usage, messages, content, model = null) {
+    let estimated = false;
+    if (!usage && content) {
+      const promptTokens = this.estimateMessagesTokens(messages);
+      const completionTokens = this.estimateTokens(content);
+      usage = { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens };
+      estimated = true;
+    }
+    if (!usage) return null;
+
+    this.usageTracker.record(connection, model || connection.model, usage, { estimated });
+    return {
+      ...usage,
+      cost: this.usageTracker.calculateCost(connection, this.usageTracker.normalizeUsage(usage)),
+      estimated
+    };
+  }
+
+  // Warn about, or refuse, requests once the monthly budget is spent
+  async checkBudget(requestId) {
+    const settings = await this.storageManager.getSettings();
+    const budget = await this.usageTracker.checkBudget(settings.globalSettings);
+    if (!budget || !budget.exceeded) return;
+
+    const message = `Monthly budget of $${budget.budget.toFixed(2)} reached ($${budget.spent.toFixed(2)} spent this month)`;
+    if (budget.action === 'block') {
+      throw new Error(`${message}. Raise the budget in settings to keep sending.`);
+    }
+
+    console.warn('LLMManager:', message);
+    this.emit('requestStatus', { requestId, status: 'budgetWarning', message, spent: budget.spent, budget: budget.budget });
+  }
+
+  // Resolve generation parameters. Values passed with the request win, then the
+  // connection's own parameters, then the global settings.
+  getGenerationOptions(connection, options, globalSettings = {}) {
+    const parameters = connection.parameters || {};
+
+    return {
+      ...options,
+      streaming: options.streaming !== false && globalSettings.streamingEnabled !== false,
+      maxTokens: options.maxTokens ?? parameters.maxTokens ?? globalSettings.maxTokens ?? 4000,
+      temperature: options.temperature ?? parameters.temperature ?? globalSettings.temperature ?? 0.7,
+      topP: options.topP ?? parameters.topP,
+      stop: options.stop ?? parameters.stop,
+      seed: options.seed ?? parameters.seed,
+      presencePenalty: options.presencePenalty ?? parameters.presencePenalty,
+      frequencyPenalty: options.frequencyPenalty ?? parameters.frequencyPenalty,
+      extraBody: options.extraBody ?? parameters.extraBody
+    };
+  }
+
+  // Tools are only offered when the caller can run them and the connection opted in.
+  // Structured output requests get none, since their answer has to be the JSON itself.
+  getToolOptions(connection, provider, options) {
+    const toolsEnabled = !options.outputSchema && options.tools && options.tools.length > 0 &&
+      typeof options.executeTool === 'function' &&
+      connection.features?.toolCalling &&
+      provider.supportedFeatures?.functionCalling;
+
+    return toolsEnabled ? options : { ...options, tools: null };
+  }
+
+  // Schema instruction for connections that cannot constrain their output
+  getOutputSchemaInstruction(outputSchema) {
+    return 'Answer with a single JSON value and nothing else: no prose and no code fences. ' +
+      `It must match this JSON schema:\n${JSON.stringify(outputSchema.schema, null, 2)}`;
+  }
+
+  // After too many tool rounds, the model has to answer with what it has
+  getToolRoundOptions(options, toolRounds) {
+    const maxToolRounds = options.maxToolRounds || 5;
+    return toolRounds >= maxToolRounds ? { ...options, toolChoice: 'none' } : options;
+  }
+
+  // Run one tool call through options.executeTool and turn the outcome into a tool message
+  async runToolCall(requestId, toolCall, options) {
+    console.log('LLMManager: Running tool:', toolCall.name, toolCall.arguments);
+    this.emit('toolCall', { requestId, toolCall });
+
+    let content;
+    let isError = false;
+    try {
+      const result = await options.executeTool(toolCall);
+      content = typeof result === 'string' ? result : JSON.stringify(result);
+    } catch (error) {
+      console.warn('LLMManager: Tool failed:', toolCall.name, error);
+      content = `Error: ${error.message}`;
+      isError = true;
+    }
+
+    this.emit('toolResult', { requestId, toolCallId: toolCall.id, name: toolCall.name, result: content, isError });
+
+    return {
+      role: 'tool',
+      toolCallId: toolCall.id,
+      name: toolCall.name,
+      content
+    };
+  }
+
   // Build message array from input
-  async buildMessageArray(messageText, pageContext = null, options = {}) {
-    const messages = [];
+  async buildMessageArray(messageText, pageContext = null, options = {}, connection = null) {
+    const systemMessages = [];
     
     // Add system message if needed
     if (options.systemMessage) {
-      messages.push({
+      systemMessages.push({
         role: 'system',
         content: options.systemMessage
       });
     }
 
     // Add page context if available
+    let contextMessage = null;
     if (pageContext && options.includeContext !== false) {
-      const contextMessage = this.formatPageContext(pageContext);
-      if (contextMessage) {
-        messages.push({
-          role: 'system',
-          content: contextMessage
-        });
-      }
+      contextMessage = this.formatPageContext(pageContext);
     }
 
     // Add conversation history if provided
+    let history = [];
     if (options.conversationHistory && Array.isArray(options.conversationHistory)) {
-      messages.push(...options.conversationHistory);
+      history = options.conversationHistory
+        .filter(message => message && message.content && (message.role === 'user' || message.role === 'assistant'))
+        .map(message => ({ role: message.role, content: message.content }));
+    }
+
+    let userContent = messageText;
+
+    // Trim history, page context and finally the question to fit the context window
+    if (connection) {
+      ({ history, contextMessage, userContent } = this.fitToContextWindow(
+        { systemMessages, contextMessage, pageContext, history, userContent },
+        connection,
+        options
+      ));
     }
 
-    // Add current user message
+    const messages = [...systemMessages];
+    if (contextMessage) {
+      messages.push({
+        role: 'system',
+        content: contextMessage
+      });
+    }
+    messages.push(...history);
+
+    // Add current user message, with any attached images as extra parts
+    const images = options.images || [];
     messages.push({
       role: 'user',
-      content: messageText
+      content: images.length > 0
+        ? [
+          { type: 'text', text: userContent },
+          ...images.map(image => ({ type: 'image', mediaType: image.mediaType, data: image.data }))
+        ]
+        : userContent
     });
 
+    // Continuing an answer another connection started: show the model what was already written
+    if (options.continueFrom) {
+      messages.push(
+        { role: 'assistant', content: options.continueFrom },
+        { role: 'user', content: 'Your previous answer was cut off. Continue it exactly where it stopped, without repeating anything or adding an introduction.' }
+      );
+    }
+
     return messages;
   }
 
+  // Providers advertise vision; connections to models behind generic APIs can opt in
+  supportsVision(connection, provider) {
+    return !!(connection.features?.vision || provider.supportedFeatures?.vision);
+  }
+
+  // Fit the pieces of a request into the connection's context window.
+  // Oldest turns are condensed first, then the page context is cut, and the
+  // newest question is only truncated when nothing else is left to remove.
+  fitToContextWindow({ systemMessages, contextMessage, pageContext = null, history, userContent }, connection, options = {}) {
+    const contextWindow = connection.features?.contextWindow || 4096;
+    const responseReserve = Math.min(options.maxTokens || 4000, Math.floor(contextWindow / 4));
+    const perMessageOverhead = this.tokenEstimator.messageOverhead;
+
+    // Images are counted at a flat rough cost each
+    const imageTokens = (options.images || []).length * this.tokenEstimator.imageTokens;
+    const continuationTokens = options.continueFrom ? this.estimateTokens(options.continueFrom) + 40 : 0;
+    const fixedTokens = systemMessages.reduce(
+      (sum, message) => sum + this.estimateTokens(message.content) + perMessageOverhead, 0
+    ) + imageTokens + continuationTokens;
+    const questionTokens = this.estimateTokens(userContent) + perMessageOverhead;
+    const contextTokens = contextMessage ? this.estimateTokens(contextMessage) + perMessageOverhead : 0;
+    const historyTokens = this.estimateMessagesTokens(history);
+
+    const available = contextWindow - responseReserve - fixedTokens - questionTokens;
+
+    console.log('LLMManager: Estimated request size:', {
+      contextWindow,
+      responseReserve,
+      system: fixedTokens - imageTokens - continuationTokens,
+      images: imageTokens,
+      pageContent: pageContext ? this.estimateTokens(pageContext.markdownContent || pageContext.visibleText) : 0,
+      pluginContent: pageContext ? this.estimateTokens(pageContext.pluginContent) : 0,
+      selection: pageContext ? this.estimateTokens(pageContext.selectedText) : 0,
+      history: historyTokens,
+      question: questionTokens
+    });
+
+    // Everything fits, send as is
+    if (contextTokens + historyTokens <= available) {
+      return { history, contextMessage, userContent };
+    }
+
+    // When page context competes for the space, history keeps at least half of it,
+    // and more when the page context needs less than the other half
+    const historyBudget = contextMessage
+      ? Math.max(Math.floor(available / 2), available - contextTokens)
+      : available;
+
+    let keptHistory = history;
+    if (historyTokens > historyBudget) {
+      keptHistory = this.trimHistory(history, Math.max(historyBudget, 0));
+    }
+
+    let remaining = available - this.estimateMessagesTokens(keptHistory);
+
+    // Cut the page context to whatever space the history left over
+    let keptContext = contextMessage;
+    if (keptContext && contextTokens > remaining) {
+      const contextBudget = remaining - perMessageOverhead;
+      if (contextBudget <= 200) {
+        keptContext = null;
+      } else if (pageContext) {
+        keptContext = this.fitPageContext(pageContext, contextBudget);
+      } else {
+        const note = '\n\n[Page context truncated to fit the context window]';
+        keptContext = this.truncateToTokens(keptContext, contextBudget - this.estimateTokens(note)) + note;
+      }
+    }
+    remaining -= keptContext ? this.estimateTokens(keptContext) + perMessageOverhead : 0;
+
+    // Last resort: the question itself is larger than the window
+    let keptQuestion = userContent;
+    if (remaining < 0) {
+      const note = '\n\n[Message truncated to fit the context window]';
+      const questionBudget = Math.max(questionTokens + remaining - perMessageOverhead - this.estimateTokens(note), 0);
+      keptQuestion = this.truncateToTokens(userContent, questionBudget) + note;
+    }
+
+    console.log('LLMManager: Trimmed request to fit context window:', {
+      contextWindow,
+      historyMessages: `${keptHistory.length}/${history.length}`,
+      pageContextKept: !!keptContext,
+      questionTruncated: keptQuestion !== userContent
+    });
+
+    return { history: keptHistory, contextMessage: keptContext, userContent: keptQuestion };
+  }
+
+  // Drop the oldest turns until the history fits, replacing them with a short recap
+  trimHistory(history, budget) {
+    const kept = [...history];
+    const dropped = [];
+
+    while (kept.length > 0 && this.estimateMessagesTokens(kept) > budget) {
+      dropped.push(kept.shift());
+    }
+
+    // Conversations must resume on a user turn
+    while (kept.length > 0 && kept[0].role !== 'user') {
+      dropped.push(kept.shift());
+    }
+
+    if (dropped.length === 0) {
+      return kept;
+    }
+
+    const summary = this.summarizeTurns(dropped);
+    const summaryMessage = { role: 'user', content: summary };
+    const acknowledgement = { role: 'assistant', content: 'Understood.' };
+
+    if (this.estimateMessagesTokens([summaryMessage, acknowledgement, ...kept]) <= budget) {
+      return [summaryMessage, acknowledgement, ...kept];
+    }
+
+    return kept;
+  }
+
+  // Condense dropped turns into a brief recap of what was discussed
+  summarizeTurns(messages) {
+    const lines = messages.map(message => {
+      const speaker = message.role === 'user' ? 'User' : 'Assistant';
+      const text = String(message.content).replace(/\s+/g, ' ').trim();
+      return `- ${speaker}: ${text.length > 160 ? text.substring(0, 157) + '...' : text}`;
+    });
+
+    return `Summary of the earlier part of this conversation (older messages were shortened to save space):\n${lines.join('\n')}`;
+  }
+
+  // Shrink the page context to a token budget. The page body is cut first,
+  // then plugin content (e.g. captions), and the user's selection last.
+  fitPageContext(pageContext, budget) {
+    const note = '\n\n[Truncated to fit the context window]';
+    const context = { ...pageContext };
+
+    for (const field of ['markdownContent', 'visibleText', 'pluginContent', 'selectedText']) {
+      const overflow = this.estimateTokens(this.formatPageContext(context)) - budget;
+      if (overflow <= 0) break;
+      if (!context[field]) continue;
+
+      const keep = this.estimateTokens(context[field]) - overflow - this.estimateTokens(note);
+      context[field] = keep > 50 ? this.truncateToTokens(context[field], keep) + note : '';
+    }
+
+    const contextMessage = this.formatPageContext(context);
+    return this.estimateTokens(contextMessage) <= budget ? contextMessage : null;
+  }
+
+  // Token estimates (see js/token-estimator.js)
+  estimateTokens(text) {
+    return this.tokenEstimator.estimate(text);
+  }
+
+  estimateMessagesTokens(messages) {
+    return this.tokenEstimator.estimateMessages(messages);
+  }
+
+  // Cut text down to roughly the given number of tokens
+  truncateToTokens(text, maxTokens) {
+    return this.tokenEstimator.truncate(text, maxTokens);
+  }
+
   // Format page context for LLM
   formatPageContext(pageContext) {
     let contextText = 'Current webpage context:\n';
@@ -284,9 +869,12 @@ class LLMManager {
     }
   }
 
+  // Run the provider's connection checks (model list, completion, streaming)
   async testConnection(connectionData) {
     try {
-      const result = await this.storageManager.testConnection(connectionData);
+      await this.loadCustomProviders();
+      const provider = this.providers.getProvider(connectionData.type);
+      const result = await provider.testConnection(connectionData);
       this.emit('connectionTested', { connectionData, result });
       return result;
     } catch (error) {
@@ -295,6 +883,37 @@ class LLMManager {
     }
   }
 
+  // Models of a connection with their metadata. Lists are cached in storage so the
+  // popup and settings page share them; refresh skips the cache.
+  async listModels(connectionData, { refresh = false } = {}) {
+    const cacheKey = connectionData.id || `${connectionData.type}|${connectionData.endpoint}`;
+    const stored = await chrome.storage.local.get(this.modelCacheKey);
+    const cache = stored[this.modelCacheKey] || {};
+    const cached = cache[cacheKey];
+
+    if (!refresh && cached && Date.now() - cached.fetchedAt < this.modelCacheTtl) {
+      return { models: cached.models, fetchedAt: cached.fetchedAt, cached: true };
+    }
+
+    await this.loadCustomProviders();
+    const provider = this.providers.getProvider(connectionData.type);
+    const models = await provider.listModels(connectionData);
+    if (!models) {
+      throw new Error(`${provider.name} does not list models`);
+    }
+
+    const entry = { models, fetchedAt: Date.now() };
+    cache[cacheKey] = entry;
+    await chrome.storage.local.set({ [this.modelCacheKey]: cache });
+    return { ...entry, cached: false };
+  }
+
+  // Custom provider specs live in settings and may change while the worker runs
+  async loadCustomProviders() {
+    const settings = await this.storageManager.getSettings();
+    this.providers.setCustomProviders(settings.customProviders);
+  }
+
   // Get available connections
   async getConnections() {
     try {
@@ -315,40 +934,6 @@ class LLMManager {
     }
   }
 
-  // Fallback handling
-  async sendMessageWithFallback(messageText, pageContext = null, options = {}) {
-    const enabledConnections = await this.storageManager.getEnabledConnections();
-    
-    if (enabledConnections.length === 0) {
-      throw new Error('No enabled connections available');
-    }
-
-    let lastError;
-    
-    for (const connection of enabledConnections) {
-      try {
-        // Temporarily set as active
-        const originalActive = await this.storageManager.getActiveConnection();
-        await this.storageManager.setActiveConnection(connection.id);
-        
-        const result = await this.sendMessage(messageText, pageContext, options);
-        
-        // Restore original active connection if different
-        if (originalActive && originalActive.id !== connection.id) {
-          await this.storageManager.setActiveConnection(originalActive.id);
-        }
-        
-        return result;
-      } catch (error) {
-        lastError = error;
-        console.warn(`LLMManager: Connection ${connection.name} failed:`, error.message);
-        continue;
-      }
-    }
-    
-    throw lastError || new Error('All connections failed');
-  }
-
   // Event system
   on(event, callback) {
     if (!this.eventListeners.has(event)) {
@@ -385,24 +970,162 @@ class LLMManager {
     return Date.now().toString(36) + Math.random().toString(36).substr(2);
   }
 
-  // Cancel active request
+  // Cancel active request. Returns true if the request was still running.
   cancelRequest(requestId) {
     if (this.activeRequests.has(requestId)) {
       const request = this.activeRequests.get(requestId);
       if (request.controller) {
         request.controller.abort();
       }
-      this.activeRequests.delete(requestId);
+      this.finishRequest(requestId);
       this.emit('requestCancelled', { requestId });
+      return true;
+    }
+    return false;
+  }
+
+  // Forget a finished request and free its slot in the connection queue
+  finishRequest(requestId) {
+    this.releaseSlot(requestId);
+    this.activeRequests.delete(requestId);
+  }
+
+  // Free the request's slot in its connection queue (e.g. before failing over)
+  releaseSlot(requestId) {
+    const request = this.activeRequests.get(requestId);
+    if (request && request.release) {
+      request.release();
+      request.release = null;
+    }
+  }
+
+  // Call a provider, retrying rate limits and server errors with exponential backoff.
+  // Only the request is retried; a response that already started streaming never is,
+  // so retries cannot duplicate content.
+  async withRetry(requestId, options, call) {
+    const maxRetries = options.maxRetries ?? 3;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await call();
+      } catch (error) {
+        if (options.signal?.aborted || attempt >= maxRetries || !this.isRetryableError(error)) {
+          throw error;
+        }
+
+        const delay = this.getRetryDelay(error, attempt);
+        if (delay === null) {
+          throw error;
+        }
+
+        console.warn(`LLMManager: Request failed (${error.message}), retry ${attempt + 1}/${maxRetries} in ${delay}ms`);
+        this.emit('requestStatus', {
+          requestId,
+          status: error.status === 429 ? 'rateLimited' : 'retrying',
+          retryInMs: delay,
+          attempt: attempt + 1,
+          maxRetries
+        });
+
+        await BaseProvider.sleep(delay, options.signal);
+      }
+    }
+  }
+
+  isRetryableError(error) {
+    if (error instanceof ProviderError) {
+      return error.isRetryable;
+    }
+    // fetch rejects with a TypeError when the network request itself fails
+    return error.name === 'TypeError' && /fetch|network/i.test(error.message);
+  }
+
+  // Delay before the next attempt, or null when the server asks for a longer pause than we wait
+  getRetryDelay(error, attempt) {
+    const maxDelay = 60000;
+    const jitter = Math.random() * 250;
+
+    const retryAfter = this.getRetryAfterMs(error.headers);
+    if (retryAfter !== null) {
+      return retryAfter <= maxDelay ? Math.round(retryAfter + jitter) : null;
     }
+
+    // Exponential backoff (1s, 2s, 4s...) with jitter so parallel requests spread out
+    const base = Math.min(1000 * 2 ** attempt, 30000);
+    return Math.round(base / 2 + Math.random() * (base / 2));
+  }
+
+  // Read how long the server wants us to wait from Retry-After or x-ratelimit-* headers
+  getRetryAfterMs(headers) {
+    if (!headers || typeof headers.get !== 'function') {
+      return null;
+    }
+
+    const retryAfterMs = parseFloat(headers.get('retry-after-ms'));
+    if (!isNaN(retryAfterMs)) {
+      return Math.max(0, retryAfterMs);
+    }
+
+    const retryAfter = headers.get('retry-after');
+    if (retryAfter) {
+      if (/^\d+(\.\d+)?$/.test(retryAfter.trim())) {
+        return parseFloat(retryAfter) * 1000;
+      }
+      const date = Date.parse(retryAfter);
+      if (!isNaN(date)) {
+        return Math.max(0, date - Date.now());
+      }
+    }
+
+    // Wait for whichever exhausted limit resets last
+    const resets = [];
+    for (const limit of ['requests', 'tokens']) {
+      if (headers.get(`x-ratelimit-remaining-${limit}`) === '0') {
+        const reset = this.parseResetTime(headers.get(`x-ratelimit-reset-${limit}`));
+        if (reset !== null) {
+          resets.push(reset);
+        }
+      }
+    }
+    if (headers.get('x-ratelimit-remaining') === '0') {
+      const reset = this.parseResetTime(headers.get('x-ratelimit-reset'));
+      if (reset !== null) {
+        resets.push(reset);
+      }
+    }
+
+    return resets.length > 0 ? Math.max(...resets) : null;
+  }
+
+  // Reset values come as durations ("1s", "6m0s", "20ms"), seconds, or epoch timestamps
+  parseResetTime(value) {
+    if (!value) return null;
+    const text = String(value).trim();
+
+    if (/^\d+(\.\d+)?$/.test(text)) {
+      const number = parseFloat(text);
+      if (number > 1e12) return Math.max(0, number - Date.now()); // epoch milliseconds
+      if (number > 1e9) return Math.max(0, number * 1000 - Date.now()); // epoch seconds
+      return number * 1000;
+    }
+
+    const units = { h: 3600000, m: 60000, s: 1000, ms: 1 };
+    let total = 0;
+    let matched = false;
+    for (const [, amount, unit] of text.matchAll(/(\d+(?:\.\d+)?)(ms|h|m|s)/g)) {
+      total += parseFloat(amount) * units[unit];
+      matched = true;
+    }
+
+    return matched ? total : null;
   }
 
   // Get manager status
   getStatus() {
     return {
       activeRequests: this.activeRequests.size,
-      queueLength: this.requestQueue.length,
-      isProcessingQueue: this.isProcessingQueue
+      queueLength: this.requestQueue.getQueueLength(),
+      queues: this.requestQueue.getStatus()
     };
   }
 
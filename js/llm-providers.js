@@ -3,17 +3,61 @@ class LLMProviders {
   constructor() {
     this.providers = {
       'openai': new OpenAIProvider(),
+      'openai-responses': new OpenAIResponsesProvider(),
       'openai-compatible': new OpenAICompatibleProvider(),
-      'anthropic': new AnthropicProvider()
+      'anthropic': new AnthropicProvider(),
+      'gemini': new GeminiProvider(),
+      'ollama': new OllamaProvider(),
+      'azure-openai': new AzureOpenAIProvider(),
+      'bedrock': new BedrockProvider(),
+      'llamacpp': new LlamaCppProvider(),
+      'mock': new MockProvider()
     };
+    this.customDefinitions = new Map(); // id -> { id, name, spec } from settings
+  }
+
+  // User-defined providers from settings, used by connections of type "custom:<id>"
+  setCustomProviders(definitions = []) {
+    this.customDefinitions = new Map((definitions || []).map(definition => [definition.id, definition]));
   }
 
   getProvider(type) {
+    if (type && type.startsWith('custom:')) {
+      return this.getCustomProvider(type.substring('custom:'.length));
+    }
     return this.providers[type] || this.providers['openai-compatible'];
   }
 
+  // Custom providers are built from their spec when asked for, so edits apply to the next request
+  getCustomProvider(id) {
+    const definition = this.customDefinitions.get(id);
+    if (!definition) {
+      throw new Error(`Custom provider not found: ${id}`);
+    }
+    return new CustomProvider(definition);
+  }
+
   listProviders() {
-    return Object.keys(this.providers);
+    return [
+      ...Object.keys(this.providers),
+      ...[...this.customDefinitions.keys()].map(id => `custom:${id}`)
+    ];
+  }
+}
+
+// Error returned by a provider's HTTP API. Keeps the status and headers so
+// callers can tell rate limits and server errors apart and honour Retry-After.
+class ProviderError extends Error {
+  constructor(message, response = null) {
+    super(message);
+    this.name = 'ProviderError';
+    this.status = response ? response.status : null;
+    this.headers = response ? response.headers : null;
+  }
+
+  // Rate limits, timeouts and server errors are worth another try
+  get isRetryable() {
+    return this.status === 408 || this.status === 409 || this.status === 429 || this.status >= 500;
   }
 }
 
@@ -21,12 +65,17 @@ class LLMProviders {
 class BaseProvider {
   constructor() {
     this.name = 'Base';
+    this.streamFormat = 'openai-sse'; // StreamParser format used for streamed responses
+    this.selectsModel = true; // false for servers that run whichever model they loaded
+    this.embeddingBatchSize = 100; // Texts per embedding request
     this.supportedFeatures = {
       streaming: false,
       reasoning: false,
       thinking: false,
       functionCalling: false,
-      vision: false
+      vision: false,
+      structuredOutput: false,
+      embeddings: false
     };
   }
 
@@ -38,6 +87,12 @@ class BaseProvider {
     throw new Error('sendStreamingMessage must be implemented by provider');
   }
 
+  // Embedding vectors for texts, in the same order: { embeddings, model, usage }.
+  // options.model is the embedding model, which is rarely the connection's chat model.
+  async embed(connection, texts, options = {}) {
+    throw new Error(`${this.name} does not support embeddings`);
+  }
+
   validateConnection(connection) {
     if (!connection.endpoint) {
       throw new Error('Endpoint is required');
@@ -45,18 +100,334 @@ class BaseProvider {
     return true;
   }
 
+  // Models available on the connection, or null when the API has no model list.
+  // Each entry is normalized with normalizeModel.
+  async listModels(connection) {
+    return null;
+  }
+
+  // Model metadata in one shape for every provider. Anything the API does not
+  // report is null, so callers can tell "no" from "unknown".
+  normalizeModel(model) {
+    const number = (value) => Number.isFinite(Number(value)) && Number(value) > 0 ? Number(value) : null;
+    const flag = (value) => typeof value === 'boolean' ? value : null;
+
+    return {
+      id: model.id,
+      name: model.name || model.id,
+      contextWindow: number(model.contextWindow),
+      maxOutputTokens: number(model.maxOutputTokens),
+      vision: flag(model.vision),
+      tools: flag(model.tools),
+      reasoning: flag(model.reasoning)
+    };
+  }
+
+  // GET a JSON document from the provider's API
+  async fetchJSON(url, connection, headers = this.buildHeaders(connection)) {
+    const response = await fetch(url, {
+      method: 'GET',
+      headers,
+      signal: AbortSignal.timeout(connection.timeout || 10000)
+    });
+
+    if (!response.ok) {
+      const error = await response.text();
+      throw new ProviderError(`${this.name} API error: ${response.status} - ${error}`, response);
+    }
+
+    return response.json();
+  }
+
+  // POST a JSON body and return the JSON response, for endpoints outside the chat flow
+  async postJSON(url, connection, body, options = {}, headers = this.buildHeaders(connection)) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body),
+      signal: this.getRequestSignal(connection, options)
+    });
+
+    if (!response.ok) {
+      const error = await response.text();
+      throw new ProviderError(`${this.name} API error: ${response.status} - ${error}`, response);
+    }
+
+    return response.json();
+  }
+
+  // Check a connection step by step: list models, send a tiny completion, then
+  // stream one. Every check is reported on its own ({ name, label, status, message,
+  // durationMs } with status 'passed', 'failed' or 'skipped') so the settings page
+  // can show what works and what does not.
+  async testConnection(connection) {
+    const checks = [];
+    const result = {
+      success: false,
+      latencyMs: null,
+      timeToFirstTokenMs: null,
+      streaming: null,
+      modelFound: null,
+      checks
+    };
+
+    const run = async (name, label, check) => {
+      const startedAt = Date.now();
+      try {
+        const outcome = await check();
+        checks.push({ name, label, durationMs: Date.now() - startedAt, status: 'passed', ...outcome });
+      } catch (error) {
+        checks.push({ name, label, durationMs: Date.now() - startedAt, status: 'failed', message: error.name === 'TimeoutError' ? 'Request timeout' : error.message });
+      }
+      return checks[checks.length - 1];
+    };
+
+    const config = await run('config', 'Configuration', async () => {
+      this.validateConnection(connection);
+      return { message: `${this.name} connection settings look complete` };
+    });
+    if (config.status === 'failed') {
+      result.message = config.message;
+      return result;
+    }
+
+    // Model list, and whether the chosen model is on it
+    let models = null;
+    await run('models', 'List models', async () => {
+      try {
+        models = await this.listModels(connection);
+      } catch (error) {
+        if (error.status === 404) {
+          return { status: 'skipped', message: 'The server has no model list' };
+        }
+        throw error;
+      }
+      if (!models) {
+        return { status: 'skipped', message: `${this.name} has no model list` };
+      }
+      return { message: `${models.length} model${models.length === 1 ? '' : 's'} available` };
+    });
+
+    if (models && this.selectsModel) {
+      const modelCheck = await run('model', 'Model available', async () => {
+        const model = connection.model.replace(/^models\//, '');
+        // Ollama lists untagged models as "name:latest"
+        if (!models.some(entry => entry.id === model || entry.id === `${model}:latest`)) {
+          throw new Error(`Model "${connection.model}" is not in the server's model list`);
+        }
+        return { message: `Found ${connection.model}` };
+      });
+      result.modelFound = modelCheck.status === 'passed';
+    }
+
+    // A tiny completion proves the key, model and request format work together
+    const probe = [{ role: 'user', content: 'Reply with the word OK.' }];
+    const probeOptions = { maxTokens: 16, temperature: 0, extraBody: connection.parameters?.extraBody };
+    const completion = await run('completion', 'Completion', async () => {
+      const response = await this.sendMessage(connection, probe, probeOptions);
+      const reply = (response.content || '').trim();
+      return { message: reply ? `Replied "${reply.substring(0, 40)}"` : 'Replied with no text' };
+    });
+    if (completion.status === 'passed') {
+      result.latencyMs = completion.durationMs;
+    }
+
+    // Streaming, timed to the first token
+    if (this.supportedFeatures.streaming && connection.features?.streaming !== false) {
+      const streaming = await run('streaming', 'Streaming', async () => {
+        const startedAt = Date.now();
+        const stream = await this.sendStreamingMessage(connection, probe, {
+          ...probeOptions,
+          signal: AbortSignal.timeout(connection.timeout || 30000)
+        });
+        const timeToFirstToken = await this.measureFirstToken(stream, connection);
+        if (timeToFirstToken === null) {
+          return { message: 'Stream ended without any text' };
+        }
+        result.timeToFirstTokenMs = timeToFirstToken - startedAt;
+        return { message: `First token after ${result.timeToFirstTokenMs} ms` };
+      });
+      result.streaming = streaming.status === 'passed';
+    } else {
+      checks.push({ name: 'streaming', label: 'Streaming', status: 'skipped', message: 'Streaming is turned off for this connection' });
+    }
+
+    const failed = checks.find(check => check.status === 'failed');
+    result.success = !failed;
+    result.message = failed
+      ? `${failed.label}: ${failed.message}`
+      : `Connection successful (${result.latencyMs} ms)`;
+    return result;
+  }
+
+  // Parser for this provider's streamed responses
+  createStreamParser(connection) {
+    return new StreamParser({ customTags: connection.reasoningTags });
+  }
+
+  // Read a response stream until its first text or reasoning arrives. Returns the
+  // time it arrived, or null when the stream ended without any.
+  async measureFirstToken(stream, connection) {
+    const streamParser = this.createStreamParser(connection);
+    const reader = stream.getReader();
+
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        const results = done
+          ? streamParser.flush(this.streamFormat)
+          : streamParser.parseChunk(value, this.streamFormat);
+
+        const error = results.find(result => result.type === 'error');
+        if (error) {
+          throw new Error(error.error);
+        }
+        if (results.some(result => (result.type === 'content' && result.content) || result.type === 'block_delta')) {
+          return Date.now();
+        }
+        if (done || results.some(result => result.type === 'done')) {
+          return null;
+        }
+      }
+    } finally {
+      reader.cancel().catch(() => {});
+    }
+  }
+
+  // Wait, but stop early if the request is cancelled. Shared by retries and the mock provider.
+  static sleep(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(signal.reason || new DOMException('Request aborted', 'AbortError'));
+        return;
+      }
+
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason || new DOMException('Request aborted', 'AbortError'));
+      };
+      const timer = setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+  }
+
+  // Abort signal for a request: the caller's cancel signal plus, optionally, the connection timeout
+  getRequestSignal(connection, options = {}, withTimeout = true) {
+    const signals = [];
+    if (options.signal) {
+      signals.push(options.signal);
+    }
+    if (withTimeout) {
+      signals.push(AbortSignal.timeout(connection.timeout || 30000));
+    }
+    if (signals.length === 0) {
+      return undefined;
+    }
+    return signals.length === 1 ? signals[0] : AbortSignal.any(signals);
+  }
+
+  // Tool call arguments arrive as JSON text; a malformed payload is passed on as-is
+  parseToolArguments(text) {
+    if (!text) {
+      return {};
+    }
+    if (typeof text === 'object') {
+      return text;
+    }
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      console.warn(`${this.name}Provider: Invalid tool arguments:`, text);
+      return { _raw: text };
+    }
+  }
+
+  // Structured output (options.outputSchema: { name, schema }) for APIs that only
+  // force JSON through a tool call: the tool the model has to call
+  getOutputTool(outputSchema) {
+    return {
+      name: (outputSchema.name || 'structured_output').replace(/[^a-zA-Z0-9_-]/g, '_').substring(0, 64),
+      description: 'Record the requested data. The input must follow the schema exactly.',
+      parameters: outputSchema.schema
+    };
+  }
+
+  // Message content is either a string or an array of parts:
+  // { type: 'text', text } and { type: 'image', mediaType, data (base64) }
+  getTextContent(content) {
+    if (!Array.isArray(content)) {
+      return content;
+    }
+    return content
+      .filter(part => part.type === 'text')
+      .map(part => part.text)
+      .join('\n');
+  }
+
+  getImageParts(content) {
+    return Array.isArray(content) ? content.filter(part => part.type === 'image') : [];
+  }
+
   formatMessages(messages, connection) {
-    return messages;
+    // Providers without image support get the text parts only
+    return messages.map(message => Array.isArray(message.content)
+      ? { ...message, content: this.getTextContent(message.content) }
+      : message);
   }
 
   buildRequestBody(connection, messages, options) {
-    return {
+    return this.assignDefined({
       model: connection.model,
       messages: this.formatMessages(messages, connection),
       max_tokens: options.maxTokens || 4000,
-      temperature: options.temperature || 0.7,
+      temperature: options.temperature ?? 0.7,
       stream: options.streaming || false
-    };
+    }, {
+      top_p: options.topP,
+      stop: options.stop,
+      seed: options.seed,
+      presence_penalty: options.presencePenalty,
+      frequency_penalty: options.frequencyPenalty
+    });
+  }
+
+  // The request body as sent: the provider's body with the connection's extra JSON merged over it
+  createRequestBody(connection, messages, options) {
+    const body = this.buildRequestBody(connection, messages, options);
+    return options.extraBody ? this.mergeBody(body, options.extraBody) : body;
+  }
+
+  // Copy the values that are set (generation parameters are only sent when configured)
+  assignDefined(target, values) {
+    for (const [key, value] of Object.entries(values)) {
+      if (value !== undefined && value !== null && !(Array.isArray(value) && value.length === 0)) {
+        target[key] = value;
+      }
+    }
+    return target;
+  }
+
+  // Deep-merge extra fields into a request body. Objects merge, anything else
+  // replaces, and null removes the field.
+  mergeBody(body, extra) {
+    const merged = { ...body };
+    for (const [key, value] of Object.entries(extra)) {
+      if (value === null) {
+        delete merged[key];
+      } else if (value && typeof value === 'object' && !Array.isArray(value) &&
+          merged[key] && typeof merged[key] === 'object' && !Array.isArray(merged[key])) {
+        merged[key] = this.mergeBody(merged[key], value);
+      } else {
+        merged[key] = value;
+      }
+    }
+    return merged;
   }
 
   buildHeaders(connection) {
@@ -78,12 +449,15 @@ class OpenAIProvider extends BaseProvider {
   constructor() {
     super();
     this.name = 'OpenAI';
+    this.streamUsage = true; // Sends stream_options.include_usage, which not every compatible server accepts
     this.supportedFeatures = {
       streaming: true,
       reasoning: false,
       thinking: false,
       functionCalling: true,
-      vision: true
+      vision: true,
+      structuredOutput: true,
+      embeddings: true
     };
   }
 
@@ -101,29 +475,166 @@ class OpenAIProvider extends BaseProvider {
     return true;
   }
 
+  // Tool calls and tool results use OpenAI's tool_calls / role "tool" shape
+  formatMessages(messages, connection) {
+    return messages.map(message => {
+      if (message.role === 'tool') {
+        return {
+          role: 'tool',
+          tool_call_id: message.toolCallId,
+          content: message.content
+        };
+      }
+
+      if (message.toolCalls && message.toolCalls.length > 0) {
+        return {
+          role: 'assistant',
+          content: message.content || null,
+          tool_calls: message.toolCalls.map(call => ({
+            id: call.id,
+            type: 'function',
+            function: {
+              name: call.name,
+              arguments: JSON.stringify(call.arguments || {})
+            }
+          }))
+        };
+      }
+
+      // Images are sent inline as data URLs
+      if (Array.isArray(message.content)) {
+        return {
+          role: message.role,
+          content: message.content.map(part => part.type === 'image'
+            ? { type: 'image_url', image_url: { url: `data:${part.mediaType};base64,${part.data}` } }
+            : { type: 'text', text: part.text })
+        };
+      }
+
+      return message;
+    });
+  }
+
+  buildRequestBody(connection, messages, options) {
+    const body = this.applyReasoningSettings(super.buildRequestBody(connection, messages, options), connection);
+
+    // Ask for token usage in the final chunk of streamed responses. Other servers
+    // can opt in through the connection's extra body parameters.
+    if (body.stream && this.streamUsage) {
+      body.stream_options = { include_usage: true };
+    }
+
+    if (options.tools && options.tools.length > 0) {
+      body.tools = options.tools.map(tool => ({
+        type: 'function',
+        function: {
+          name: tool.name,
+          description: tool.description,
+          parameters: tool.parameters
+        }
+      }));
+      if (options.toolChoice) {
+        body.tool_choice = options.toolChoice;
+      }
+    }
+
+    if (options.outputSchema) {
+      const { name, parameters } = this.getOutputTool(options.outputSchema);
+      body.response_format = { type: 'json_schema', json_schema: { name, schema: parameters } };
+    }
+
+    return body;
+  }
+
+  getChatUrl(connection) {
+    return `${connection.endpoint}/chat/completions`;
+  }
+
+  getEmbeddingsUrl(connection, model) {
+    return `${connection.endpoint.replace(/\/+$/, '')}/embeddings`;
+  }
+
+  async embed(connection, texts, options = {}) {
+    const model = options.model || connection.model;
+    const data = await this.postJSON(this.getEmbeddingsUrl(connection, model), connection, { model, input: texts }, options);
+
+    return {
+      embeddings: [...(data.data || [])].sort((a, b) => a.index - b.index).map(item => item.embedding),
+      model: data.model || model,
+      usage: data.usage ? {
+        prompt_tokens: data.usage.prompt_tokens,
+        completion_tokens: 0,
+        total_tokens: data.usage.total_tokens
+      } : null
+    };
+  }
+
+  // OpenAI only reports ids; OpenRouter, LM Studio and vLLM add context lengths and capabilities
+  async listModels(connection) {
+    const data = await this.fetchJSON(`${connection.endpoint.replace(/\/+$/, '')}/models`, connection);
+    return (data.data || []).map(model => {
+      const modalities = model.architecture?.input_modalities;
+      const parameters = model.supported_parameters;
+      return this.normalizeModel({
+        id: model.id,
+        name: model.name,
+        contextWindow: model.context_length ?? model.context_window ?? model.max_context_length ?? model.max_model_len,
+        maxOutputTokens: model.top_provider?.max_completion_tokens,
+        vision: Array.isArray(modalities) ? modalities.includes('image') : undefined,
+        tools: Array.isArray(parameters) ? parameters.includes('tools') : undefined,
+        reasoning: Array.isArray(parameters) ? parameters.includes('reasoning') : (/^o\d/i.test(model.id) || undefined)
+      });
+    });
+  }
+
+  // o-series models, or any model the connection gives a reasoning effort
+  isReasoningModel(connection) {
+    return !!connection.reasoning?.effort || /^o\d/i.test(connection.model || '');
+  }
+
+  // Reasoning models take reasoning_effort and max_completion_tokens (which also
+  // covers the hidden reasoning tokens) and reject the sampling parameters
+  applyReasoningSettings(body, connection) {
+    if (!this.isReasoningModel(connection)) {
+      return body;
+    }
+
+    if (connection.reasoning?.effort) {
+      body.reasoning_effort = connection.reasoning.effort;
+    }
+    body.max_completion_tokens = body.max_tokens;
+    delete body.max_tokens;
+    delete body.temperature;
+    delete body.top_p;
+    delete body.presence_penalty;
+    delete body.frequency_penalty;
+
+    return body;
+  }
+
   async sendMessage(connection, messages, options = {}) {
     this.validateConnection(connection);
 
-    const requestBody = this.buildRequestBody(connection, messages, options);
+    const requestBody = this.createRequestBody(connection, messages, options);
     const headers = this.buildHeaders(connection);
 
     try {
-      const response = await fetch(`${connection.endpoint}/chat/completions`, {
+      const response = await fetch(this.getChatUrl(connection), {
         method: 'POST',
         headers,
         body: JSON.stringify(requestBody),
-        signal: AbortSignal.timeout(connection.timeout || 30000)
+        signal: this.getRequestSignal(connection, options)
       });
 
       if (!response.ok) {
         const error = await response.text();
-        throw new Error(`OpenAI API error: ${response.status} - ${error}`);
+        throw new ProviderError(`${this.name} API error: ${response.status} - ${error}`, response);
       }
 
       const data = await response.json();
       return this.formatResponse(data);
     } catch (error) {
-      if (error.name === 'AbortError') {
+      if (error.name === 'TimeoutError') {
         throw new Error('Request timeout');
       }
       throw error;
@@ -134,9 +645,9 @@ class OpenAIProvider extends BaseProvider {
     console.log('OpenAIProvider: Starting sendStreamingMessage');
     this.validateConnection(connection);
 
-    const requestBody = this.buildRequestBody(connection, messages, { ...options, streaming: true });
+    const requestBody = this.createRequestBody(connection, messages, { ...options, streaming: true });
     const headers = this.buildHeaders(connection);
-    const url = `${connection.endpoint}/chat/completions`;
+    const url = this.getChatUrl(connection);
 
     console.log('OpenAIProvider: Request URL:', url);
     console.log('OpenAIProvider: Request headers:', headers);
@@ -147,7 +658,8 @@ class OpenAIProvider extends BaseProvider {
       const response = await fetch(url, {
         method: 'POST',
         headers,
-        body: JSON.stringify(requestBody)
+        body: JSON.stringify(requestBody),
+        signal: this.getRequestSignal(connection, options, false)
       });
 
       console.log('OpenAIProvider: Response status:', response.status);
@@ -156,7 +668,7 @@ class OpenAIProvider extends BaseProvider {
       if (!response.ok) {
         const errorText = await response.text();
         console.error('OpenAIProvider: Error response:', errorText);
-        throw new Error(`OpenAI API error: ${response.status} - ${errorText}`);
+        throw new ProviderError(`${this.name} API error: ${response.status} - ${errorText}`, response);
       }
 
       console.log('OpenAIProvider: Success! Returning response body');
@@ -173,8 +685,16 @@ class OpenAIProvider extends BaseProvider {
     }
 
     const choice = data.choices[0];
+    const toolCalls = (choice.message.tool_calls || []).map(call => ({
+      id: call.id,
+      name: call.function?.name,
+      arguments: this.parseToolArguments(call.function?.arguments)
+    }));
+
     return {
-      content: choice.message.content,
+      content: choice.message.content || '',
+      reasoning: choice.message.reasoning_content || choice.message.reasoning || '',
+      toolCalls,
       finishReason: choice.finish_reason,
       usage: data.usage,
       model: data.model
@@ -182,17 +702,168 @@ class OpenAIProvider extends BaseProvider {
   }
 }
 
+// OpenAI Responses API (/v1/responses). Messages go out as typed input items and
+// the stream is a sequence of named events; reasoning models return summaries
+// of their reasoning, which show up as reasoning blocks.
+class OpenAIResponsesProvider extends OpenAIProvider {
+  constructor() {
+    super();
+    this.name = 'OpenAI Responses';
+    this.streamFormat = 'openai-responses-sse';
+    this.supportedFeatures = {
+      streaming: true,
+      reasoning: true,
+      thinking: false,
+      functionCalling: true,
+      vision: true,
+      structuredOutput: true,
+      embeddings: true
+    };
+  }
+
+  getChatUrl(connection) {
+    return `${connection.endpoint}/responses`;
+  }
+
+  // Chat messages become message items; tool calls and their results are items of their own
+  formatMessages(messages, connection) {
+    const items = [];
+
+    for (const message of messages) {
+      if (message.role === 'tool') {
+        items.push({
+          type: 'function_call_output',
+          call_id: message.toolCallId,
+          output: typeof message.content === 'string' ? message.content : JSON.stringify(message.content)
+        });
+        continue;
+      }
+
+      if (message.toolCalls && message.toolCalls.length > 0) {
+        if (message.content) {
+          items.push({ role: 'assistant', content: message.content });
+        }
+        for (const call of message.toolCalls) {
+          items.push({
+            type: 'function_call',
+            call_id: call.id,
+            name: call.name,
+            arguments: JSON.stringify(call.arguments || {})
+          });
+        }
+        continue;
+      }
+
+      if (Array.isArray(message.content)) {
+        items.push({
+          role: message.role,
+          content: message.content.map(part => part.type === 'image'
+            ? { type: 'input_image', image_url: `data:${part.mediaType};base64,${part.data}` }
+            : { type: message.role === 'assistant' ? 'output_text' : 'input_text', text: part.text })
+        });
+        continue;
+      }
+
+      items.push({ role: message.role, content: message.content });
+    }
+
+    return items;
+  }
+
+  // The Responses API has no stop, seed or penalty parameters. Conversations are
+  // not stored on OpenAI's side since every request carries the full history.
+  buildRequestBody(connection, messages, options) {
+    const body = this.assignDefined({
+      model: connection.model,
+      input: this.formatMessages(messages, connection),
+      max_output_tokens: options.maxTokens || 4000,
+      temperature: options.temperature ?? 0.7,
+      stream: options.streaming || false,
+      store: false
+    }, {
+      top_p: options.topP
+    });
+
+    if (this.isReasoningModel(connection)) {
+      body.reasoning = this.assignDefined({ summary: 'auto' }, { effort: connection.reasoning?.effort });
+      delete body.temperature;
+      delete body.top_p;
+    }
+
+    if (options.tools && options.tools.length > 0) {
+      body.tools = options.tools.map(tool => ({
+        type: 'function',
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.parameters
+      }));
+      if (options.toolChoice) {
+        body.tool_choice = options.toolChoice;
+      }
+    }
+
+    if (options.outputSchema) {
+      const { name, parameters } = this.getOutputTool(options.outputSchema);
+      body.text = { format: { type: 'json_schema', name, schema: parameters } };
+    }
+
+    return body;
+  }
+
+  formatResponse(data) {
+    if (data.error) {
+      throw new Error(data.error.message || 'OpenAI response failed');
+    }
+
+    const output = data.output || [];
+    const content = output
+      .filter(item => item.type === 'message')
+      .flatMap(item => item.content || [])
+      .filter(part => part.type === 'output_text')
+      .map(part => part.text)
+      .join('');
+    const reasoning = output
+      .filter(item => item.type === 'reasoning')
+      .flatMap(item => item.summary || [])
+      .map(part => part.text)
+      .join('\n\n');
+    const toolCalls = output
+      .filter(item => item.type === 'function_call')
+      .map(item => ({
+        id: item.call_id,
+        name: item.name,
+        arguments: this.parseToolArguments(item.arguments)
+      }));
+
+    return {
+      content,
+      reasoning,
+      toolCalls,
+      finishReason: data.status === 'incomplete' ? data.incomplete_details?.reason || 'incomplete' : 'stop',
+      usage: data.usage ? {
+        prompt_tokens: data.usage.input_tokens,
+        completion_tokens: data.usage.output_tokens,
+        total_tokens: data.usage.total_tokens
+      } : null,
+      model: data.model
+    };
+  }
+}
+
 // OpenAI-compatible provider (Ollama, LM Studio, etc.)
 class OpenAICompatibleProvider extends OpenAIProvider {
   constructor() {
     super();
     this.name = 'OpenAI Compatible';
+    this.streamUsage = false;
     this.supportedFeatures = {
       streaming: true,
       reasoning: true,  // Many local models support reasoning
       thinking: true,   // Many local models support thinking
-      functionCalling: false, // Varies by model
-      vision: false     // Varies by model
+      functionCalling: true, // Varies by model, enabled per connection
+      vision: false,    // Varies by model
+      structuredOutput: true, // Varies by server (vLLM, LM Studio and OpenRouter take JSON schemas)
+      embeddings: true  // Varies by server
     };
   }
 
@@ -209,6 +880,15 @@ class OpenAICompatibleProvider extends OpenAIProvider {
     return true;
   }
 
+  // Compatible servers (OpenRouter, vLLM, LM Studio) take reasoning_effort next to the
+  // usual max_tokens and sampling parameters, whatever the model is called
+  applyReasoningSettings(body, connection) {
+    if (connection.reasoning?.effort) {
+      body.reasoning_effort = connection.reasoning.effort;
+    }
+    return body;
+  }
+
   buildRequestBody(connection, messages, options) {
     const body = super.buildRequestBody(connection, messages, options);
     
@@ -246,17 +926,20 @@ class OpenAICompatibleProvider extends OpenAIProvider {
   }
 }
 
-// Anthropic provider (future implementation)
+// Anthropic provider (Messages API)
 class AnthropicProvider extends BaseProvider {
   constructor() {
     super();
     this.name = 'Anthropic';
+    this.streamFormat = 'anthropic-sse';
     this.supportedFeatures = {
       streaming: true,
       reasoning: true,
       thinking: true,
-      functionCalling: false,
-      vision: true
+      functionCalling: true,
+      vision: true,
+      structuredOutput: true,
+      embeddings: false
     };
   }
 
@@ -279,10 +962,29 @@ class AnthropicProvider extends BaseProvider {
       'Content-Type': 'application/json',
       'x-api-key': connection.apiKey,
       'anthropic-version': '2023-06-01',
+      // Requests from the extension carry an Origin header, which the API rejects without this
+      'anthropic-dangerous-direct-browser-access': 'true',
       ...connection.customHeaders
     };
   }
 
+  // The model list has no capabilities; every Claude 3 and later model takes
+  // images and tools in a 200k window, and 3.7 and 4 models can think
+  async listModels(connection) {
+    const data = await this.fetchJSON(`${connection.endpoint.replace(/\/+$/, '')}/v1/models?limit=1000`, connection);
+    return (data.data || []).map(model => {
+      const modern = !/^claude-(2|instant)/.test(model.id);
+      return this.normalizeModel({
+        id: model.id,
+        name: model.display_name,
+        contextWindow: modern ? 200000 : 100000,
+        vision: modern,
+        tools: modern,
+        reasoning: /^claude-(3-7-sonnet|(opus|sonnet|haiku)-4)/.test(model.id)
+      });
+    });
+  }
+
   formatMessages(messages, connection) {
     // Anthropic has a different message format
     const formattedMessages = [];
@@ -291,6 +993,45 @@ class AnthropicProvider extends BaseProvider {
     for (const message of messages) {
       if (message.role === 'system') {
         systemMessage += message.content + '\n';
+      } else if (message.role === 'tool') {
+        // Tool results go back as user turns; consecutive results share one turn
+        const result = {
+          type: 'tool_result',
+          tool_use_id: message.toolCallId,
+          content: message.content
+        };
+        const previous = formattedMessages[formattedMessages.length - 1];
+        if (previous && previous.role === 'user' && Array.isArray(previous.content) && previous.content[0]?.type === 'tool_result') {
+          previous.content.push(result);
+        } else {
+          formattedMessages.push({ role: 'user', content: [result] });
+        }
+      } else if (message.toolCalls && message.toolCalls.length > 0) {
+        // With extended thinking, the turn's signed thinking blocks must come back unchanged
+        const content = [...(message.thinking || [])];
+        if (message.content) {
+          content.push({ type: 'text', text: message.content });
+        }
+        for (const call of message.toolCalls) {
+          content.push({
+            type: 'tool_use',
+            id: call.id,
+            name: call.name,
+            input: call.arguments || {}
+          });
+        }
+        formattedMessages.push({ role: 'assistant', content });
+      } else if (Array.isArray(message.content)) {
+        // Images go first, as Anthropic recommends
+        const images = this.getImageParts(message.content).map(part => ({
+          type: 'image',
+          source: { type: 'base64', media_type: part.mediaType, data: part.data }
+        }));
+        const text = this.getTextContent(message.content);
+        formattedMessages.push({
+          role: message.role,
+          content: text ? [...images, { type: 'text', text }] : images
+        });
       } else {
         formattedMessages.push({
           role: message.role,
@@ -305,25 +1046,57 @@ class AnthropicProvider extends BaseProvider {
   buildRequestBody(connection, messages, options) {
     const formatted = this.formatMessages(messages, connection);
     
-    const body = {
+    const body = this.assignDefined({
       model: connection.model,
       messages: formatted.messages,
       max_tokens: options.maxTokens || 4000,
-      temperature: options.temperature || 0.7,
+      temperature: options.temperature ?? 0.7,
       stream: options.streaming || false
-    };
+    }, {
+      top_p: options.topP,
+      stop_sequences: options.stop
+    });
 
     if (formatted.system) {
       body.system = formatted.system;
     }
 
+    // Extended thinking: the budget comes on top of the answer's max_tokens, and
+    // temperature and top_p cannot be changed while thinking is on. Thinking
+    // cannot be combined with the forced tool call of structured output.
+    const thinkingBudget = parseInt(connection.reasoning?.thinkingBudget);
+    if (thinkingBudget >= 1024 && !options.outputSchema) {
+      body.thinking = { type: 'enabled', budget_tokens: thinkingBudget };
+      body.max_tokens += thinkingBudget;
+      delete body.temperature;
+      delete body.top_p;
+    }
+
+    if (options.tools && options.tools.length > 0) {
+      body.tools = options.tools.map(tool => ({
+        name: tool.name,
+        description: tool.description,
+        input_schema: tool.parameters
+      }));
+      if (options.toolChoice) {
+        body.tool_choice = { type: options.toolChoice };
+      }
+    }
+
+    // Structured output: the answer is the input of a tool the model must call
+    if (options.outputSchema) {
+      const tool = this.getOutputTool(options.outputSchema);
+      body.tools = [{ name: tool.name, description: tool.description, input_schema: tool.parameters }];
+      body.tool_choice = { type: 'tool', name: tool.name };
+    }
+
     return body;
   }
 
   async sendMessage(connection, messages, options = {}) {
     this.validateConnection(connection);
 
-    const requestBody = this.buildRequestBody(connection, messages, options);
+    const requestBody = this.createRequestBody(connection, messages, options);
     const headers = this.buildHeaders(connection);
 
     try {
@@ -331,18 +1104,18 @@ class AnthropicProvider extends BaseProvider {
         method: 'POST',
         headers,
         body: JSON.stringify(requestBody),
-        signal: AbortSignal.timeout(connection.timeout || 30000)
+        signal: this.getRequestSignal(connection, options)
       });
 
       if (!response.ok) {
         const error = await response.text();
-        throw new Error(`Anthropic API error: ${response.status} - ${error}`);
+        throw new ProviderError(`Anthropic API error: ${response.status} - ${error}`, response);
       }
 
       const data = await response.json();
       return this.formatResponse(data);
     } catch (error) {
-      if (error.name === 'AbortError') {
+      if (error.name === 'TimeoutError') {
         throw new Error('Request timeout');
       }
       throw error;
@@ -350,19 +1123,22 @@ class AnthropicProvider extends BaseProvider {
   }
 
   async sendStreamingMessage(connection, messages, options = {}) {
+    this.validateConnection(connection);
+
     // Similar to sendMessage but with streaming enabled
-    const requestBody = this.buildRequestBody(connection, messages, { ...options, streaming: true });
+    const requestBody = this.createRequestBody(connection, messages, { ...options, streaming: true });
     const headers = this.buildHeaders(connection);
 
     const response = await fetch(`${connection.endpoint}/v1/messages`, {
       method: 'POST',
       headers,
-      body: JSON.stringify(requestBody)
+      body: JSON.stringify(requestBody),
+      signal: this.getRequestSignal(connection, options, false)
     });
 
     if (!response.ok) {
       const error = await response.text();
-      throw new Error(`Anthropic API error: ${response.status} - ${error}`);
+      throw new ProviderError(`Anthropic API error: ${response.status} - ${error}`, response);
     }
 
     return response.body;
@@ -373,8 +1149,30 @@ class AnthropicProvider extends BaseProvider {
       throw new Error('No content received');
     }
 
+    // Responses can start with thinking blocks, so collect every text block
+    const text = data.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+
+    const toolCalls = data.content
+      .filter(block => block.type === 'tool_use')
+      .map(block => ({
+        id: block.id,
+        name: block.name,
+        arguments: block.input || {}
+      }));
+
+    const thinking = data.content
+      .filter(block => block.type === 'thinking')
+      .map(block => block.thinking)
+      .join('\n\n');
+
     return {
-      content: data.content[0].text,
+      content: text,
+      reasoning: thinking,
+      thinkingBlocks: data.content.filter(block => block.type === 'thinking' || block.type === 'redacted_thinking'),
+      toolCalls,
       finishReason: data.stop_reason,
       usage: data.usage,
       model: data.model
@@ -382,19 +1180,1842 @@ class AnthropicProvider extends BaseProvider {
   }
 }
 
+// Azure OpenAI provider. Requests go to a deployment on the Azure resource
+// rather than naming a model, and carry an api-version.
+class AzureOpenAIProvider extends OpenAIProvider {
+  constructor() {
+    super();
+    this.name = 'Azure OpenAI';
+    this.defaultApiVersion = '2024-10-21';
+    this.streamUsage = false; // Older API versions reject stream_options
+  }
+
+  // A deployment name stands in for the model, so only one of them is needed
+  validateConnection(connection) {
+    if (!connection.endpoint) {
+      throw new Error('Endpoint is required');
+    }
+
+    if (!connection.apiKey) {
+      throw new Error(connection.azure?.authType === 'entra'
+        ? 'An Entra ID access token is required for Azure OpenAI'
+        : 'API key is required for Azure OpenAI');
+    }
+
+    if (!this.getDeployment(connection)) {
+      throw new Error('Deployment name or model is required');
+    }
+
+    return true;
+  }
+
+  // The deployment defaults to the model name, which is how most deployments are named
+  getDeployment(connection) {
+    return connection.azure?.deployment || connection.model;
+  }
+
+  // https://{resource}.openai.azure.com/openai/deployments/{deployment}/chat/completions?api-version=...
+  getChatUrl(connection) {
+    const baseUrl = connection.endpoint.replace(/\/+$/, '').replace(/\/openai$/, '');
+    const deployment = encodeURIComponent(this.getDeployment(connection));
+    const apiVersion = encodeURIComponent(connection.azure?.apiVersion || this.defaultApiVersion);
+    return `${baseUrl}/openai/deployments/${deployment}/chat/completions?api-version=${apiVersion}`;
+  }
+
+  // Embedding models have deployments of their own, named by the embedding model setting
+  getEmbeddingsUrl(connection, model) {
+    const baseUrl = connection.endpoint.replace(/\/+$/, '').replace(/\/openai$/, '');
+    const apiVersion = encodeURIComponent(connection.azure?.apiVersion || this.defaultApiVersion);
+    return `${baseUrl}/openai/deployments/${encodeURIComponent(model)}/embeddings?api-version=${apiVersion}`;
+  }
+
+  // API keys go in the api-key header, Entra ID tokens as Bearer auth
+  buildHeaders(connection) {
+    const headers = {
+      'Content-Type': 'application/json',
+      ...connection.customHeaders
+    };
+
+    if (connection.azure?.authType === 'entra') {
+      headers['Authorization'] = `Bearer ${connection.apiKey}`;
+    } else {
+      headers['api-key'] = connection.apiKey;
+    }
+
+    return headers;
+  }
+
+  // The deployment decides the model, so the body names none
+  buildRequestBody(connection, messages, options) {
+    const body = super.buildRequestBody(connection, messages, options);
+    delete body.model;
+    return body;
+  }
+
+  // Deployments cannot be listed with data-plane credentials
+  async listModels(connection) {
+    return null;
+  }
+}
+
+// AWS Bedrock provider (Converse / ConverseStream). Requests are signed with
+// SigV4 using the connection's access key ID and session token from its bedrock
+// options and the secret access key from its API key. The endpoint defaults to
+// the region's runtime URL and can point at a local stand-in instead.
+class BedrockProvider extends BaseProvider {
+  constructor() {
+    super();
+    this.name = 'Bedrock';
+    this.streamFormat = 'aws-eventstream';
+    this.signingService = 'bedrock';
+    this.signer = new AwsSigV4();
+    this.supportedFeatures = {
+      streaming: true,
+      reasoning: false,
+      thinking: true,
+      functionCalling: true,
+      vision: true,
+      structuredOutput: true,
+      embeddings: false
+    };
+  }
+
+  validateConnection(connection) {
+    if (!connection.bedrock?.accessKeyId || !connection.apiKey) {
+      throw new Error('AWS access key ID and secret access key are required for Bedrock');
+    }
+    if (!this.getRegion(connection)) {
+      throw new Error('AWS region is required for Bedrock');
+    }
+    if (!connection.model) {
+      throw new Error('Model is required');
+    }
+    return true;
+  }
+
+  // The configured region, or the one in an amazonaws.com endpoint
+  getRegion(connection) {
+    return connection.bedrock?.region ||
+      connection.endpoint?.match(/\.([a-z]{2}(?:-[a-z]+)+-\d)\.amazonaws\.com/)?.[1] ||
+      null;
+  }
+
+  getBaseUrl(connection) {
+    const endpoint = connection.endpoint || `https://bedrock-runtime.${this.getRegion(connection)}.amazonaws.com`;
+    return endpoint.replace(/\/+$/, '');
+  }
+
+  getModelUrl(connection, action) {
+    return `${this.getBaseUrl(connection)}/model/${encodeURIComponent(connection.model)}/${action}`;
+  }
+
+  // Authorization is added per request by signedFetch
+  buildHeaders(connection) {
+    return {
+      'Content-Type': 'application/json',
+      ...connection.customHeaders
+    };
+  }
+
+  // fetch with SigV4 headers. Custom headers are sent but not signed.
+  async signedFetch(connection, url, { method = 'POST', body = '', signal } = {}) {
+    const headers = await this.signer.sign({
+      method,
+      url,
+      headers: body ? { 'Content-Type': 'application/json' } : {},
+      body,
+      region: this.getRegion(connection),
+      service: this.signingService,
+      credentials: {
+        accessKeyId: connection.bedrock?.accessKeyId,
+        secretAccessKey: connection.apiKey,
+        sessionToken: connection.bedrock?.sessionToken
+      }
+    });
+
+    return fetch(url, {
+      method,
+      headers: { ...connection.customHeaders, ...headers },
+      body: body || undefined,
+      signal
+    });
+  }
+
+  // Converse takes content blocks and keeps system prompts apart. Roles have to
+  // alternate, so consecutive turns of the same role (tool results) are merged.
+  formatMessages(messages, connection) {
+    const formattedMessages = [];
+    const system = [];
+
+    const push = (role, content) => {
+      const previous = formattedMessages[formattedMessages.length - 1];
+      if (previous && previous.role === role) {
+        previous.content.push(...content);
+      } else {
+        formattedMessages.push({ role, content });
+      }
+    };
+
+    for (const message of messages) {
+      if (message.role === 'system') {
+        if (message.content) {
+          system.push({ text: this.getTextContent(message.content) });
+        }
+      } else if (message.role === 'tool') {
+        push('user', [{
+          toolResult: {
+            toolUseId: message.toolCallId,
+            content: [{ text: this.getTextContent(message.content) }]
+          }
+        }]);
+      } else if (message.toolCalls && message.toolCalls.length > 0) {
+        // Signed reasoning from the turn has to come back first and unchanged
+        const content = (message.thinking || []).map(block => block.type === 'redacted_thinking'
+          ? { reasoningContent: { redactedContent: block.data } }
+          : { reasoningContent: { reasoningText: { text: block.thinking, signature: block.signature } } });
+        if (message.content) {
+          content.push({ text: message.content });
+        }
+        for (const call of message.toolCalls) {
+          content.push({ toolUse: { toolUseId: call.id, name: call.name, input: call.arguments || {} } });
+        }
+        push('assistant', content);
+      } else {
+        const images = this.getImageParts(message.content).map(part => ({
+          image: {
+            format: (part.mediaType || 'image/png').replace(/^image\//, '').replace('jpg', 'jpeg'),
+            source: { bytes: part.data }
+          }
+        }));
+        const text = this.getTextContent(message.content);
+        push(message.role, text ? [...images, { text }] : images);
+      }
+    }
+
+    return { messages: formattedMessages, system };
+  }
+
+  // The model is part of the URL, not the body
+  buildRequestBody(connection, messages, options) {
+    const formatted = this.formatMessages(messages, connection);
+    const body = {
+      messages: formatted.messages,
+      inferenceConfig: this.assignDefined({
+        maxTokens: options.maxTokens || 4000,
+        temperature: options.temperature ?? 0.7
+      }, {
+        topP: options.topP,
+        stopSequences: options.stop
+      })
+    };
+
+    if (formatted.system.length > 0) {
+      body.system = formatted.system;
+    }
+
+    // Claude's extended thinking goes through the model-specific fields, with
+    // the same rules as on the Anthropic API
+    const thinkingBudget = parseInt(connection.reasoning?.thinkingBudget);
+    if (thinkingBudget >= 1024 && !options.outputSchema) {
+      body.additionalModelRequestFields = { thinking: { type: 'enabled', budget_tokens: thinkingBudget } };
+      body.inferenceConfig.maxTokens += thinkingBudget;
+      delete body.inferenceConfig.temperature;
+      delete body.inferenceConfig.topP;
+    }
+
+    if (options.tools && options.tools.length > 0) {
+      body.toolConfig = {
+        tools: options.tools.map(tool => ({
+          toolSpec: {
+            name: tool.name,
+            description: tool.description,
+            inputSchema: { json: tool.parameters }
+          }
+        }))
+      };
+      // Converse has no "none"; leaving the choice out lets the model answer in text
+      if (options.toolChoice === 'auto') {
+        body.toolConfig.toolChoice = { auto: {} };
+      } else if (options.toolChoice === 'required' || options.toolChoice === 'any') {
+        body.toolConfig.toolChoice = { any: {} };
+      }
+    }
+
+    // Structured output is forced through a tool call, as on the Anthropic API
+    if (options.outputSchema) {
+      const tool = this.getOutputTool(options.outputSchema);
+      body.toolConfig = {
+        tools: [{ toolSpec: { name: tool.name, description: tool.description, inputSchema: { json: tool.parameters } } }],
+        toolChoice: { tool: { name: tool.name } }
+      };
+    }
+
+    return body;
+  }
+
+  async sendMessage(connection, messages, options = {}) {
+    this.validateConnection(connection);
+
+    const requestBody = this.createRequestBody(connection, messages, options);
+
+    try {
+      const response = await this.signedFetch(connection, this.getModelUrl(connection, 'converse'), {
+        body: JSON.stringify(requestBody),
+        signal: this.getRequestSignal(connection, options)
+      });
+
+      if (!response.ok) {
+        const error = await response.text();
+        throw new ProviderError(`Bedrock API error: ${response.status} - ${error}`, response);
+      }
+
+      const data = await response.json();
+      return this.formatResponse(data);
+    } catch (error) {
+      if (error.name === 'TimeoutError') {
+        throw new Error('Request timeout');
+      }
+      throw error;
+    }
+  }
+
+  async sendStreamingMessage(connection, messages, options = {}) {
+    this.validateConnection(connection);
+
+    const requestBody = this.createRequestBody(connection, messages, { ...options, streaming: true });
+
+    const response = await this.signedFetch(connection, this.getModelUrl(connection, 'converse-stream'), {
+      body: JSON.stringify(requestBody),
+      signal: this.getRequestSignal(connection, options, false)
+    });
+
+    if (!response.ok) {
+      const error = await response.text();
+      throw new ProviderError(`Bedrock API error: ${response.status} - ${error}`, response);
+    }
+
+    return response.body;
+  }
+
+  // Reasoning blocks are returned in the Anthropic shape the manager keeps for tool turns
+  formatResponse(data) {
+    const content = data.output?.message?.content;
+    if (!content || content.length === 0) {
+      throw new Error('No content received');
+    }
+
+    const thinkingBlocks = content
+      .filter(block => block.reasoningContent)
+      .map(block => block.reasoningContent.redactedContent
+        ? { type: 'redacted_thinking', data: block.reasoningContent.redactedContent }
+        : { type: 'thinking', thinking: block.reasoningContent.reasoningText?.text || '', signature: block.reasoningContent.reasoningText?.signature });
+
+    return {
+      content: content.filter(block => typeof block.text === 'string').map(block => block.text).join(''),
+      reasoning: thinkingBlocks.filter(block => block.type === 'thinking').map(block => block.thinking).join('\n\n'),
+      thinkingBlocks: thinkingBlocks.filter(block => block.type === 'redacted_thinking' || block.signature),
+      toolCalls: content
+        .filter(block => block.toolUse)
+        .map(block => ({
+          id: block.toolUse.toolUseId,
+          name: block.toolUse.name,
+          arguments: block.toolUse.input || {}
+        })),
+      finishReason: data.stopReason,
+      usage: data.usage ? {
+        prompt_tokens: data.usage.inputTokens,
+        completion_tokens: data.usage.outputTokens,
+        total_tokens: data.usage.totalTokens
+      } : null
+    };
+  }
+
+  // Foundation models come from the control plane, which a stand-in endpoint does not have
+  async listModels(connection) {
+    if (connection.endpoint && !/\.amazonaws\.com/i.test(connection.endpoint)) {
+      return null;
+    }
+    this.validateConnection({ ...connection, model: connection.model || '-' });
+
+    const url = `https://bedrock.${this.getRegion(connection)}.amazonaws.com/foundation-models?byOutputModality=TEXT`;
+    const response = await this.signedFetch(connection, url, {
+      method: 'GET',
+      signal: AbortSignal.timeout(connection.timeout || 10000)
+    });
+
+    if (!response.ok) {
+      const error = await response.text();
+      throw new ProviderError(`Bedrock API error: ${response.status} - ${error}`, response);
+    }
+
+    const data = await response.json();
+    return (data.modelSummaries || []).map(model => this.normalizeModel({
+      id: model.modelId,
+      name: model.modelName,
+      vision: Array.isArray(model.inputModalities) ? model.inputModalities.includes('IMAGE') : undefined
+    }));
+  }
+}
+
+// Google Gemini provider (generateContent / streamGenerateContent)
+class GeminiProvider extends BaseProvider {
+  constructor() {
+    super();
+    this.name = 'Google Gemini';
+    this.streamFormat = 'gemini-sse';
+    this.defaultEndpoint = 'https://generativelanguage.googleapis.com/v1beta';
+    this.supportedFeatures = {
+      streaming: true,
+      reasoning: false,
+      thinking: false,
+      functionCalling: true,
+      vision: true,
+      structuredOutput: true,
+      embeddings: true
+    };
+  }
+
+  validateConnection(connection) {
+    if (!connection.apiKey) {
+      throw new Error('API key is required for Gemini');
+    }
+
+    if (!connection.model) {
+      throw new Error('Model is required');
+    }
+
+    return true;
+  }
+
+  // Build a model method URL, authenticating with the API key as a query parameter
+  buildUrl(connection, method, query = {}) {
+    const baseUrl = (connection.endpoint || this.defaultEndpoint).replace(/\/+$/, '');
+    const model = connection.model.replace(/^models\//, '');
+    const params = new URLSearchParams(query);
+
+    if (connection.apiKey) {
+      params.set('key', connection.apiKey);
+    }
+
+    const queryString = params.toString();
+    return `${baseUrl}/models/${encodeURIComponent(model)}:${method}${queryString ? '?' + queryString : ''}`;
+  }
+
+  buildHeaders(connection) {
+    // The API key travels in the URL, so no Authorization header is sent
+    return {
+      'Content-Type': 'application/json',
+      ...connection.customHeaders
+    };
+  }
+
+  // Each text is one embedContent request, sent together through batchEmbedContents
+  async embed(connection, texts, options = {}) {
+    const model = (options.model || connection.model).replace(/^models\//, '');
+    const data = await this.postJSON(this.buildUrl({ ...connection, model }, 'batchEmbedContents'), connection, {
+      requests: texts.map(text => ({ model: `models/${model}`, content: { parts: [{ text }] } }))
+    }, options);
+
+    return {
+      embeddings: (data.embeddings || []).map(embedding => embedding.values),
+      model,
+      usage: null
+    };
+  }
+
+  // Models that can generate content, without the "models/" prefix
+  async listModels(connection) {
+    const baseUrl = (connection.endpoint || this.defaultEndpoint).replace(/\/+$/, '');
+    const params = new URLSearchParams({ pageSize: '1000' });
+    if (connection.apiKey) {
+      params.set('key', connection.apiKey);
+    }
+
+    const data = await this.fetchJSON(`${baseUrl}/models?${params}`, connection);
+    return (data.models || [])
+      .filter(model => (model.supportedGenerationMethods || []).includes('generateContent'))
+      .map(model => this.normalizeModel({
+        id: model.name.replace(/^models\//, ''),
+        name: model.displayName,
+        contextWindow: model.inputTokenLimit,
+        maxOutputTokens: model.outputTokenLimit,
+        // Gemini models are multimodal and support function calling
+        vision: true,
+        tools: true,
+        reasoning: model.thinking === true
+      }));
+  }
+
+  formatMessages(messages, connection) {
+    // Gemini uses "contents" with user/model roles and a separate system instruction
+    const contents = [];
+    let systemText = '';
+
+    for (const message of messages) {
+      if (message.role === 'system') {
+        systemText += message.content + '\n';
+        continue;
+      }
+
+      const role = message.role === 'assistant' ? 'model' : 'user';
+      const previous = contents[contents.length - 1];
+      let parts;
+
+      if (message.role === 'tool') {
+        // Tool results go back as functionResponse parts of a user turn
+        parts = [{
+          functionResponse: {
+            id: message.toolCallId,
+            name: message.name,
+            response: { result: message.content }
+          }
+        }];
+      } else if (message.toolCalls && message.toolCalls.length > 0) {
+        // Thought signatures have to come back on the calls they were sent with
+        const signatures = (message.thinking || []).filter(block => block.type === 'thought_signature');
+        parts = message.content ? [{ text: this.getTextContent(message.content) }] : [];
+        message.toolCalls.forEach((call, index) => {
+          const part = { functionCall: { id: call.id, name: call.name, args: call.arguments || {} } };
+          const signature = signatures.find(block => block.index === index);
+          if (signature) {
+            part.thoughtSignature = signature.signature;
+          }
+          parts.push(part);
+        });
+      } else {
+        // Gemini rejects empty text parts, so image-only turns send just the images
+        const text = this.getTextContent(message.content);
+        const images = this.getImageParts(message.content).map(part => ({
+          inlineData: { mimeType: part.mediaType, data: part.data }
+        }));
+        parts = text || images.length === 0 ? [{ text: text || '' }, ...images] : images;
+      }
+
+      // Consecutive turns from the same role are merged into one content entry
+      if (previous && previous.role === role) {
+        previous.parts.push(...parts);
+      } else {
+        contents.push({ role, parts });
+      }
+    }
+
+    const formatted = { contents };
+    if (systemText.trim()) {
+      formatted.systemInstruction = { parts: [{ text: systemText.trim() }] };
+    }
+
+    return formatted;
+  }
+
+  buildRequestBody(connection, messages, options) {
+    const formatted = this.formatMessages(messages, connection);
+
+    const body = {
+      contents: formatted.contents,
+      generationConfig: this.assignDefined({
+        maxOutputTokens: options.maxTokens || 4000,
+        temperature: options.temperature ?? 0.7
+      }, {
+        topP: options.topP,
+        stopSequences: options.stop,
+        seed: options.seed,
+        presencePenalty: options.presencePenalty,
+        frequencyPenalty: options.frequencyPenalty
+      })
+    };
+
+    if (formatted.systemInstruction) {
+      body.systemInstruction = formatted.systemInstruction;
+    }
+
+    // Gemini rejects object parameters without properties, so those are left out
+    if (options.tools && options.tools.length > 0) {
+      body.tools = [{
+        functionDeclarations: options.tools.map(tool => this.assignDefined({
+          name: tool.name,
+          description: tool.description
+        }, {
+          parameters: Object.keys(tool.parameters?.properties || {}).length > 0 ? tool.parameters : null
+        }))
+      }];
+      const modes = { none: 'NONE', auto: 'AUTO', required: 'ANY' };
+      if (modes[options.toolChoice]) {
+        body.toolConfig = { functionCallingConfig: { mode: modes[options.toolChoice] } };
+      }
+    }
+
+    if (options.outputSchema) {
+      body.generationConfig.responseMimeType = 'application/json';
+      body.generationConfig.responseJsonSchema = options.outputSchema.schema;
+    }
+
+    return body;
+  }
+
+  async sendMessage(connection, messages, options = {}) {
+    this.validateConnection(connection);
+
+    const requestBody = this.createRequestBody(connection, messages, options);
+    const headers = this.buildHeaders(connection);
+
+    try {
+      const response = await fetch(this.buildUrl(connection, 'generateContent'), {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(requestBody),
+        signal: this.getRequestSignal(connection, options)
+      });
+
+      if (!response.ok) {
+        const error = await response.text();
+        throw new ProviderError(`Gemini API error: ${response.status} - ${error}`, response);
+      }
+
+      const data = await response.json();
+      return this.formatResponse(data);
+    } catch (error) {
+      if (error.name === 'TimeoutError') {
+        throw new Error('Request timeout');
+      }
+      throw error;
+    }
+  }
+
+  async sendStreamingMessage(connection, messages, options = {}) {
+    this.validateConnection(connection);
+
+    const requestBody = this.createRequestBody(connection, messages, { ...options, streaming: true });
+    const headers = this.buildHeaders(connection);
+
+    const response = await fetch(this.buildUrl(connection, 'streamGenerateContent', { alt: 'sse' }), {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(requestBody),
+      signal: this.getRequestSignal(connection, options, false)
+    });
+
+    if (!response.ok) {
+      const error = await response.text();
+      throw new ProviderError(`Gemini API error: ${response.status} - ${error}`, response);
+    }
+
+    return response.body;
+  }
+
+  formatResponse(data) {
+    if (!data.candidates || data.candidates.length === 0) {
+      const blockReason = data.promptFeedback?.blockReason;
+      throw new Error(blockReason ? `Prompt blocked by Gemini: ${blockReason}` : 'No response candidates received');
+    }
+
+    const candidate = data.candidates[0];
+    const parts = candidate.content?.parts || [];
+    const calls = parts.filter(part => part.functionCall);
+
+    return {
+      content: parts.filter(part => !part.thought).map(part => part.text || '').join(''),
+      reasoning: parts.filter(part => part.thought).map(part => part.text || '').join(''),
+      toolCalls: calls.map((part, index) => ({
+        id: part.functionCall.id || `call_${index}`,
+        name: part.functionCall.name,
+        arguments: part.functionCall.args || {}
+      })),
+      thinkingBlocks: calls
+        .map((part, index) => part.thoughtSignature ? { type: 'thought_signature', index, signature: part.thoughtSignature } : null)
+        .filter(Boolean),
+      finishReason: candidate.finishReason,
+      usage: data.usageMetadata ? {
+        prompt_tokens: data.usageMetadata.promptTokenCount,
+        completion_tokens: data.usageMetadata.candidatesTokenCount,
+        total_tokens: data.usageMetadata.totalTokenCount
+      } : undefined,
+      model: data.modelVersion
+    };
+  }
+}
+
+// Ollama provider (native /api/chat with NDJSON streaming and model management)
+class OllamaProvider extends BaseProvider {
+  constructor() {
+    super();
+    this.name = 'Ollama';
+    this.streamFormat = 'ndjson';
+    this.defaultEndpoint = 'http://localhost:11434';
+    this.embeddingBatchSize = 32; // Local models embed a batch at a time, keep requests short
+    this.supportedFeatures = {
+      streaming: true,
+      reasoning: true,
+      thinking: true,
+      functionCalling: false,
+      vision: false,
+      structuredOutput: true,
+      embeddings: true
+    };
+  }
+
+  validateConnection(connection) {
+    // No API key needed for a local Ollama server
+    if (!connection.model) {
+      throw new Error('Model is required');
+    }
+
+    return true;
+  }
+
+  // Ollama takes images as a list of base64 strings next to the text
+  formatMessages(messages, connection) {
+    return messages.map(message => {
+      const formatted = {
+        role: message.role,
+        content: this.getTextContent(message.content)
+      };
+      const images = this.getImageParts(message.content);
+      if (images.length > 0) {
+        formatted.images = images.map(image => image.data);
+      }
+      return formatted;
+    });
+  }
+
+  // Native API lives at the server root, so drop an OpenAI-style /v1 suffix
+  getBaseUrl(connection) {
+    return (connection.endpoint || this.defaultEndpoint)
+      .replace(/\/+$/, '')
+      .replace(/\/v1$/, '');
+  }
+
+  async embed(connection, texts, options = {}) {
+    const model = options.model || connection.model;
+    const data = await this.postJSON(`${this.getBaseUrl(connection)}/api/embed`, connection, { model, input: texts }, options);
+
+    return {
+      embeddings: data.embeddings || [],
+      model: data.model || model,
+      usage: data.prompt_eval_count ? {
+        prompt_tokens: data.prompt_eval_count,
+        completion_tokens: 0,
+        total_tokens: data.prompt_eval_count
+      } : null
+    };
+  }
+
+  buildRequestBody(connection, messages, options) {
+    const ollamaSettings = connection.ollama || {};
+
+    const body = {
+      model: connection.model,
+      messages: this.formatMessages(messages, connection),
+      stream: options.streaming || false,
+      options: {
+        ...this.assignDefined({
+          num_predict: options.maxTokens || 4000,
+          temperature: options.temperature ?? 0.7
+        }, {
+          top_p: options.topP,
+          stop: options.stop,
+          seed: options.seed,
+          presence_penalty: options.presencePenalty,
+          frequency_penalty: options.frequencyPenalty
+        }),
+        ...ollamaSettings.options
+      }
+    };
+
+    // Ollama defaults to a small context unless num_ctx is given
+    if (connection.features?.contextWindow && body.options.num_ctx === undefined) {
+      body.options.num_ctx = connection.features.contextWindow;
+    }
+
+    if (ollamaSettings.keepAlive) {
+      body.keep_alive = ollamaSettings.keepAlive;
+    }
+
+    // Structured output: Ollama constrains the answer to the JSON schema given as format
+    if (options.outputSchema) {
+      body.format = options.outputSchema.schema;
+    }
+
+    return body;
+  }
+
+  async sendMessage(connection, messages, options = {}) {
+    this.validateConnection(connection);
+
+    const requestBody = this.createRequestBody(connection, messages, { ...options, streaming: false });
+    const headers = this.buildHeaders(connection);
+
+    try {
+      const response = await fetch(`${this.getBaseUrl(connection)}/api/chat`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(requestBody),
+        signal: this.getRequestSignal(connection, options)
+      });
+
+      if (!response.ok) {
+        const error = await response.text();
+        throw new ProviderError(`Ollama API error: ${response.status} - ${error}`, response);
+      }
+
+      const data = await response.json();
+      return this.formatResponse(data);
+    } catch (error) {
+      if (error.name === 'TimeoutError') {
+        throw new Error('Request timeout');
+      }
+      throw error;
+    }
+  }
+
+  async sendStreamingMessage(connection, messages, options = {}) {
+    this.validateConnection(connection);
+
+    const requestBody = this.createRequestBody(connection, messages, { ...options, streaming: true });
+    const headers = this.buildHeaders(connection);
+
+    const response = await fetch(`${this.getBaseUrl(connection)}/api/chat`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(requestBody),
+      signal: this.getRequestSignal(connection, options, false)
+    });
+
+    if (!response.ok) {
+      const error = await response.text();
+      throw new ProviderError(`Ollama API error: ${response.status} - ${error}`, response);
+    }
+
+    return response.body;
+  }
+
+  formatResponse(data) {
+    if (!data.message) {
+      throw new Error('No message received');
+    }
+
+    return {
+      content: data.message.content || '',
+      reasoning: data.message.thinking || '',
+      finishReason: data.done_reason,
+      usage: {
+        prompt_tokens: data.prompt_eval_count,
+        completion_tokens: data.eval_count,
+        total_tokens: (data.prompt_eval_count || 0) + (data.eval_count || 0)
+      },
+      model: data.model
+    };
+  }
+
+  // Installed models with their capabilities and context length from /api/show
+  async listModels(connection) {
+    const models = await this.listLocalModels(connection);
+    return Promise.all(models.map(async (model) => {
+      let details = {};
+      try {
+        details = await this.showModel(connection, model.name);
+      } catch (error) {
+        console.warn('OllamaProvider: Could not read model details:', model.name, error);
+      }
+      return this.normalizeModel({ id: model.name, name: model.name, ...details });
+    }));
+  }
+
+  // Capabilities (vision, tools, thinking) and trained context length of one model
+  async showModel(connection, modelName) {
+    const response = await fetch(`${this.getBaseUrl(connection)}/api/show`, {
+      method: 'POST',
+      headers: this.buildHeaders(connection),
+      body: JSON.stringify({ model: modelName }),
+      signal: AbortSignal.timeout(connection.timeout || 10000)
+    });
+
+    if (!response.ok) {
+      const error = await response.text();
+      throw new ProviderError(`Ollama API error: ${response.status} - ${error}`, response);
+    }
+
+    const data = await response.json();
+    const capabilities = data.capabilities;
+    const contextKey = Object.keys(data.model_info || {}).find(key => key.endsWith('.context_length'));
+
+    return {
+      contextWindow: contextKey ? data.model_info[contextKey] : undefined,
+      vision: Array.isArray(capabilities) ? capabilities.includes('vision') : undefined,
+      tools: Array.isArray(capabilities) ? capabilities.includes('tools') : undefined,
+      reasoning: Array.isArray(capabilities) ? capabilities.includes('thinking') : undefined
+    };
+  }
+
+  // List models installed on the Ollama server
+  async listLocalModels(connection) {
+    const response = await fetch(`${this.getBaseUrl(connection)}/api/tags`, {
+      method: 'GET',
+      headers: this.buildHeaders(connection),
+      signal: AbortSignal.timeout(connection.timeout || 10000)
+    });
+
+    if (!response.ok) {
+      const error = await response.text();
+      throw new ProviderError(`Ollama API error: ${response.status} - ${error}`, response);
+    }
+
+    const data = await response.json();
+    return (data.models || []).map(model => ({
+      name: model.name,
+      size: model.size,
+      modifiedAt: model.modified_at,
+      family: model.details?.family,
+      parameterSize: model.details?.parameter_size,
+      quantization: model.details?.quantization_level
+    }));
+  }
+
+  // Pull a model, reporting progress as { status, completed, total }
+  async pullModel(connection, modelName, onProgress = () => {}) {
+    const response = await fetch(`${this.getBaseUrl(connection)}/api/pull`, {
+      method: 'POST',
+      headers: this.buildHeaders(connection),
+      body: JSON.stringify({ model: modelName, stream: true })
+    });
+
+    if (!response.ok) {
+      const error = await response.text();
+      throw new ProviderError(`Ollama API error: ${response.status} - ${error}`, response);
+    }
+
+    let lastStatus = null;
+    await this.readNDJSON(response.body, (update) => {
+      if (update.error) {
+        throw new Error(update.error);
+      }
+      lastStatus = update.status;
+      onProgress({
+        status: update.status,
+        completed: update.completed || 0,
+        total: update.total || 0
+      });
+    });
+
+    if (lastStatus !== 'success') {
+      throw new Error('Pull did not complete');
+    }
+
+    return true;
+  }
+
+  // Delete a model from the Ollama server
+  async deleteModel(connection, modelName) {
+    const response = await fetch(`${this.getBaseUrl(connection)}/api/delete`, {
+      method: 'DELETE',
+      headers: this.buildHeaders(connection),
+      body: JSON.stringify({ model: modelName })
+    });
+
+    if (!response.ok) {
+      const error = await response.text();
+      throw new ProviderError(`Ollama API error: ${response.status} - ${error}`, response);
+    }
+
+    return true;
+  }
+
+  // Read a newline-delimited JSON stream, calling onObject for each line
+  async readNDJSON(body, onObject) {
+    const reader = body.getReader();
+    const lineDecoder = new LineDecoder();
+
+    while (true) {
+      const { done, value } = await reader.read();
+      const lines = done ? lineDecoder.flush() : lineDecoder.push(value);
+
+      for (const line of lines) {
+        if (line.trim()) {
+          onObject(JSON.parse(line));
+        }
+      }
+
+      if (done) break;
+    }
+  }
+}
+
+// llama.cpp server native API (/completion). Unlike its OpenAI shim this takes
+// a GBNF grammar or JSON schema to constrain the output, token probabilities
+// (n_probs) and a slot to keep the prompt cache in. The prompt is rendered with
+// the model's own chat template, and /props reports the real context size.
+class LlamaCppProvider extends BaseProvider {
+  constructor() {
+    super();
+    this.name = 'llama.cpp';
+    this.streamFormat = 'llamacpp-sse';
+    this.defaultEndpoint = 'http://localhost:8080';
+    this.selectsModel = false;
+    this.propsCache = new Map(); // base URL -> /props response
+    this.applyTemplateSupported = new Map(); // base URL -> whether /apply-template exists
+    this.supportedFeatures = {
+      streaming: true,
+      reasoning: true,
+      thinking: true,
+      functionCalling: false,
+      vision: false,
+      structuredOutput: true,
+      embeddings: false
+    };
+  }
+
+  // The server serves one model, so no model name is needed
+  validateConnection(connection) {
+    const settings = connection.llamacpp || {};
+    if (settings.grammar && settings.jsonSchema) {
+      throw new Error('Use either a grammar or a JSON schema, not both');
+    }
+    return true;
+  }
+
+  // Native API lives at the server root, so drop an OpenAI-style /v1 suffix
+  getBaseUrl(connection) {
+    return (connection.endpoint || this.defaultEndpoint)
+      .replace(/\/+$/, '')
+      .replace(/\/v1$/, '');
+  }
+
+  // Server properties: default_generation_settings.n_ctx, chat_template, model_path
+  async getProps(connection, refresh = false) {
+    const baseUrl = this.getBaseUrl(connection);
+    if (!refresh && this.propsCache.has(baseUrl)) {
+      return this.propsCache.get(baseUrl);
+    }
+
+    const props = await this.fetchJSON(`${baseUrl}/props`, connection);
+    this.propsCache.set(baseUrl, props);
+    return props;
+  }
+
+  // Context size of one slot, which is what a single request can use
+  getContextLength(props) {
+    return props?.default_generation_settings?.n_ctx ?? props?.n_ctx ?? null;
+  }
+
+  getModelName(props) {
+    const path = props?.model_alias || props?.model_path || '';
+    return path.split(/[\\/]/).pop() || 'llama.cpp';
+  }
+
+  // Render the messages into a prompt with the model's chat template. The server
+  // applies its own (Jinja) template through /apply-template; older servers
+  // without it get a built-in template matching the one /props reports.
+  async applyChatTemplate(connection, messages) {
+    const baseUrl = this.getBaseUrl(connection);
+    const formatted = this.formatMessages(messages, connection);
+
+    if (this.applyTemplateSupported.get(baseUrl) !== false) {
+      const response = await fetch(`${baseUrl}/apply-template`, {
+        method: 'POST',
+        headers: this.buildHeaders(connection),
+        body: JSON.stringify({ messages: formatted }),
+        signal: AbortSignal.timeout(connection.timeout || 30000)
+      });
+
+      if (response.ok) {
+        this.applyTemplateSupported.set(baseUrl, true);
+        const data = await response.json();
+        return { prompt: data.prompt, stop: [] };
+      }
+      if (response.status !== 404) {
+        const error = await response.text();
+        throw new ProviderError(`llama.cpp API error: ${response.status} - ${error}`, response);
+      }
+      this.applyTemplateSupported.set(baseUrl, false);
+    }
+
+    const props = await this.getProps(connection);
+    return this.renderTemplate(formatted, props.chat_template || '');
+  }
+
+  // Built-in renderings of the common template families, picked by their markers
+  renderTemplate(messages, chatTemplate) {
+    const turns = messages.map(message => ({ role: message.role, content: message.content || '' }));
+
+    if (chatTemplate.includes('<|start_header_id|>')) {
+      return {
+        prompt: turns.map(turn => `<|start_header_id|>${turn.role}<|end_header_id|>\n\n${turn.content}<|eot_id|>`).join('') +
+          '<|start_header_id|>assistant<|end_header_id|>\n\n',
+        stop: ['<|eot_id|>']
+      };
+    }
+
+    if (chatTemplate.includes('<start_of_turn>')) {
+      // Gemma has no system role; the system prompt leads the first user turn
+      const system = turns.filter(turn => turn.role === 'system').map(turn => turn.content).join('\n\n');
+      const chat = turns.filter(turn => turn.role !== 'system');
+      if (system && chat[0]?.role === 'user') {
+        chat[0] = { ...chat[0], content: `${system}\n\n${chat[0].content}` };
+      }
+      return {
+        prompt: chat.map(turn => `<start_of_turn>${turn.role === 'assistant' ? 'model' : 'user'}\n${turn.content}<end_of_turn>\n`).join('') +
+          '<start_of_turn>model\n',
+        stop: ['<end_of_turn>']
+      };
+    }
+
+    if (chatTemplate.includes('[INST]')) {
+      const system = turns.filter(turn => turn.role === 'system').map(turn => turn.content).join('\n\n');
+      let prompt = '';
+      let systemUsed = false;
+      for (const turn of turns.filter(turn => turn.role !== 'system')) {
+        if (turn.role === 'assistant') {
+          prompt += ` ${turn.content}</s>`;
+        } else {
+          const content = system && !systemUsed ? `${system}\n\n${turn.content}` : turn.content;
+          systemUsed = true;
+          prompt += `[INST] ${content} [/INST]`;
+        }
+      }
+      return { prompt, stop: ['</s>', '[INST]'] };
+    }
+
+    // ChatML (Qwen, many fine-tunes) is the most common default
+    return {
+      prompt: turns.map(turn => `<|im_start|>${turn.role}\n${turn.content}<|im_end|>\n`).join('') + '<|im_start|>assistant\n',
+      stop: ['<|im_end|>']
+    };
+  }
+
+  // Text-only messages; tool messages are sent as plain user text
+  formatMessages(messages, connection) {
+    return messages.map(message => ({
+      role: message.role === 'tool' ? 'user' : message.role,
+      content: this.getTextContent(message.content)
+    }));
+  }
+
+  // options.prompt is the rendered prompt and options.templateStop the template's
+  // end-of-turn markers. A request's own grammar or JSON schema (including a
+  // structured output schema) replaces the connection's, since the server takes
+  // only one of them.
+  buildRequestBody(connection, messages, options) {
+    const settings = connection.llamacpp || {};
+    const jsonSchema = options.jsonSchema || options.outputSchema?.schema;
+    const constraint = options.grammar || jsonSchema
+      ? { grammar: options.grammar, json_schema: jsonSchema }
+      : { grammar: settings.grammar, json_schema: settings.jsonSchema };
+    const stop = [...(options.stop || []), ...(options.templateStop || [])];
+
+    return this.assignDefined({
+      prompt: options.prompt,
+      n_predict: options.maxTokens || 4000,
+      temperature: options.temperature ?? 0.7,
+      stream: options.streaming || false,
+      cache_prompt: true
+    }, {
+      top_p: options.topP,
+      stop,
+      seed: options.seed,
+      presence_penalty: options.presencePenalty,
+      frequency_penalty: options.frequencyPenalty,
+      grammar: constraint.grammar,
+      json_schema: constraint.json_schema,
+      n_probs: settings.nProbs,
+      id_slot: settings.slotId
+    });
+  }
+
+  async sendMessage(connection, messages, options = {}) {
+    this.validateConnection(connection);
+
+    const template = await this.applyChatTemplate(connection, messages);
+    const requestBody = this.createRequestBody(connection, messages, {
+      ...options,
+      streaming: false,
+      prompt: template.prompt,
+      templateStop: template.stop
+    });
+
+    try {
+      const response = await fetch(`${this.getBaseUrl(connection)}/completion`, {
+        method: 'POST',
+        headers: this.buildHeaders(connection),
+        body: JSON.stringify(requestBody),
+        signal: this.getRequestSignal(connection, options)
+      });
+
+      if (!response.ok) {
+        const error = await response.text();
+        throw new ProviderError(`llama.cpp API error: ${response.status} - ${error}`, response);
+      }
+
+      const data = await response.json();
+      return this.formatResponse(data);
+    } catch (error) {
+      if (error.name === 'TimeoutError') {
+        throw new Error('Request timeout');
+      }
+      throw error;
+    }
+  }
+
+  async sendStreamingMessage(connection, messages, options = {}) {
+    this.validateConnection(connection);
+
+    const template = await this.applyChatTemplate(connection, messages);
+    const requestBody = this.createRequestBody(connection, messages, {
+      ...options,
+      streaming: true,
+      prompt: template.prompt,
+      templateStop: template.stop
+    });
+
+    const response = await fetch(`${this.getBaseUrl(connection)}/completion`, {
+      method: 'POST',
+      headers: this.buildHeaders(connection),
+      body: JSON.stringify(requestBody),
+      signal: this.getRequestSignal(connection, options, false)
+    });
+
+    if (!response.ok) {
+      const error = await response.text();
+      throw new ProviderError(`llama.cpp API error: ${response.status} - ${error}`, response);
+    }
+
+    return response.body;
+  }
+
+  formatResponse(data) {
+    return {
+      content: data.content || '',
+      reasoning: '',
+      toolCalls: [],
+      finishReason: data.stopped_limit ? 'length' : 'stop',
+      usage: {
+        prompt_tokens: data.tokens_evaluated || 0,
+        completion_tokens: data.tokens_predicted || 0,
+        total_tokens: (data.tokens_evaluated || 0) + (data.tokens_predicted || 0)
+      },
+      probabilities: data.completion_probabilities || null,
+      model: data.model
+    };
+  }
+
+  // The loaded model, with the server's context size
+  async listModels(connection) {
+    const props = await this.getProps(connection, true);
+    return [this.normalizeModel({
+      id: this.getModelName(props),
+      contextWindow: this.getContextLength(props),
+      tools: false
+    })];
+  }
+
+  // The usual checks, plus the server's context size for features.contextWindow
+  async testConnection(connection) {
+    const result = await super.testConnection(connection);
+    try {
+      result.contextWindow = this.getContextLength(await this.getProps(connection, true));
+    } catch (error) {
+      result.contextWindow = null;
+    }
+    return result;
+  }
+
+  // Slots: { id, n_ctx, is_processing, ... } per parallel sequence on the server
+  async listSlots(connection) {
+    return this.fetchJSON(`${this.getBaseUrl(connection)}/slots`, connection);
+  }
+
+  // Drop a slot's prompt cache
+  async eraseSlot(connection, slotId) {
+    const response = await fetch(`${this.getBaseUrl(connection)}/slots/${encodeURIComponent(slotId)}?action=erase`, {
+      method: 'POST',
+      headers: this.buildHeaders(connection),
+      signal: AbortSignal.timeout(connection.timeout || 10000)
+    });
+
+    if (!response.ok) {
+      const error = await response.text();
+      throw new ProviderError(`llama.cpp API error: ${response.status} - ${error}`, response);
+    }
+
+    return response.json();
+  }
+}
+
+// Provider that answers locally without any server, for demos without an API key
+// and for checking the chat UI against known output. Streams are real OpenAI SSE
+// bytes, so they go through the same parser, events and error handling as any
+// other connection. Settings come from connection.mock; a message can override
+// them with directives such as "/mock:429" (see getBehavior).
+class MockProvider extends BaseProvider {
+  constructor() {
+    super();
+    this.name = 'Mock';
+    this.defaultEndpoint = 'mock://local';
+    this.defaultModel = 'mock-1';
+    this.selectsModel = false;
+    this.supportedFeatures = {
+      streaming: true,
+      reasoning: true,
+      thinking: false,
+      functionCalling: true,
+      vision: true,
+      structuredOutput: true,
+      embeddings: false
+    };
+  }
+
+  // Nothing to connect to
+  validateConnection(connection) {
+    return true;
+  }
+
+  // connection.mock: { mode: 'echo' | 'canned', response, delayMs, reasoning, toolCalls,
+  // error: 'none' | '429' | '500' | 'disconnect' }. Directives in the last user
+  // message win: /mock:echo, /mock:canned, /mock:reasoning, /mock:tool,
+  // /mock:429, /mock:500 and /mock:disconnect.
+  getBehavior(connection, messages) {
+    const settings = connection.mock || {};
+    const behavior = {
+      mode: settings.mode === 'canned' ? 'canned' : 'echo',
+      response: settings.response || '',
+      delayMs: Number.isFinite(settings.delayMs) && settings.delayMs >= 0 ? settings.delayMs : 30,
+      reasoning: !!settings.reasoning,
+      toolCalls: !!settings.toolCalls,
+      error: settings.error || 'none'
+    };
+
+    const lastUser = [...messages].reverse().find(message => message.role === 'user');
+    const text = lastUser ? this.getTextContent(lastUser.content) || '' : '';
+    for (const [, directive] of text.matchAll(/\/mock:([a-z0-9]+)/gi)) {
+      const name = directive.toLowerCase();
+      if (name === 'echo' || name === 'canned') behavior.mode = name;
+      if (name === 'reasoning') behavior.reasoning = true;
+      if (name === 'tool') behavior.toolCalls = true;
+      if (['429', '500', 'disconnect'].includes(name)) behavior.error = name;
+    }
+
+    return behavior;
+  }
+
+  // The same errors a real API gives, so retries, rate limit notices and failover run
+  throwRequestError(behavior) {
+    if (behavior.error === '429') {
+      throw new ProviderError('Mock API error: 429 - Rate limit reached (simulated)', new Response('', {
+        status: 429,
+        headers: { 'retry-after': '1' }
+      }));
+    }
+    if (behavior.error === '500') {
+      throw new ProviderError('Mock API error: 500 - Internal server error (simulated)', new Response('', { status: 500 }));
+    }
+  }
+
+  // The answer for this turn: { content, reasoning, toolCall }
+  getReply(connection, messages, options, behavior) {
+    const lastMessage = messages[messages.length - 1];
+    const lastUser = [...messages].reverse().find(message => message.role === 'user');
+    const prompt = lastUser ? (this.getTextContent(lastUser.content) || '').replace(/\/mock:[a-z0-9]+/gi, '').trim() : '';
+    const reasoning = behavior.reasoning
+      ? `The user wrote ${prompt.length} characters. This is simulated reasoning from the mock provider, streamed before the answer.`
+      : '';
+
+    if (lastMessage?.role === 'tool') {
+      const result = this.getTextContent(lastMessage.content) || '';
+      return {
+        content: `The ${lastMessage.name || 'tool'} tool returned ${result.length} characters:\n\n> ${result.substring(0, 200).replace(/\n/g, '\n> ')}`,
+        reasoning,
+        toolCall: null
+      };
+    }
+
+    const tool = this.getMockTool(options);
+    if (behavior.toolCalls && tool) {
+      return {
+        content: '',
+        reasoning,
+        toolCall: {
+          id: `call_mock_${messages.length}`,
+          name: tool.name,
+          arguments: this.getSampleArguments(tool.parameters)
+        }
+      };
+    }
+
+    if (options.outputSchema) {
+      return { content: JSON.stringify(this.getSampleValue(options.outputSchema.schema)), reasoning, toolCall: null };
+    }
+
+    if (behavior.mode === 'canned' && behavior.response) {
+      return { content: behavior.response, reasoning, toolCall: null };
+    }
+
+    const images = Array.isArray(lastUser?.content) ? lastUser.content.filter(part => part.type === 'image').length : 0;
+    const lines = [
+      `You said: "${prompt || '(empty message)'}"`,
+      '',
+      `This is a mock response from ${connection.model || this.defaultModel}, with ${messages.length} message${messages.length === 1 ? '' : 's'} in the conversation.`
+    ];
+    if (images > 0) {
+      lines.push(`The message included ${images} image${images === 1 ? '' : 's'}.`);
+    }
+    return { content: lines.join('\n'), reasoning, toolCall: null };
+  }
+
+  // Prefer a tool that needs no arguments, and none once tool rounds are used up
+  getMockTool(options) {
+    if (!options.tools || options.tools.length === 0 || options.toolChoice === 'none') {
+      return null;
+    }
+    return options.tools.find(tool => !tool.parameters?.required?.length) || options.tools[0];
+  }
+
+  getSampleArguments(parameters = {}) {
+    const args = {};
+    for (const name of parameters.required || []) {
+      args[name] = this.getSampleValue(parameters.properties?.[name] || {}, name);
+    }
+    return args;
+  }
+
+  // Deterministic sample data that fits a JSON schema
+  getSampleValue(schema = {}, name = 'value', index = 0) {
+    if ('const' in schema) return schema.const;
+    if (schema.enum?.length) return schema.enum[0];
+    if (schema.anyOf?.length) return this.getSampleValue(schema.anyOf[0], name, index);
+
+    const type = Array.isArray(schema.type) ? schema.type.find(option => option !== 'null') || 'null' : schema.type;
+    switch (type) {
+      case 'object':
+        return Object.fromEntries(Object.entries(schema.properties || {})
+          .map(([key, property]) => [key, this.getSampleValue(property, key, index)]));
+      case 'array':
+        return [0, 1].map(itemIndex => this.getSampleValue(schema.items || {}, name, itemIndex));
+      case 'integer':
+      case 'number':
+        return Math.max(schema.minimum ?? 0, index + 1);
+      case 'boolean':
+        return index % 2 === 0;
+      case 'null':
+        return null;
+      default:
+        return `Sample ${name} ${index + 1}`;
+    }
+  }
+
+  // Rough token counts (4 characters per token), so usage tracking has numbers to show
+  getUsage(messages, reply) {
+    const promptChars = messages.reduce((total, message) => total + (this.getTextContent(message.content) || '').length, 0);
+    const completionChars = reply.content.length + reply.reasoning.length + (reply.toolCall ? JSON.stringify(reply.toolCall.arguments).length : 0);
+    const promptTokens = Math.ceil(promptChars / 4);
+    const completionTokens = Math.ceil(completionChars / 4);
+    return {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: promptTokens + completionTokens
+    };
+  }
+
+  async sendMessage(connection, messages, options = {}) {
+    const behavior = this.getBehavior(connection, messages);
+    await BaseProvider.sleep(behavior.delayMs, options.signal);
+    this.throwRequestError(behavior);
+    if (behavior.error === 'disconnect') {
+      throw new TypeError('Failed to fetch (simulated disconnect)');
+    }
+
+    const reply = this.getReply(connection, messages, options, behavior);
+    return {
+      content: reply.content,
+      reasoning: reply.reasoning,
+      toolCalls: reply.toolCall ? [reply.toolCall] : [],
+      finishReason: reply.toolCall ? 'tool_calls' : 'stop',
+      usage: this.getUsage(messages, reply),
+      model: connection.model || this.defaultModel
+    };
+  }
+
+  // Streams the reply as OpenAI chat completion chunks, a few words at a time,
+  // with behavior.delayMs between chunks. A simulated disconnect errors the
+  // stream halfway through the answer, as a dropped connection would.
+  async sendStreamingMessage(connection, messages, options = {}) {
+    const behavior = this.getBehavior(connection, messages);
+    await BaseProvider.sleep(behavior.delayMs, options.signal);
+    this.throwRequestError(behavior);
+
+    const reply = this.getReply(connection, messages, options, behavior);
+    const model = connection.model || this.defaultModel;
+    const chunk = (delta, extra = {}) => ({ id: 'chatcmpl-mock', object: 'chat.completion.chunk', model, choices: [{ index: 0, delta, finish_reason: null }], ...extra });
+
+    const events = [];
+    this.splitWords(reply.reasoning).forEach(text => events.push(chunk({ reasoning_content: text })));
+    this.splitWords(reply.content).forEach(text => events.push(chunk({ content: text })));
+    if (reply.toolCall) {
+      events.push(chunk({ tool_calls: [{ index: 0, id: reply.toolCall.id, type: 'function', function: { name: reply.toolCall.name, arguments: '' } }] }));
+      events.push(chunk({ tool_calls: [{ index: 0, function: { arguments: JSON.stringify(reply.toolCall.arguments) } }] }));
+    }
+    const disconnectAt = behavior.error === 'disconnect' ? Math.max(1, Math.floor(events.length / 2)) : -1;
+    events.push({ ...chunk({}), choices: [{ index: 0, delta: {}, finish_reason: reply.toolCall ? 'tool_calls' : 'stop' }] });
+    events.push({ ...chunk({}), choices: [], usage: this.getUsage(messages, reply) });
+
+    const encoder = new TextEncoder();
+    let cancelled = false;
+    return new ReadableStream({
+      start: async (controller) => {
+        try {
+          for (let index = 0; index < events.length && !cancelled; index++) {
+            if (index === disconnectAt) {
+              throw new TypeError('network error (simulated disconnect)');
+            }
+            await BaseProvider.sleep(behavior.delayMs, options.signal);
+            controller.enqueue(encoder.encode(`data: ${JSON.stringify(events[index])}\n\n`));
+          }
+          if (!cancelled) {
+            controller.enqueue(encoder.encode('data: [DONE]\n\n'));
+            controller.close();
+          }
+        } catch (error) {
+          if (!cancelled) {
+            controller.error(error);
+          }
+        }
+      },
+      cancel: () => {
+        cancelled = true;
+      }
+    });
+  }
+
+  // Chunks of up to three words, keeping the whitespace so they join back exactly
+  splitWords(text) {
+    return text ? text.match(/\S+\s*(?:\S+\s*)?(?:\S+\s*)?|\s+/g) : [];
+  }
+
+  async listModels(connection) {
+    return [this.normalizeModel({
+      id: this.defaultModel,
+      name: 'Mock model',
+      contextWindow: 32768,
+      vision: true,
+      tools: true,
+      reasoning: true
+    })];
+  }
+}
+
+// Provider built at runtime from a JSON spec defined in settings, for gateways
+// whose request or response shape differs from the built-in APIs. Templates use
+// {name} placeholders; a string that is only a placeholder keeps the value's
+// type, so "{messages}" becomes the message array and "{stream}" a boolean.
+//
+// {
+//   "url": "{endpoint}/chat/completions",
+//   "headers": { "Authorization": "Bearer {apiKey}" },
+//   "body": { "model": "{model}", "messages": "{messages}", "stream": "{stream}" },
+//   "response": { "content": "$.choices[0].message.content", "usage": { "promptTokens": "$.usage.prompt_tokens" } },
+//   "stream": { "format": "sse", "delta": "$.choices[0].delta.content", "done": "[DONE]" },
+//   "models": { "url": "{endpoint}/models", "list": "$.data", "id": "$.id" }
+// }
+class CustomProvider extends BaseProvider {
+  constructor(definition) {
+    super();
+    const spec = CustomProvider.validateSpec(definition.spec);
+    this.id = definition.id;
+    this.name = definition.name || 'Custom';
+    this.spec = spec;
+    this.streamFormat = spec.stream?.format === 'ndjson' ? 'custom-ndjson' : 'custom-sse';
+    this.supportedFeatures = {
+      streaming: !!spec.stream,
+      reasoning: !!(spec.response.reasoning || spec.stream?.reasoning),
+      thinking: false,
+      functionCalling: false,
+      vision: false,
+      structuredOutput: false,
+      embeddings: false
+    };
+  }
+
+  // Check a spec before it is saved or used. Returns it with defaults filled in.
+  static validateSpec(spec) {
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+      throw new Error('Provider spec must be a JSON object');
+    }
+    if (typeof spec.url !== 'string' || !spec.url) {
+      throw new Error('Provider spec needs a "url" template');
+    }
+    if (spec.headers !== undefined && (typeof spec.headers !== 'object' || Array.isArray(spec.headers))) {
+      throw new Error('"headers" must be an object of header templates');
+    }
+    if (spec.body !== undefined && (typeof spec.body !== 'object' || spec.body === null)) {
+      throw new Error('"body" must be a JSON template');
+    }
+    if (!spec.response?.content) {
+      throw new Error('Provider spec needs a "response.content" selector');
+    }
+    if (spec.stream) {
+      if (spec.stream.format && !['sse', 'ndjson'].includes(spec.stream.format)) {
+        throw new Error('"stream.format" must be "sse" or "ndjson"');
+      }
+      if (!spec.stream.delta) {
+        throw new Error('Provider spec needs a "stream.delta" selector when it streams');
+      }
+    }
+    if (spec.models && (!spec.models.url || !spec.models.list)) {
+      throw new Error('"models" needs a "url" and a "list" selector');
+    }
+
+    // Every selector has to parse, so typos show up when the spec is saved
+    const selectors = [
+      ['response', spec.response],
+      ['response.usage', spec.response.usage],
+      ['stream', spec.stream],
+      ['stream.usage', spec.stream?.usage],
+      ['models', spec.models]
+    ];
+    for (const [section, values] of selectors) {
+      for (const [key, selector] of Object.entries(values || {})) {
+        // url and format are not selectors; done may be a literal payload such as "[DONE]"
+        if (typeof selector !== 'string' || key === 'url' || key === 'format') continue;
+        if (key === 'done' && !selector.startsWith('$')) continue;
+        try {
+          JsonPath.parse(selector);
+        } catch (error) {
+          throw new Error(`"${section}.${key}": ${error.message}`);
+        }
+      }
+    }
+
+    return {
+      headers: { Authorization: 'Bearer {apiKey}' },
+      body: {
+        model: '{model}',
+        messages: '{messages}',
+        max_tokens: '{maxTokens}',
+        temperature: '{temperature}',
+        stream: '{stream}'
+      },
+      ...spec
+    };
+  }
+
+  validateConnection(connection) {
+    if (this.spec.url.includes('{endpoint}') && !connection.endpoint) {
+      throw new Error('Endpoint is required');
+    }
+    return true;
+  }
+
+  // Values for the {name} placeholders
+  getTemplateValues(connection, messages = [], options = {}) {
+    const formatted = this.formatMessages(messages, connection);
+    const system = formatted.filter(message => message.role === 'system').map(message => message.content).join('\n\n');
+    const lastUser = [...formatted].reverse().find(message => message.role === 'user');
+
+    return {
+      endpoint: (connection.endpoint || '').replace(/\/+$/, ''),
+      apiKey: connection.apiKey || undefined,
+      model: connection.model || undefined,
+      messages: formatted,
+      system: system || undefined,
+      prompt: lastUser?.content,
+      maxTokens: options.maxTokens || 4000,
+      temperature: options.temperature ?? 0.7,
+      stream: !!options.streaming,
+      topP: options.topP,
+      stop: options.stop,
+      seed: options.seed,
+      presencePenalty: options.presencePenalty,
+      frequencyPenalty: options.frequencyPenalty
+    };
+  }
+
+  // Fill placeholders in a JSON template. Fields whose value is unset are left out.
+  fillTemplate(template, values) {
+    if (typeof template === 'string') {
+      const whole = template.match(/^\{(\w+)\}$/);
+      if (whole && whole[1] in values) {
+        return values[whole[1]] ?? undefined;
+      }
+      return template.replace(/\{(\w+)\}/g, (match, name) => name in values ? (values[name] ?? '') : match);
+    }
+    if (Array.isArray(template)) {
+      return template.map(item => this.fillTemplate(item, values)).filter(item => item !== undefined);
+    }
+    if (template && typeof template === 'object') {
+      const filled = {};
+      for (const [key, value] of Object.entries(template)) {
+        const result = this.fillTemplate(value, values);
+        if (result !== undefined) {
+          filled[key] = result;
+        }
+      }
+      return filled;
+    }
+    return template;
+  }
+
+  // URL placeholders are encoded, except the endpoint itself
+  fillUrl(template, values) {
+    return template.replace(/\{(\w+)\}/g, (match, name) => {
+      if (!(name in values)) return match;
+      const value = values[name] ?? '';
+      return name === 'endpoint' ? value : encodeURIComponent(value);
+    });
+  }
+
+  // Headers that use an unset value (e.g. {apiKey} on a keyless local gateway) are skipped
+  buildHeaders(connection) {
+    const values = this.getTemplateValues(connection);
+    const headers = { 'Content-Type': 'application/json' };
+
+    for (const [name, template] of Object.entries(this.spec.headers || {})) {
+      const names = [...String(template).matchAll(/\{(\w+)\}/g)].map(match => match[1]);
+      if (names.some(key => key in values && (values[key] === undefined || values[key] === ''))) continue;
+      headers[name] = this.fillTemplate(String(template), values);
+    }
+
+    return { ...headers, ...connection.customHeaders };
+  }
+
+  buildRequestBody(connection, messages, options) {
+    return this.fillTemplate(this.spec.body, this.getTemplateValues(connection, messages, options));
+  }
+
+  getUrl(connection, streaming) {
+    const template = streaming && this.spec.stream?.url ? this.spec.stream.url : this.spec.url;
+    return this.fillUrl(template, this.getTemplateValues(connection, [], { streaming }));
+  }
+
+  createStreamParser(connection) {
+    return new StreamParser({ customTags: connection.reasoningTags, customStream: this.spec.stream });
+  }
+
+  async sendMessage(connection, messages, options = {}) {
+    this.validateConnection(connection);
+
+    const requestBody = this.createRequestBody(connection, messages, { ...options, streaming: false });
+
+    try {
+      const response = await fetch(this.getUrl(connection, false), {
+        method: 'POST',
+        headers: this.buildHeaders(connection),
+        body: JSON.stringify(requestBody),
+        signal: this.getRequestSignal(connection, options)
+      });
+
+      if (!response.ok) {
+        const error = await response.text();
+        throw new ProviderError(`${this.name} API error: ${response.status} - ${error}`, response);
+      }
+
+      const data = await response.json();
+      return this.formatResponse(data);
+    } catch (error) {
+      if (error.name === 'TimeoutError') {
+        throw new Error('Request timeout');
+      }
+      throw error;
+    }
+  }
+
+  async sendStreamingMessage(connection, messages, options = {}) {
+    this.validateConnection(connection);
+    if (!this.spec.stream) {
+      throw new Error(`${this.name} has no "stream" section in its spec`);
+    }
+
+    const requestBody = this.createRequestBody(connection, messages, { ...options, streaming: true });
+
+    const response = await fetch(this.getUrl(connection, true), {
+      method: 'POST',
+      headers: this.buildHeaders(connection),
+      body: JSON.stringify(requestBody),
+      signal: this.getRequestSignal(connection, options, false)
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new ProviderError(`${this.name} API error: ${response.status} - ${errorText}`, response);
+    }
+
+    return response.body;
+  }
+
+  formatResponse(data) {
+    const response = this.spec.response;
+
+    const error = JsonPath.selectText(data, response.error);
+    if (error) {
+      throw new Error(`${this.name} API error: ${error}`);
+    }
+
+    const usage = response.usage || {};
+    const promptTokens = usage.promptTokens ? JsonPath.select(data, usage.promptTokens) : undefined;
+    const completionTokens = usage.completionTokens ? JsonPath.select(data, usage.completionTokens) : undefined;
+    const hasUsage = typeof promptTokens === 'number' || typeof completionTokens === 'number';
+
+    return {
+      content: JsonPath.selectText(data, response.content),
+      reasoning: JsonPath.selectText(data, response.reasoning),
+      toolCalls: [],
+      finishReason: response.finishReason ? JsonPath.select(data, response.finishReason) ?? null : null,
+      usage: hasUsage ? {
+        prompt_tokens: promptTokens || 0,
+        completion_tokens: completionTokens || 0,
+        total_tokens: (promptTokens || 0) + (completionTokens || 0)
+      } : null,
+      model: response.model ? JsonPath.select(data, response.model) : undefined
+    };
+  }
+
+  // Only specs with a "models" section can list models
+  async listModels(connection) {
+    const models = this.spec.models;
+    if (!models) {
+      return null;
+    }
+
+    const data = await this.fetchJSON(this.fillUrl(models.url, this.getTemplateValues(connection)), connection);
+    const list = JsonPath.select(data, models.list);
+    return (Array.isArray(list) ? list : []).map(item => {
+      const id = typeof item === 'string' ? item : JsonPath.select(item, models.id || '$.id');
+      return this.normalizeModel({
+        id,
+        name: models.name && typeof item === 'object' ? JsonPath.select(item, models.name) : undefined,
+        contextWindow: models.contextWindow && typeof item === 'object' ? JsonPath.select(item, models.contextWindow) : undefined
+      });
+    }).filter(model => model.id);
+  }
+}
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { LLMProviders, BaseProvider, OpenAIProvider, OpenAICompatibleProvider, AnthropicProvider };
+  module.exports = { LLMProviders, ProviderError, BaseProvider, OpenAIProvider, OpenAIResponsesProvider, OpenAICompatibleProvider, AzureOpenAIProvider, BedrockProvider, AnthropicProvider, GeminiProvider, OllamaProvider, LlamaCppProvider, MockProvider, CustomProvider };
 } else if (typeof globalThis !== 'undefined') {
   globalThis.LLMProviders = LLMProviders;
+  globalThis.ProviderError = ProviderError;
   globalThis.BaseProvider = BaseProvider;
   globalThis.OpenAIProvider = OpenAIProvider;
+  globalThis.OpenAIResponsesProvider = OpenAIResponsesProvider;
   globalThis.OpenAICompatibleProvider = OpenAICompatibleProvider;
+  globalThis.AzureOpenAIProvider = AzureOpenAIProvider;
+  globalThis.BedrockProvider = BedrockProvider;
   globalThis.AnthropicProvider = AnthropicProvider;
+  globalThis.GeminiProvider = GeminiProvider;
+  globalThis.OllamaProvider = OllamaProvider;
+  globalThis.LlamaCppProvider = LlamaCppProvider;
+  globalThis.MockProvider = MockProvider;
+  globalThis.CustomProvider = CustomProvider;
 } else if (typeof self !== 'undefined') {
   self.LLMProviders = LLMProviders;
+  self.ProviderError = ProviderError;
   self.BaseProvider = BaseProvider;
   self.OpenAIProvider = OpenAIProvider;
+  self.OpenAIResponsesProvider = OpenAIResponsesProvider;
   self.OpenAICompatibleProvider = OpenAICompatibleProvider;
+  self.AzureOpenAIProvider = AzureOpenAIProvider;
+  self.BedrockProvider = BedrockProvider;
   self.AnthropicProvider = AnthropicProvider;
+  self.GeminiProvider = GeminiProvider;
+  self.OllamaProvider = OllamaProvider;
+  self.LlamaCppProvider = LlamaCppProvider;
+  self.MockProvider = MockProvider;
+  self.CustomProvider = CustomProvider;
 }
\ No newline at end of file
@@ -0,0 +1,107 @@
+// Request Queue - Per-connection concurrency limit for LLM requests
+class RequestQueue {
+  constructor() {
+    this.queues = new Map(); // key -> { active, concurrency, waiting: [{ resolve, signal, onAbort }] }
+  }
+
+  getQueue(key) {
+    if (!this.queues.has(key)) {
+      this.queues.set(key, { active: 0, concurrency: 1, waiting: [] });
+    }
+    return this.queues.get(key);
+  }
+
+  // Wait for a free slot on a key. Resolves with a release function that must be
+  // called exactly once when the request is finished. onQueued is called with the
+  // position in line when the request has to wait.
+  acquire(key, { concurrency = 1, signal = null, onQueued = null } = {}) {
+    const queue = this.getQueue(key);
+    queue.concurrency = concurrency;
+
+    if (signal?.aborted) {
+      return Promise.reject(signal.reason || new DOMException('Request aborted', 'AbortError'));
+    }
+
+    if (queue.active < concurrency && queue.waiting.length === 0) {
+      queue.active++;
+      return Promise.resolve(this.createRelease(key));
+    }
+
+    return new Promise((resolve, reject) => {
+      const entry = { resolve, signal };
+
+      // A cancelled request leaves the line without taking a slot
+      if (signal) {
+        entry.onAbort = () => {
+          queue.waiting = queue.waiting.filter(waiting => waiting !== entry);
+          reject(signal.reason || new DOMException('Request aborted', 'AbortError'));
+        };
+        signal.addEventListener('abort', entry.onAbort, { once: true });
+      }
+
+      queue.waiting.push(entry);
+      if (onQueued) {
+        onQueued(queue.waiting.length);
+      }
+    });
+  }
+
+  createRelease(key) {
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+
+      const queue = this.getQueue(key);
+      queue.active--;
+      this.next(key);
+    };
+  }
+
+  // Hand free slots to the next requests in line
+  next(key) {
+    const queue = this.getQueue(key);
+
+    while (queue.waiting.length > 0 && queue.active < queue.concurrency) {
+      const entry = queue.waiting.shift();
+      if (entry.onAbort) {
+        entry.signal.removeEventListener('abort', entry.onAbort);
+      }
+      queue.active++;
+      entry.resolve(this.createRelease(key));
+    }
+
+    if (queue.active === 0 && queue.waiting.length === 0) {
+      this.queues.delete(key);
+    }
+  }
+
+  // Number of requests waiting for a slot (on one key, or on all of them)
+  getQueueLength(key = null) {
+    if (key !== null) {
+      return this.queues.get(key)?.waiting.length || 0;
+    }
+    let total = 0;
+    for (const queue of this.queues.values()) {
+      total += queue.waiting.length;
+    }
+    return total;
+  }
+
+  getStatus() {
+    const status = {};
+    for (const [key, queue] of this.queues.entries()) {
+      status[key] = { active: queue.active, waiting: queue.waiting.length };
+    }
+    return status;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RequestQueue;
+} else if (typeof globalThis !== 'undefined') {
+  globalThis.RequestQueue = RequestQueue;
+} else if (typeof self !== 'undefined') {
+  self.RequestQueue = RequestQueue;
+}
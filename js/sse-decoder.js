@@ -0,0 +1,290 @@
+// SSE Decoder - Stateful decoding of streamed response bodies
+// Network chunks can split a line, a JSON payload or a multi-byte UTF-8
+// character anywhere, so the decoders below keep state between chunks.
+
+// Line decoder - streaming UTF-8 text split into complete lines
+class LineDecoder {
+  constructor() {
+    this.textDecoder = new TextDecoder('utf-8');
+    this.buffer = '';
+    this.isFirstChunk = true;
+  }
+
+  // Decode a chunk (Uint8Array or string) and return the lines it completed
+  push(chunk) {
+    let text = typeof chunk === 'string'
+      ? chunk
+      : this.textDecoder.decode(chunk, { stream: true });
+
+    // Strip a byte order mark at the very start of the stream
+    if (this.isFirstChunk && text) {
+      text = text.replace(/^\uFEFF/, '');
+      this.isFirstChunk = false;
+    }
+
+    this.buffer += text;
+    return this.takeLines(false);
+  }
+
+  // Flush the decoder at the end of the stream and return any remaining lines
+  flush() {
+    this.buffer += this.textDecoder.decode();
+    return this.takeLines(true);
+  }
+
+  // Split the buffer on CRLF, LF or CR, keeping an unfinished line buffered
+  takeLines(isFinal) {
+    const lines = [];
+    let start = 0;
+
+    for (let i = 0; i < this.buffer.length; i++) {
+      const char = this.buffer[i];
+
+      if (char === '\n') {
+        lines.push(this.buffer.slice(start, i));
+        start = i + 1;
+      } else if (char === '\r') {
+        // A CR at the end of the chunk may be the first half of a CRLF
+        if (i === this.buffer.length - 1 && !isFinal) {
+          break;
+        }
+        lines.push(this.buffer.slice(start, i));
+        if (this.buffer[i + 1] === '\n') {
+          i++;
+        }
+        start = i + 1;
+      }
+    }
+
+    this.buffer = this.buffer.slice(start);
+
+    if (isFinal && this.buffer) {
+      lines.push(this.buffer);
+      this.buffer = '';
+    }
+
+    return lines;
+  }
+
+  reset() {
+    this.textDecoder = new TextDecoder('utf-8');
+    this.buffer = '';
+    this.isFirstChunk = true;
+  }
+}
+
+// SSE decoder - Server-Sent Events as defined by the HTML event-stream format
+class SSEDecoder {
+  constructor() {
+    this.lineDecoder = new LineDecoder();
+    this.lastEventId = '';
+    this.retry = null;
+    this.resetEvent();
+  }
+
+  resetEvent() {
+    this.eventType = '';
+    this.dataLines = [];
+  }
+
+  // Decode a chunk and return the events it completed as { type, data, id, retry }
+  push(chunk) {
+    return this.processLines(this.lineDecoder.push(chunk));
+  }
+
+  // End of stream. Per the spec an event without its terminating blank line is discarded.
+  flush() {
+    const events = this.processLines(this.lineDecoder.flush());
+    this.resetEvent();
+    return events;
+  }
+
+  processLines(lines) {
+    const events = [];
+
+    for (const line of lines) {
+      // A blank line dispatches the pending event
+      if (line === '') {
+        if (this.dataLines.length > 0) {
+          events.push({
+            type: this.eventType || 'message',
+            data: this.dataLines.join('\n'),
+            id: this.lastEventId,
+            retry: this.retry
+          });
+        }
+        this.resetEvent();
+        continue;
+      }
+
+      // Comment lines (often used as keep-alives)
+      if (line.startsWith(':')) {
+        continue;
+      }
+
+      const colonIndex = line.indexOf(':');
+      const field = colonIndex === -1 ? line : line.slice(0, colonIndex);
+      let value = colonIndex === -1 ? '' : line.slice(colonIndex + 1);
+      if (value.startsWith(' ')) {
+        value = value.slice(1);
+      }
+
+      switch (field) {
+        case 'event':
+          this.eventType = value;
+          break;
+        case 'data':
+          this.dataLines.push(value);
+          break;
+        case 'id':
+          if (!value.includes('\0')) {
+            this.lastEventId = value;
+          }
+          break;
+        case 'retry':
+          if (/^\d+$/.test(value)) {
+            this.retry = parseInt(value, 10);
+          }
+          break;
+        default:
+          // Unknown fields are ignored
+          break;
+      }
+    }
+
+    return events;
+  }
+
+  reset() {
+    this.lineDecoder.reset();
+    this.lastEventId = '';
+    this.retry = null;
+    this.resetEvent();
+  }
+}
+
+// Event stream decoder - the binary application/vnd.amazon.eventstream framing
+// used by AWS streaming APIs (Bedrock ConverseStream). Each message is:
+// total length (4 bytes), headers length (4), prelude CRC32 (4), headers,
+// payload, message CRC32 (4), all integers big-endian.
+class EventStreamDecoder {
+  constructor() {
+    this.buffer = new Uint8Array(0);
+    this.textDecoder = new TextDecoder('utf-8');
+  }
+
+  // Add a chunk and return the messages it completed as { headers, payload (Uint8Array) }
+  push(chunk) {
+    const bytes = typeof chunk === 'string' ? new TextEncoder().encode(chunk) : chunk;
+    const buffer = new Uint8Array(this.buffer.length + bytes.length);
+    buffer.set(this.buffer);
+    buffer.set(bytes, this.buffer.length);
+    this.buffer = buffer;
+
+    const messages = [];
+    while (this.buffer.length >= 12) {
+      const view = new DataView(this.buffer.buffer, this.buffer.byteOffset, this.buffer.byteLength);
+      const totalLength = view.getUint32(0);
+      const headersLength = view.getUint32(4);
+
+      if (totalLength < 16 || headersLength > totalLength - 16) {
+        throw new Error('Invalid event stream message length');
+      }
+      if (EventStreamDecoder.crc32(this.buffer.subarray(0, 8)) !== view.getUint32(8)) {
+        throw new Error('Event stream prelude checksum mismatch');
+      }
+      if (this.buffer.length < totalLength) {
+        break;
+      }
+      if (EventStreamDecoder.crc32(this.buffer.subarray(0, totalLength - 4)) !== view.getUint32(totalLength - 4)) {
+        throw new Error('Event stream message checksum mismatch');
+      }
+
+      messages.push({
+        headers: this.decodeHeaders(this.buffer.subarray(12, 12 + headersLength)),
+        payload: this.buffer.slice(12 + headersLength, totalLength - 4)
+      });
+      this.buffer = this.buffer.slice(totalLength);
+    }
+
+    return messages;
+  }
+
+  // A message cut off by the end of the stream cannot be decoded
+  flush() {
+    this.buffer = new Uint8Array(0);
+    return [];
+  }
+
+  // Headers are name length (1 byte), name, value type (1 byte), value
+  decodeHeaders(bytes) {
+    const headers = {};
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let offset = 0;
+
+    while (offset < bytes.length) {
+      const nameLength = view.getUint8(offset);
+      const name = this.textDecoder.decode(bytes.subarray(offset + 1, offset + 1 + nameLength));
+      offset += 1 + nameLength;
+      const type = view.getUint8(offset++);
+
+      switch (type) {
+        case 0: headers[name] = true; break;
+        case 1: headers[name] = false; break;
+        case 2: headers[name] = view.getInt8(offset); offset += 1; break;
+        case 3: headers[name] = view.getInt16(offset); offset += 2; break;
+        case 4: headers[name] = view.getInt32(offset); offset += 4; break;
+        case 5: headers[name] = Number(view.getBigInt64(offset)); offset += 8; break;
+        case 6:
+        case 7: {
+          const length = view.getUint16(offset);
+          const value = bytes.subarray(offset + 2, offset + 2 + length);
+          headers[name] = type === 7 ? this.textDecoder.decode(value) : value.slice();
+          offset += 2 + length;
+          break;
+        }
+        case 8: headers[name] = new Date(Number(view.getBigInt64(offset))); offset += 8; break;
+        case 9: headers[name] = bytes.slice(offset, offset + 16); offset += 16; break;
+        default:
+          throw new Error(`Unknown event stream header type ${type}`);
+      }
+    }
+
+    return headers;
+  }
+
+  reset() {
+    this.buffer = new Uint8Array(0);
+  }
+
+  static crc32(bytes) {
+    if (!EventStreamDecoder.crcTable) {
+      EventStreamDecoder.crcTable = new Uint32Array(256).map((_, n) => {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        return c;
+      });
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (const byte of bytes) {
+      crc = EventStreamDecoder.crcTable[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SSEDecoder, LineDecoder, EventStreamDecoder };
+} else if (typeof globalThis !== 'undefined') {
+  globalThis.SSEDecoder = SSEDecoder;
+  globalThis.LineDecoder = LineDecoder;
+  globalThis.EventStreamDecoder = EventStreamDecoder;
+} else if (typeof self !== 'undefined') {
+  self.SSEDecoder = SSEDecoder;
+  self.LineDecoder = LineDecoder;
+  self.EventStreamDecoder = EventStreamDecoder;
+}
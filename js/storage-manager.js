@@ -9,6 +9,7 @@ class StorageManager {
       activeConnectionId: null,
       fallbackEnabled: true,
       quickActions: this.getDefaultQuickActions(),
+      customProviders: [], // { id, name, spec } used by connections of type "custom:<id>"
       globalSettings: {
         theme: 'auto',
         autoContextCapture: true,
@@ -16,6 +17,10 @@ class StorageManager {
         showThinkingBlocks: true,
         maxTokens: 4000,
         temperature: 0.7,
+        monthlyBudget: null, // USD, null for no budget
+        budgetAction: 'warn', // 'warn' or 'block' once the budget is spent
+        embeddingConnectionId: null, // Connection used for embeddings, separate from the chat connection
+        embeddingModel: null, // Defaults to the embedding connection's model
         debugLogging: false  // Debug logging disabled by default
       }
     };
@@ -59,6 +64,49 @@ class StorageManager {
         usePageContext: true,
         isDefault: true,
         order: 4
+      },
+      {
+        id: 'extract-people-companies',
+        label: 'Extract people and companies',
+        icon: '🗂️',
+        prompt: 'Extract all people and companies mentioned on this page.\nTitle: {pageTitle}\nURL: {pageUrl}\n\nContent:\n{pageContent}\n\nInclude each person and company once. Use null for details the page does not give.',
+        usePageContext: true,
+        // Answers follow this JSON schema and are shown as tables
+        schema: {
+          type: 'object',
+          properties: {
+            people: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  name: { type: 'string' },
+                  role: { type: ['string', 'null'], description: 'Job title or role, if given' },
+                  company: { type: ['string', 'null'], description: 'Company the person belongs to, if given' }
+                },
+                required: ['name', 'role', 'company'],
+                additionalProperties: false
+              }
+            },
+            companies: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  name: { type: 'string' },
+                  description: { type: ['string', 'null'], description: 'What the company does, in a few words' },
+                  website: { type: ['string', 'null'] }
+                },
+                required: ['name', 'description', 'website'],
+                additionalProperties: false
+              }
+            }
+          },
+          required: ['people', 'companies'],
+          additionalProperties: false
+        },
+        isDefault: true,
+        order: 5
       }
     ];
   }
@@ -119,10 +167,22 @@ class StorageManager {
         streaming: connectionData.features?.streaming !== false,
         reasoning: connectionData.features?.reasoning || false,
         thinking: connectionData.features?.thinking || false,
+        toolCalling: connectionData.features?.toolCalling || false,
+        vision: connectionData.features?.vision || false,
         contextWindow: connectionData.features?.contextWindow || 4096
       },
       customHeaders: connectionData.customHeaders || {},
+      ollama: connectionData.ollama || null,
+      azure: connectionData.azure || null,
+      bedrock: connectionData.bedrock || null,
+      llamacpp: connectionData.llamacpp || null,
+      mock: connectionData.mock || null,
       timeout: connectionData.timeout || 30000,
+      maxConcurrentRequests: connectionData.maxConcurrentRequests || 2,
+      pricing: connectionData.pricing || null,
+      reasoningTags: connectionData.reasoningTags || [],
+      parameters: connectionData.parameters || {},
+      reasoning: connectionData.reasoning || null,
       createdAt: new Date().toISOString()
     };
 
@@ -174,6 +234,10 @@ class StorageManager {
       settings.activeConnectionId = enabledConnections.length > 0 ? enabledConnections[0].id : null;
     }
 
+    if (settings.globalSettings?.embeddingConnectionId === connectionId) {
+      settings.globalSettings.embeddingConnectionId = null;
+    }
+
     await this.saveSettings(settings);
     return true;
   }
@@ -204,39 +268,6 @@ class StorageManager {
       .sort((a, b) => a.priority - b.priority);
   }
 
-  // Test if a connection configuration is valid
-  async testConnection(connectionData) {
-    try {
-      const testUrl = connectionData.endpoint.replace(/\/+$/, '') + '/models';
-      const headers = {
-        'Content-Type': 'application/json',
-        ...connectionData.customHeaders
-      };
-
-      if (connectionData.apiKey) {
-        headers['Authorization'] = `Bearer ${connectionData.apiKey}`;
-      }
-
-      const response = await fetch(testUrl, {
-        method: 'GET',
-        headers,
-        signal: AbortSignal.timeout(connectionData.timeout || 10000)
-      });
-
-      return {
-        success: response.ok,
-        status: response.status,
-        message: response.ok ? 'Connection successful' : `HTTP ${response.status}`
-      };
-    } catch (error) {
-      return {
-        success: false,
-        status: 0,
-        message: error.message
-      };
-    }
-  }
-
   // Update global settings
   async updateGlobalSettings(updates) {
     const settings = await this.getSettings();
@@ -248,6 +279,14 @@ class StorageManager {
     return settings.globalSettings;
   }
 
+  // Turn automatic failover to other enabled connections on or off
+  async setFallbackEnabled(enabled) {
+    const settings = await this.getSettings();
+    settings.fallbackEnabled = enabled;
+    await this.saveSettings(settings);
+    return enabled;
+  }
+
   // Import settings from JSON
   async importSettings(settingsJson) {
     try {
@@ -317,6 +356,7 @@ class StorageManager {
       icon: actionData.icon || '⚡',
       prompt: actionData.prompt || 'Please help me with: {pageTitle}',
       usePageContext: actionData.usePageContext !== false,
+      schema: actionData.schema || null,
       isDefault: false,
       order: Math.max(...quickActions.map(a => a.order || 0), 0) + 1,
       createdAt: new Date().toISOString()
@@ -397,6 +437,68 @@ class StorageManager {
     return reorderedActions;
   }
 
+  // Get user-defined provider specs
+  async getCustomProviders() {
+    const settings = await this.getSettings();
+    return settings.customProviders || [];
+  }
+
+  // Add a custom provider, or update it when the definition has an id
+  async saveCustomProvider(providerData) {
+    const settings = await this.getSettings();
+    const customProviders = settings.customProviders || [];
+    const index = providerData.id ? customProviders.findIndex(provider => provider.id === providerData.id) : -1;
+
+    if (providerData.id && index === -1) {
+      throw new Error('Custom provider not found');
+    }
+
+    const provider = index === -1
+      ? {
+          id: this.generateUUID(),
+          name: providerData.name || 'Custom Provider',
+          spec: providerData.spec,
+          createdAt: new Date().toISOString()
+        }
+      : {
+          ...customProviders[index],
+          name: providerData.name || customProviders[index].name,
+          spec: providerData.spec,
+          updatedAt: new Date().toISOString()
+        };
+
+    if (index === -1) {
+      customProviders.push(provider);
+    } else {
+      customProviders[index] = provider;
+    }
+
+    settings.customProviders = customProviders;
+    await this.saveSettings(settings);
+    return provider;
+  }
+
+  // Delete a custom provider that no connection uses
+  async deleteCustomProvider(providerId) {
+    const settings = await this.getSettings();
+    const customProviders = settings.customProviders || [];
+    const index = customProviders.findIndex(provider => provider.id === providerId);
+
+    if (index === -1) {
+      throw new Error('Custom provider not found');
+    }
+
+    const users = settings.connections.filter(conn => conn.type === `custom:${providerId}`);
+    if (users.length > 0) {
+      throw new Error(`Custom provider is used by ${users.map(conn => conn.name).join(', ')}`);
+    }
+
+    customProviders.splice(index, 1);
+    settings.customProviders = customProviders;
+    await this.saveSettings(settings);
+    return true;
+  }
+
   // Generate UUID v4
   generateUUID() {
     return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
@@ -1,93 +1,161 @@
 // Stream Parser - Handle streaming responses and special blocks (reasoning, thinking)
+// Blocks stream incrementally: every piece of reasoning is emitted as a
+// block_delta result ({ id, blockType, content }) that callers append to the
+// block with the same id, so reasoning shows up while the model is still thinking.
 class StreamParser {
-  constructor() {
+  // options.customTags: extra block markers for this connection, either tag
+  // names ("analysis") or start/end pairs ({ start: '[THINK]', end: '[/THINK]' })
+  // options.customStream: the stream section of a custom provider spec, with
+  // selectors for the custom-sse and custom-ndjson formats
+  constructor(options = {}) {
     this.buffer = '';
-    this.currentChunk = '';
+    this.sseDecoder = new SSEDecoder();
+    this.lineDecoder = new LineDecoder();
+    this.eventStreamDecoder = new EventStreamDecoder();
+    this.textDecoder = new TextDecoder('utf-8');
+    this.anthropicState = this.createAnthropicState();
+    this.bedrockBlocks = {}; // Bedrock content blocks by index (tool use and reasoning)
+    this.geminiToolCallCount = 0; // Gemini sends whole function calls, numbered in arrival order
     this.isInSpecialBlock = false;
     this.currentBlockType = null;
+    this.currentBlockId = null;
+    this.currentPattern = null;
     this.blockContent = '';
+    this.blockCount = 0;
+    this.trimNextContent = false; // Drop the blank lines models put after a closing tag
+    this.fieldBlockId = null; // Block for reasoning sent in its own field (reasoning_content)
+    this.customStream = options.customStream || null;
     
     // Block patterns for different LLM types
-    this.blockPatterns = {
-      reasoning: {
-        start: /<reasoning[^>]*>/gi,
-        end: /<\/reasoning>/gi,
-        type: 'reasoning'
-      },
-      thinking: {
-        start: /<thinking[^>]*>/gi,
-        end: /<\/thinking>/gi,
-        type: 'thinking'
-      },
+    this.blockPatterns = [
+      this.createTagPattern('reasoning', 'reasoning'),
+      this.createTagPattern('thinking', 'thinking'),
+      // DeepSeek-R1, Qwen and most distilled reasoning models
+      this.createTagPattern('think', 'thinking'),
       // Some models use different formats
-      thought: {
-        start: /<thought[^>]*>/gi,
-        end: /<\/thought>/gi,
-        type: 'thinking'
-      },
-      reflection: {
-        start: /<reflection[^>]*>/gi,
-        end: /<\/reflection>/gi,
-        type: 'reasoning'
-      }
+      this.createTagPattern('thought', 'thinking'),
+      this.createTagPattern('reflection', 'reasoning'),
+      ...this.createCustomPatterns(options.customTags)
+    ];
+  }
+
+  // <name ...> ... </name>
+  createTagPattern(name, type) {
+    const escaped = this.escapeRegExp(name);
+    return {
+      start: new RegExp(`<${escaped}(?:\\s[^>]*)?>`, 'i'),
+      end: new RegExp(`</${escaped}\\s*>`, 'i'),
+      startMarker: `<${name}`,
+      endMarker: `</${name}`,
+      tagName: name,
+      type
+    };
+  }
+
+  // Literal start and end markers, e.g. [THINK] ... [/THINK]
+  createMarkerPattern(start, end, type) {
+    return {
+      start: new RegExp(this.escapeRegExp(start), 'i'),
+      end: new RegExp(this.escapeRegExp(end), 'i'),
+      startMarker: start,
+      endMarker: end,
+      tagName: null,
+      type
     };
   }
 
-  // Parse OpenAI-style SSE chunk
-  parseSSEChunk(chunk) {
-    const lines = chunk.split('\n');
+  createCustomPatterns(customTags) {
+    if (!Array.isArray(customTags)) return [];
+
+    return customTags
+      .map(tag => {
+        if (typeof tag === 'string') {
+          const name = tag.trim().replace(/^<\/?|>$/g, '');
+          return /^[\w:-]+$/.test(name) ? this.createTagPattern(name, 'reasoning') : null;
+        }
+        if (tag && tag.start && tag.end) {
+          return this.createMarkerPattern(tag.start, tag.end, tag.type || 'reasoning');
+        }
+        return null;
+      })
+      .filter(Boolean);
+  }
+
+  escapeRegExp(text) {
+    return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  // Parse OpenAI-style SSE events
+  parseSSEEvents(events) {
     const results = [];
 
-    for (let line of lines) {
-      line = line.trim();
+    for (const event of events) {
+      const data = event.data;
       
-      if (line.startsWith('data: ')) {
-        const data = line.slice(6);
-        
-        if (data === '[DONE]') {
-          results.push({ type: 'done' });
-          continue;
-        }
+      if (data.trim() === '[DONE]') {
+        results.push({ type: 'done' });
+        continue;
+      }
 
-        try {
-          const parsed = JSON.parse(data);
+      try {
+        const parsed = JSON.parse(data);
+        
+        if (parsed.choices && parsed.choices[0]) {
+          const choice = parsed.choices[0];
           
-          if (parsed.choices && parsed.choices[0]) {
-            const choice = parsed.choices[0];
-            
-            if (choice.delta && choice.delta.content) {
-              const processedContent = this.processContent(choice.delta.content);
-              if (processedContent) {
-                results.push({
-                  type: 'content',
-                  content: processedContent.content,
-                  blocks: processedContent.blocks,
-                  metadata: {
-                    model: parsed.model,
-                    finish_reason: choice.finish_reason,
-                    index: choice.index
-                  }
-                });
-              }
-            }
+          // OpenAI-compatible servers (DeepSeek, vLLM, llama.cpp, OpenRouter) send reasoning separately
+          const reasoning = choice.delta?.reasoning_content || choice.delta?.reasoning;
+          if (typeof reasoning === 'string' && reasoning) {
+            results.push(...this.processReasoningField(reasoning));
+          }
+
+          if (choice.delta && choice.delta.content) {
+            results.push(...this.createContentResults(this.processContent(choice.delta.content), {
+              model: parsed.model,
+              finish_reason: choice.finish_reason,
+              index: choice.index
+            }));
+          }
 
-            if (choice.finish_reason) {
+          // Tool calls stream as fragments keyed by index; arguments arrive in pieces
+          if (choice.delta && Array.isArray(choice.delta.tool_calls)) {
+            for (const toolCall of choice.delta.tool_calls) {
               results.push({
-                type: 'finish',
-                reason: choice.finish_reason
+                type: 'tool_call_delta',
+                index: toolCall.index ?? 0,
+                id: toolCall.id,
+                name: toolCall.function?.name,
+                arguments: toolCall.function?.arguments || ''
               });
             }
           }
-        } catch (error) {
-          console.warn('StreamParser: Failed to parse SSE data:', error, data);
+
+          if (choice.finish_reason) {
+            results.push({
+              type: 'finish',
+              reason: choice.finish_reason
+            });
+          }
+        }
+
+        // With stream_options.include_usage the last chunk carries usage and no choices
+        if (parsed.usage) {
+          results.push({
+            type: 'usage',
+            usage: parsed.usage
+          });
         }
+      } catch (error) {
+        console.warn('StreamParser: Failed to parse SSE data:', error, data);
       }
     }
 
     return results;
   }
 
-  // Process content and extract special blocks
+  // Split streamed text into answer content and block deltas. Text that might
+  // be the start of a tag split across chunks stays in the buffer until the
+  // next chunk shows whether it is one.
   processContent(content) {
     this.buffer += content;
     
@@ -96,98 +164,221 @@ class StreamParser {
       blocks: []
     };
 
-    let processedBuffer = this.buffer;
-    
-    // Check for block patterns
-    for (const [blockName, pattern] of Object.entries(this.blockPatterns)) {
-      processedBuffer = this.extractBlocks(processedBuffer, pattern, result.blocks);
-    }
+    while (this.buffer) {
+      if (!this.isInSpecialBlock) {
+        const match = this.findBlockStart(this.buffer);
+        if (!match) {
+          const keep = this.getPartialMarkerLength(this.buffer, this.blockPatterns, 'start');
+          this.addContent(result, this.buffer.slice(0, this.buffer.length - keep));
+          this.buffer = this.buffer.slice(this.buffer.length - keep);
+          break;
+        }
 
-    // What remains is regular content
-    result.content = processedBuffer;
-    
-    // Update buffer to keep incomplete blocks
-    this.buffer = this.findIncompleteBlocks(this.buffer);
+        this.addContent(result, this.buffer.slice(0, match.index));
+        this.openBlock(match.pattern);
+        this.buffer = this.buffer.slice(match.index + match.length);
+      } else {
+        const endMatch = this.currentPattern.end.exec(this.buffer);
+        if (!endMatch) {
+          const keep = this.getPartialMarkerLength(this.buffer, [this.currentPattern], 'end');
+          this.addBlockContent(result, this.buffer.slice(0, this.buffer.length - keep));
+          this.buffer = this.buffer.slice(this.buffer.length - keep);
+          break;
+        }
+
+        this.addBlockContent(result, this.buffer.slice(0, endMatch.index));
+        this.buffer = this.buffer.slice(endMatch.index + endMatch[0].length);
+        this.closeBlock();
+      }
+    }
     
     return result;
   }
 
-  // Extract special blocks from content
-  extractBlocks(content, pattern, blocks) {
-    let remainingContent = content;
-    let match;
-    
-    // Find start tags
-    pattern.start.lastIndex = 0; // Reset regex
-    while ((match = pattern.start.exec(content)) !== null) {
-      const startPos = match.index;
-      const startTag = match[0];
-      
-      // Find corresponding end tag
-      pattern.end.lastIndex = pattern.start.lastIndex;
-      const endMatch = pattern.end.exec(content);
-      
-      if (endMatch) {
-        const endPos = endMatch.index + endMatch[0].length;
-        const blockContent = content.slice(startPos + startTag.length, endMatch.index);
-        
-        blocks.push({
-          type: pattern.type,
-          content: blockContent.trim(),
-          startPos,
-          endPos,
-          raw: content.slice(startPos, endPos)
-        });
-        
-        // Remove the block from remaining content
-        remainingContent = remainingContent.replace(content.slice(startPos, endPos), '');
+  // Earliest block start tag in the text
+  findBlockStart(text) {
+    let earliest = null;
+
+    for (const pattern of this.blockPatterns) {
+      const match = pattern.start.exec(text);
+      if (match && (!earliest || match.index < earliest.index)) {
+        earliest = { index: match.index, length: match[0].length, pattern };
       }
     }
-    
-    return remainingContent;
+
+    return earliest;
   }
 
-  // Find incomplete blocks that should remain in buffer
-  findIncompleteBlocks(content) {
-    for (const pattern of Object.values(this.blockPatterns)) {
-      pattern.start.lastIndex = 0;
-      const startMatch = pattern.start.exec(content);
-      
-      if (startMatch) {
-        pattern.end.lastIndex = pattern.start.lastIndex;
-        const endMatch = pattern.end.exec(content);
-        
-        // If we found a start but no end, keep the incomplete block
-        if (!endMatch) {
-          return content.slice(startMatch.index);
+  // Length of the text at the end of the buffer that could still become a
+  // start or end marker: "<thi", "</think" or "<think class=" before its ">"
+  getPartialMarkerLength(text, patterns, which) {
+    let keep = 0;
+
+    for (const pattern of patterns) {
+      const marker = (which === 'start' ? pattern.startMarker : pattern.endMarker).toLowerCase();
+      for (let length = Math.min(marker.length, text.length); length > keep; length--) {
+        if (text.slice(-length).toLowerCase() === marker.slice(0, length)) {
+          keep = length;
+          break;
+        }
+      }
+
+      // Tag name already complete but the ">" has not arrived yet
+      if (pattern.tagName) {
+        const index = text.toLowerCase().lastIndexOf(marker);
+        const rest = text.slice(index + marker.length);
+        if (index !== -1 && text.length - index > keep && text.length - index <= 200 &&
+            (which === 'start' ? /^\s[^>]*$/ : /^\s*$/).test(rest)) {
+          keep = text.length - index;
         }
       }
     }
-    
-    return '';
+
+    return keep;
+  }
+
+  openBlock(pattern) {
+    this.isInSpecialBlock = true;
+    this.currentPattern = pattern;
+    this.currentBlockType = pattern.type;
+    this.currentBlockId = `block-${++this.blockCount}`;
+    this.blockContent = '';
+  }
+
+  closeBlock() {
+    this.isInSpecialBlock = false;
+    this.currentPattern = null;
+    this.currentBlockType = null;
+    this.currentBlockId = null;
+    this.blockContent = '';
+    this.trimNextContent = true;
+  }
+
+  addContent(result, text) {
+    if (this.trimNextContent && text) {
+      text = text.replace(/^\s+/, '');
+      this.trimNextContent = !text;
+    }
+    result.content += text;
+  }
+
+  addBlockContent(result, text) {
+    // Skip the line break right after the opening tag
+    if (!this.blockContent) {
+      text = text.replace(/^\s+/, '');
+    }
+    if (!text) return;
+
+    this.blockContent += text;
+    this.addBlockDelta(result.blocks, this.currentBlockId, this.currentBlockType, text);
+  }
+
+  // Append a delta, merging it with the previous one for the same block
+  addBlockDelta(blocks, id, type, text) {
+    const last = blocks[blocks.length - 1];
+    if (last && last.id === id) {
+      last.content += text;
+    } else {
+      blocks.push({ id, type, content: text });
+    }
+  }
+
+  // Reasoning that arrives in its own field (reasoning_content, reasoning,
+  // Ollama's thinking) streams into one block per response
+  processReasoningField(text) {
+    if (!this.fieldBlockId) {
+      text = text.replace(/^\s+/, '');
+      if (!text) return [];
+      this.fieldBlockId = `block-${++this.blockCount}`;
+      this.trimNextContent = true;
+    }
+    return [{ type: 'block_delta', id: this.fieldBlockId, blockType: 'reasoning', content: text }];
+  }
+
+  // Turn processContent output into parse results
+  createContentResults(processedContent, metadata) {
+    const results = processedContent.blocks.map(block => ({
+      type: 'block_delta',
+      id: block.id,
+      blockType: block.type,
+      content: block.content
+    }));
+
+    if (processedContent.content) {
+      results.push({
+        type: 'content',
+        content: processedContent.content,
+        metadata
+      });
+    }
+
+    return results;
+  }
+
+  // Release text held back as a possible partial tag once the stream has ended.
+  // A block the model never closed keeps what it had.
+  finishContent() {
+    const text = this.buffer;
+    this.buffer = '';
+    if (!text) return [];
+
+    const result = { content: '', blocks: [] };
+    if (this.isInSpecialBlock) {
+      this.addBlockContent(result, text);
+    } else {
+      this.addContent(result, text);
+    }
+    return this.createContentResults(result);
+  }
+
+  // Merge block deltas into whole blocks, in order of appearance
+  mergeBlocks(blocks, deltas) {
+    for (const delta of deltas) {
+      const existing = blocks.find(block => block.id === delta.id);
+      if (existing) {
+        existing.content += delta.content;
+      } else {
+        blocks.push({ id: delta.id, type: delta.blockType || delta.type, content: delta.content });
+      }
+    }
+    return blocks;
   }
 
   // Parse complete response (non-streaming)
   parseCompleteResponse(response) {
     const result = this.processContent(response);
-    
-    // For complete responses, we can finalize everything
-    this.buffer = '';
+    for (const remaining of this.finishContent()) {
+      if (remaining.type === 'content') {
+        result.content += remaining.content;
+      } else {
+        result.blocks.push(remaining);
+      }
+    }
     
     return {
       type: 'complete',
       content: result.content,
-      blocks: result.blocks
+      blocks: this.mergeBlocks([], result.blocks).map(block => ({ ...block, content: block.content.trim() }))
     };
   }
 
   // Reset parser state
   reset() {
     this.buffer = '';
-    this.currentChunk = '';
+    this.sseDecoder.reset();
+    this.lineDecoder.reset();
+    this.eventStreamDecoder.reset();
+    this.textDecoder = new TextDecoder('utf-8');
+    this.anthropicState = this.createAnthropicState();
+    this.bedrockBlocks = {};
+    this.geminiToolCallCount = 0;
     this.isInSpecialBlock = false;
     this.currentBlockType = null;
+    this.currentBlockId = null;
+    this.currentPattern = null;
     this.blockContent = '';
+    this.trimNextContent = false;
+    this.fieldBlockId = null;
   }
 
   // Get current buffer state (for debugging)
@@ -200,67 +391,698 @@ class StreamParser {
     };
   }
 
-  // Handle different streaming formats
+  // Handle different streaming formats. Chunks may be Uint8Arrays straight from
+  // the response reader or strings, and may split events anywhere. Readers stop
+  // at the done result, so text held back as a possible tag is released with it.
   parseChunk(chunk, format = 'openai-sse') {
+    const results = this.parseFormat(chunk, format);
+    return results.some(result => result.type === 'done') ? this.finishStream(results) : results;
+  }
+
+  parseFormat(chunk, format) {
     switch (format) {
       case 'openai-sse':
-        return this.parseSSEChunk(chunk);
+        return this.parseSSEEvents(this.sseDecoder.push(chunk));
       case 'anthropic-sse':
-        return this.parseAnthropicSSE(chunk);
+        return this.parseAnthropicEvents(this.sseDecoder.push(chunk));
+      case 'gemini-sse':
+        return this.parseGeminiEvents(this.sseDecoder.push(chunk));
+      case 'openai-responses-sse':
+        return this.parseResponsesEvents(this.sseDecoder.push(chunk));
+      case 'custom-sse':
+        return this.parseCustomPayloads(this.sseDecoder.push(chunk).map(event => event.data));
+      case 'custom-ndjson':
+        return this.parseCustomPayloads(this.lineDecoder.push(chunk));
+      case 'aws-eventstream':
+        return this.parseBedrockEvents(this.eventStreamDecoder.push(chunk));
+      case 'llamacpp-sse':
+        return this.parseLlamaCppEvents(this.sseDecoder.push(chunk));
+      case 'ndjson':
+        return this.parseNDJSONLines(this.lineDecoder.push(chunk));
       case 'raw':
-        return this.parseRawChunk(chunk);
+        return this.parseRawText(this.decodeText(chunk));
       default:
         console.warn('StreamParser: Unknown format:', format);
         return [];
     }
   }
 
-  // Parse Anthropic-style streaming (for future implementation)
-  parseAnthropicSSE(chunk) {
-    // TODO: Implement Anthropic streaming format
-    const lines = chunk.split('\n');
+  // Process whatever the decoders still hold once the stream has ended
+  flush(format = 'openai-sse') {
+    switch (format) {
+      case 'openai-sse':
+        return this.finishStream(this.parseSSEEvents(this.sseDecoder.flush()));
+      case 'anthropic-sse':
+        return this.finishStream(this.parseAnthropicEvents(this.sseDecoder.flush()));
+      case 'gemini-sse':
+        return this.finishStream(this.parseGeminiEvents(this.sseDecoder.flush()));
+      case 'openai-responses-sse':
+        return this.finishStream(this.parseResponsesEvents(this.sseDecoder.flush()));
+      case 'custom-sse':
+        return this.finishStream(this.parseCustomPayloads(this.sseDecoder.flush().map(event => event.data)));
+      case 'custom-ndjson':
+        return this.finishStream(this.parseCustomPayloads(this.lineDecoder.flush()));
+      case 'aws-eventstream':
+        return this.finishStream(this.parseBedrockEvents(this.eventStreamDecoder.flush()));
+      case 'llamacpp-sse':
+        return this.finishStream(this.parseLlamaCppEvents(this.sseDecoder.flush()));
+      case 'ndjson':
+        return this.finishStream(this.parseNDJSONLines(this.lineDecoder.flush()));
+      case 'raw':
+        return this.finishStream(this.parseRawText(this.textDecoder.decode()));
+      default:
+        return [];
+    }
+  }
+
+  // Held-back text goes out before the final done/finish results
+  finishStream(results) {
+    const remaining = this.finishContent();
+    if (remaining.length === 0) return results;
+
+    const firstEnd = results.findIndex(result => result.type === 'done' || result.type === 'finish');
+    if (firstEnd === -1) return [...results, ...remaining];
+    return [...results.slice(0, firstEnd), ...remaining, ...results.slice(firstEnd)];
+  }
+
+  // Streaming UTF-8 decode for raw byte chunks
+  decodeText(chunk) {
+    return typeof chunk === 'string'
+      ? chunk
+      : this.textDecoder.decode(chunk, { stream: true });
+  }
+
+  // Per-stream state for Anthropic events (content block types and usage)
+  createAnthropicState() {
+    return {
+      model: null,
+      contentBlocks: {},
+      usage: { input_tokens: 0, output_tokens: 0 }
+    };
+  }
+
+  // Parse Anthropic Messages API streaming events
+  parseAnthropicEvents(events) {
     const results = [];
+    const state = this.anthropicState;
     
-    for (let line of lines) {
-      line = line.trim();
+    for (const event of events) {
+      const data = event.data;
       
-      if (line.startsWith('data: ')) {
-        const data = line.slice(6);
+      try {
+        const parsed = JSON.parse(data);
         
-        try {
-          const parsed = JSON.parse(data);
-          
-          if (parsed.type === 'content_block_delta') {
-            const processedContent = this.processContent(parsed.delta.text || '');
-            if (processedContent) {
+        switch (parsed.type) {
+          case 'message_start':
+            state.model = parsed.message?.model || null;
+            if (parsed.message?.usage) {
+              state.usage = { ...state.usage, ...parsed.message.usage };
+            }
+            break;
+
+          case 'content_block_start':
+            state.contentBlocks[parsed.index] = {
+              type: parsed.content_block?.type,
+              content: parsed.content_block?.thinking || '',
+              thinking: parsed.content_block?.thinking || '',
+              signature: parsed.content_block?.signature || '',
+              data: parsed.content_block?.data
+            };
+            if (parsed.content_block?.type === 'tool_use') {
               results.push({
-                type: 'content',
-                content: processedContent.content,
-                blocks: processedContent.blocks,
-                metadata: {
-                  type: parsed.type,
-                  index: parsed.index
-                }
+                type: 'tool_call_delta',
+                index: parsed.index,
+                id: parsed.content_block.id,
+                name: parsed.content_block.name,
+                arguments: ''
+              });
+            }
+            break;
+
+          case 'content_block_delta': {
+            const delta = parsed.delta || {};
+
+            if (delta.type === 'input_json_delta') {
+              results.push({
+                type: 'tool_call_delta',
+                index: parsed.index,
+                arguments: delta.partial_json || ''
+              });
+            } else if (delta.type === 'thinking_delta') {
+              // Extended thinking streams into its own block as it arrives
+              const block = state.contentBlocks[parsed.index] || (state.contentBlocks[parsed.index] = { type: 'thinking', content: '' });
+              const text = block.content ? delta.thinking || '' : (delta.thinking || '').replace(/^\s+/, '');
+              block.thinking = (block.thinking || '') + (delta.thinking || '');
+              if (!block.id) {
+                block.id = `block-${++this.blockCount}`;
+              }
+              block.content += text;
+              if (text) {
+                results.push({ type: 'block_delta', id: block.id, blockType: 'thinking', content: text });
+              }
+            } else if (delta.type === 'signature_delta') {
+              const block = state.contentBlocks[parsed.index];
+              if (block) {
+                block.signature = (block.signature || '') + (delta.signature || '');
+              }
+            } else if (delta.type === 'text_delta' || delta.text !== undefined) {
+              results.push(...this.createContentResults(this.processContent(delta.text || ''), {
+                type: parsed.type,
+                index: parsed.index,
+                model: state.model
+              }));
+            }
+            break;
+          }
+
+          case 'content_block_stop': {
+            // Thinking blocks go back to the API verbatim when a tool call continues the turn
+            const block = state.contentBlocks[parsed.index];
+            if (block?.type === 'thinking' && block.signature) {
+              results.push({
+                type: 'thinking_signature',
+                block: { type: 'thinking', thinking: block.thinking, signature: block.signature }
+              });
+            } else if (block?.type === 'redacted_thinking') {
+              results.push({
+                type: 'thinking_signature',
+                block: { type: 'redacted_thinking', data: block.data }
               });
             }
+            break;
           }
-        } catch (error) {
-          console.warn('StreamParser: Failed to parse Anthropic SSE:', error);
+
+          case 'message_delta':
+            if (parsed.usage) {
+              state.usage = { ...state.usage, ...parsed.usage };
+              results.push({
+                type: 'usage',
+                usage: {
+                  prompt_tokens: state.usage.input_tokens,
+                  completion_tokens: state.usage.output_tokens,
+                  total_tokens: (state.usage.input_tokens || 0) + (state.usage.output_tokens || 0)
+                }
+              });
+            }
+            if (parsed.delta?.stop_reason) {
+              results.push({
+                type: 'finish',
+                reason: parsed.delta.stop_reason
+              });
+            }
+            break;
+
+          case 'message_stop':
+            results.push({ type: 'done' });
+            break;
+
+          case 'error':
+            results.push({
+              type: 'error',
+              error: parsed.error?.message || 'Anthropic stream error'
+            });
+            break;
         }
+      } catch (error) {
+        console.warn('StreamParser: Failed to parse Anthropic SSE:', error);
       }
     }
     
     return results;
   }
 
-  // Parse raw text chunks
-  parseRawChunk(chunk) {
-    const processedContent = this.processContent(chunk);
-    return [{
-      type: 'content',
-      content: processedContent.content,
-      blocks: processedContent.blocks
-    }];
+  // Parse OpenAI Responses API events. Every event names its type; function
+  // calls are keyed by their position in the response's output list.
+  parseResponsesEvents(events) {
+    const results = [];
+
+    for (const event of events) {
+      const data = event.data;
+
+      try {
+        const parsed = JSON.parse(data);
+
+        switch (parsed.type) {
+          case 'response.output_text.delta':
+            results.push(...this.createContentResults(this.processContent(parsed.delta || ''), {
+              type: parsed.type,
+              index: parsed.output_index
+            }));
+            break;
+
+          case 'response.reasoning_summary_text.delta':
+            if (parsed.delta) {
+              results.push(...this.processReasoningField(parsed.delta));
+            }
+            break;
+
+          // Summaries come in parts; keep them apart as paragraphs of one block
+          case 'response.reasoning_summary_part.added':
+            if (this.fieldBlockId && parsed.summary_index > 0) {
+              results.push(...this.processReasoningField('\n\n'));
+            }
+            break;
+
+          case 'response.output_item.added':
+            if (parsed.item?.type === 'function_call') {
+              results.push({
+                type: 'tool_call_delta',
+                index: parsed.output_index,
+                id: parsed.item.call_id,
+                name: parsed.item.name,
+                arguments: parsed.item.arguments || ''
+              });
+            }
+            break;
+
+          case 'response.function_call_arguments.delta':
+            results.push({
+              type: 'tool_call_delta',
+              index: parsed.output_index,
+              arguments: parsed.delta || ''
+            });
+            break;
+
+          case 'response.completed':
+          case 'response.incomplete': {
+            const response = parsed.response || {};
+            if (response.usage) {
+              results.push({
+                type: 'usage',
+                usage: {
+                  prompt_tokens: response.usage.input_tokens,
+                  completion_tokens: response.usage.output_tokens,
+                  total_tokens: response.usage.total_tokens
+                }
+              });
+            }
+            results.push({
+              type: 'finish',
+              reason: parsed.type === 'response.completed'
+                ? 'stop'
+                : response.incomplete_details?.reason || 'incomplete'
+            });
+            results.push({ type: 'done' });
+            break;
+          }
+
+          case 'response.failed':
+            results.push({
+              type: 'error',
+              error: parsed.response?.error?.message || 'OpenAI response failed'
+            });
+            break;
+
+          case 'error':
+            results.push({
+              type: 'error',
+              error: parsed.message || parsed.error?.message || 'OpenAI stream error'
+            });
+            break;
+        }
+      } catch (error) {
+        console.warn('StreamParser: Failed to parse Responses SSE:', error, data);
+      }
+    }
+
+    return results;
+  }
+
+  // Parse a custom provider's stream with the selectors from its spec. done is
+  // either the literal payload that ends the stream ("[DONE]") or a selector
+  // that is true on the last event.
+  parseCustomPayloads(payloads) {
+    const results = [];
+    const spec = this.customStream || {};
+    const doneSelector = typeof spec.done === 'string' && spec.done.startsWith('$') ? spec.done : null;
+
+    for (const data of payloads) {
+      if (!data.trim()) continue;
+
+      if (!doneSelector && spec.done && data.trim() === spec.done) {
+        results.push({ type: 'done' });
+        continue;
+      }
+
+      try {
+        const parsed = JSON.parse(data);
+
+        const error = JsonPath.selectText(parsed, spec.error);
+        if (error) {
+          results.push({ type: 'error', error });
+          continue;
+        }
+
+        const reasoning = JsonPath.selectText(parsed, spec.reasoning);
+        if (reasoning) {
+          results.push(...this.processReasoningField(reasoning));
+        }
+
+        const delta = JsonPath.selectText(parsed, spec.delta);
+        if (delta) {
+          results.push(...this.createContentResults(this.processContent(delta), { type: 'custom' }));
+        }
+
+        if (spec.usage) {
+          const promptTokens = spec.usage.promptTokens ? JsonPath.select(parsed, spec.usage.promptTokens) : undefined;
+          const completionTokens = spec.usage.completionTokens ? JsonPath.select(parsed, spec.usage.completionTokens) : undefined;
+          if (typeof promptTokens === 'number' || typeof completionTokens === 'number') {
+            results.push({
+              type: 'usage',
+              usage: {
+                prompt_tokens: promptTokens || 0,
+                completion_tokens: completionTokens || 0,
+                total_tokens: (promptTokens || 0) + (completionTokens || 0)
+              }
+            });
+          }
+        }
+
+        const finishReason = spec.finishReason ? JsonPath.select(parsed, spec.finishReason) : null;
+        if (finishReason) {
+          results.push({ type: 'finish', reason: finishReason });
+        }
+
+        if (doneSelector && JsonPath.select(parsed, doneSelector) === true) {
+          results.push({ type: 'done' });
+        }
+      } catch (error) {
+        console.warn('StreamParser: Failed to parse custom stream data:', error, data);
+      }
+    }
+
+    return results;
+  }
+
+  // Parse Bedrock ConverseStream messages from the AWS event stream. The event
+  // name is in the :event-type header and the payload is the event's JSON.
+  parseBedrockEvents(messages) {
+    const results = [];
+
+    for (const message of messages) {
+      const headers = message.headers;
+      let parsed;
+      try {
+        parsed = JSON.parse(this.textDecoder.decode(message.payload) || '{}');
+      } catch (error) {
+        console.warn('StreamParser: Failed to parse Bedrock event:', error);
+        continue;
+      }
+
+      if (headers[':message-type'] === 'exception' || headers[':message-type'] === 'error') {
+        const type = headers[':exception-type'] || headers[':error-code'] || 'Bedrock error';
+        results.push({ type: 'error', error: `${type}: ${parsed.message || parsed.Message || headers[':error-message'] || 'stream failed'}` });
+        continue;
+      }
+
+      const index = parsed.contentBlockIndex;
+      switch (headers[':event-type']) {
+        case 'contentBlockStart': {
+          const toolUse = parsed.start?.toolUse;
+          if (toolUse) {
+            results.push({
+              type: 'tool_call_delta',
+              index,
+              id: toolUse.toolUseId,
+              name: toolUse.name,
+              arguments: ''
+            });
+          }
+          break;
+        }
+
+        case 'contentBlockDelta': {
+          const delta = parsed.delta || {};
+
+          if (typeof delta.text === 'string') {
+            results.push(...this.createContentResults(this.processContent(delta.text), {
+              type: 'contentBlockDelta',
+              index
+            }));
+          } else if (delta.toolUse) {
+            results.push({
+              type: 'tool_call_delta',
+              index,
+              arguments: delta.toolUse.input || ''
+            });
+          } else if (delta.reasoningContent) {
+            // Reasoning streams into its own block; the signature arrives at the end
+            const reasoning = delta.reasoningContent;
+            const block = this.bedrockBlocks[index] || (this.bedrockBlocks[index] = { content: '', thinking: '', signature: '' });
+            if (reasoning.text) {
+              const text = block.content ? reasoning.text : reasoning.text.replace(/^\s+/, '');
+              block.thinking += reasoning.text;
+              if (!block.id) {
+                block.id = `block-${++this.blockCount}`;
+              }
+              block.content += text;
+              if (text) {
+                results.push({ type: 'block_delta', id: block.id, blockType: 'thinking', content: text });
+              }
+            }
+            if (reasoning.signature) {
+              block.signature += reasoning.signature;
+            }
+            if (reasoning.redactedContent) {
+              block.redacted = reasoning.redactedContent;
+            }
+          }
+          break;
+        }
+
+        case 'contentBlockStop': {
+          // Signed reasoning goes back to the model verbatim when a tool call continues the turn
+          const block = this.bedrockBlocks[index];
+          if (block?.signature) {
+            results.push({
+              type: 'thinking_signature',
+              block: { type: 'thinking', thinking: block.thinking, signature: block.signature }
+            });
+          } else if (block?.redacted) {
+            results.push({
+              type: 'thinking_signature',
+              block: { type: 'redacted_thinking', data: block.redacted }
+            });
+          }
+          delete this.bedrockBlocks[index];
+          break;
+        }
+
+        case 'messageStop':
+          results.push({ type: 'finish', reason: parsed.stopReason });
+          break;
+
+        // Usage comes last, after messageStop
+        case 'metadata':
+          if (parsed.usage) {
+            results.push({
+              type: 'usage',
+              usage: {
+                prompt_tokens: parsed.usage.inputTokens,
+                completion_tokens: parsed.usage.outputTokens,
+                total_tokens: parsed.usage.totalTokens
+              }
+            });
+          }
+          results.push({ type: 'done' });
+          break;
+      }
+    }
+
+    return results;
+  }
+
+  // Parse llama.cpp server /completion events. Each carries a piece of text;
+  // the last one has stop: true and the token counts.
+  parseLlamaCppEvents(events) {
+    const results = [];
+
+    for (const event of events) {
+      const data = event.data;
+
+      try {
+        const parsed = JSON.parse(data);
+
+        if (parsed.error) {
+          results.push({
+            type: 'error',
+            error: parsed.error.message || String(parsed.error)
+          });
+          continue;
+        }
+
+        if (parsed.content) {
+          results.push(...this.createContentResults(this.processContent(parsed.content), {
+            model: parsed.model,
+            slot: parsed.id_slot,
+            probabilities: parsed.completion_probabilities
+          }));
+        }
+
+        if (parsed.stop) {
+          results.push({
+            type: 'usage',
+            usage: {
+              prompt_tokens: parsed.tokens_evaluated || 0,
+              completion_tokens: parsed.tokens_predicted || 0,
+              total_tokens: (parsed.tokens_evaluated || 0) + (parsed.tokens_predicted || 0)
+            }
+          });
+          results.push({ type: 'finish', reason: parsed.stopped_limit ? 'length' : 'stop' });
+          results.push({ type: 'done' });
+        }
+      } catch (error) {
+        console.warn('StreamParser: Failed to parse llama.cpp SSE:', error, data);
+      }
+    }
+
+    return results;
+  }
+
+  // Parse Gemini streamGenerateContent SSE events (alt=sse)
+  parseGeminiEvents(events) {
+    const results = [];
+
+    for (const event of events) {
+      const data = event.data;
+
+      try {
+        const parsed = JSON.parse(data);
+        const candidate = parsed.candidates && parsed.candidates[0];
+
+        if (candidate) {
+          const parts = candidate.content?.parts || [];
+
+          // Thought summaries (includeThoughts) are parts flagged with thought: true
+          const thoughts = parts
+            .filter(part => part.thought)
+            .map(part => part.text || '')
+            .join('');
+          if (thoughts) {
+            results.push(...this.processReasoningField(thoughts));
+          }
+
+          const text = parts
+            .filter(part => !part.thought)
+            .map(part => part.text || '')
+            .join('');
+
+          if (text) {
+            results.push(...this.createContentResults(this.processContent(text), {
+              model: parsed.modelVersion,
+              finish_reason: candidate.finishReason,
+              index: candidate.index
+            }));
+          }
+
+          // Each function call arrives complete in a single part
+          for (const part of parts.filter(part => part.functionCall)) {
+            const index = this.geminiToolCallCount++;
+            results.push({
+              type: 'tool_call_delta',
+              index,
+              id: part.functionCall.id,
+              name: part.functionCall.name,
+              arguments: JSON.stringify(part.functionCall.args || {})
+            });
+            if (part.thoughtSignature) {
+              results.push({
+                type: 'thinking_signature',
+                block: { type: 'thought_signature', index, signature: part.thoughtSignature }
+              });
+            }
+          }
+
+          if (candidate.finishReason) {
+            results.push({
+              type: 'finish',
+              reason: candidate.finishReason
+            });
+          }
+        }
+
+        // Every chunk repeats the running totals, the last one wins
+        if (parsed.usageMetadata) {
+          results.push({
+            type: 'usage',
+            usage: {
+              prompt_tokens: parsed.usageMetadata.promptTokenCount,
+              completion_tokens: parsed.usageMetadata.candidatesTokenCount,
+              total_tokens: parsed.usageMetadata.totalTokenCount
+            }
+          });
+        }
+      } catch (error) {
+        console.warn('StreamParser: Failed to parse Gemini SSE:', error, data);
+      }
+    }
+
+    return results;
+  }
+
+  // Parse newline-delimited JSON (Ollama /api/chat and /api/generate)
+  parseNDJSONLines(lines) {
+    const results = [];
+
+    for (let line of lines) {
+      line = line.trim();
+      if (!line) continue;
+
+      try {
+        const parsed = JSON.parse(line);
+
+        if (parsed.error) {
+          results.push({ type: 'error', error: parsed.error });
+          continue;
+        }
+
+        // Ollama sends reasoning in a thinking field when think is enabled
+        const thinking = parsed.message?.thinking ?? parsed.thinking;
+        if (thinking) {
+          results.push(...this.processReasoningField(thinking));
+        }
+
+        const text = parsed.message?.content ?? parsed.response ?? '';
+        if (text) {
+          results.push(...this.createContentResults(this.processContent(text), {
+            model: parsed.model
+          }));
+        }
+
+        if (parsed.done) {
+          if (parsed.prompt_eval_count !== undefined || parsed.eval_count !== undefined) {
+            results.push({
+              type: 'usage',
+              usage: {
+                prompt_tokens: parsed.prompt_eval_count,
+                completion_tokens: parsed.eval_count,
+                total_tokens: (parsed.prompt_eval_count || 0) + (parsed.eval_count || 0)
+              }
+            });
+          }
+          if (parsed.done_reason) {
+            results.push({
+              type: 'finish',
+              reason: parsed.done_reason
+            });
+          }
+          results.push({ type: 'done' });
+        }
+      } catch (error) {
+        console.warn('StreamParser: Failed to parse NDJSON line:', error, line);
+      }
+    }
+
+    return results;
+  }
+
+  // Parse raw text
+  parseRawText(text) {
+    if (!text) {
+      return [];
+    }
+
+    return this.createContentResults(this.processContent(text));
   }
 
   // Utility to format blocks for display
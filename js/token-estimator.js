@@ -0,0 +1,102 @@
+// Token Estimator - Approximate token counts without shipping a tokenizer
+// Counts follow how BPE tokenizers usually split text: short words are one
+// token, long words and numbers split into pieces, CJK is roughly one token
+// per character. Estimates lean slightly high so requests stay inside the window.
+class TokenEstimator {
+  constructor() {
+    this.messageOverhead = 4; // Role and separators per chat message
+    this.imageTokens = 1000; // Flat cost per attached image
+  }
+
+  // Estimate the tokens in a piece of text
+  estimate(text) {
+    if (!text) return 0;
+
+    let tokens = 0;
+    const pieces = String(text).match(/\p{Script=Han}|\p{Script=Hiragana}|\p{Script=Katakana}|\p{Script=Hangul}|[A-Za-zÀ-ɏ']+|\p{L}+|\d+|\n+|[^\S\n]+|[^\s\p{L}\d]/gu) || [];
+
+    for (const piece of pieces) {
+      if (/^[A-Za-zÀ-ɏ']+$/.test(piece)) {
+        // Latin words: most are one token, longer ones split every ~5 characters
+        tokens += piece.length <= 6 ? 1 : Math.ceil(piece.length / 5);
+      } else if (/^\p{L}+$/u.test(piece)) {
+        // CJK comes one character at a time; other scripts (Cyrillic, Greek, Arabic...) split finely
+        tokens += Math.ceil(piece.length / 2);
+      } else if (/^\d+$/.test(piece)) {
+        tokens += Math.ceil(piece.length / 3);
+      } else if (piece[0] === '\n') {
+        tokens += 1;
+      } else if (/^\s+$/.test(piece)) {
+        // A single space merges with the next word; indentation runs do not
+        tokens += piece.length > 1 ? Math.ceil(piece.length / 4) : 0;
+      } else {
+        tokens += 1;
+      }
+    }
+
+    return tokens;
+  }
+
+  // Estimate a chat message, including image parts in multi-part content
+  estimateMessage(message) {
+    if (!message) return 0;
+
+    const content = message.content;
+    let tokens = this.messageOverhead;
+
+    if (Array.isArray(content)) {
+      for (const part of content) {
+        tokens += part.type === 'image' ? this.imageTokens : this.estimate(part.text);
+      }
+    } else {
+      tokens += this.estimate(content);
+    }
+
+    return tokens;
+  }
+
+  estimateMessages(messages) {
+    return (messages || []).reduce((sum, message) => sum + this.estimateMessage(message), 0);
+  }
+
+  // Cut text down to at most maxTokens, preferring to stop at a whitespace boundary
+  truncate(text, maxTokens) {
+    if (!text) return '';
+    text = String(text);
+    if (maxTokens <= 0) return '';
+    if (this.estimate(text) <= maxTokens) return text;
+
+    // Binary search on the character length. No token covers more than a
+    // handful of characters, which bounds the search on very long text.
+    let low = 0;
+    let high = Math.min(text.length, maxTokens * 12);
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (this.estimate(text.substring(0, mid)) <= maxTokens) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    const cut = text.substring(0, low);
+    const lastSpace = cut.search(/\s\S*$/);
+    return lastSpace > low * 0.9 ? cut.substring(0, lastSpace) : cut;
+  }
+
+  // Short label for a token count, e.g. 950 -> "950", 12300 -> "12.3k"
+  format(tokens) {
+    if (tokens < 1000) return String(tokens);
+    if (tokens < 10000) return (tokens / 1000).toFixed(1).replace(/\.0$/, '') + 'k';
+    return Math.round(tokens / 1000) + 'k';
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TokenEstimator;
+} else if (typeof globalThis !== 'undefined') {
+  globalThis.TokenEstimator = TokenEstimator;
+} else if (typeof self !== 'undefined') {
+  self.TokenEstimator = TokenEstimator;
+}
@@ -0,0 +1,189 @@
+// Usage Tracker - Token usage and cost per connection and model
+// Usage is kept as daily totals so storage stays small however much the
+// extension is used: { 'YYYY-MM-DD': { '<connectionId>|<model>': totals } }
+class UsageTracker {
+  constructor() {
+    this.storageKey = 'llamb-usage';
+    this.retentionDays = 400; // Enough for this month and the same month last year
+    this.writeQueue = Promise.resolve(); // Serializes read-modify-write of the stored totals
+  }
+
+  // Cost in USD of one request, from the connection's optional price table
+  // ({ input, output } in USD per million tokens)
+  calculateCost(connection, usage) {
+    const pricing = connection?.pricing;
+    if (!pricing || !usage) return 0;
+
+    return ((usage.promptTokens || 0) * (pricing.input || 0) +
+      (usage.completionTokens || 0) * (pricing.output || 0)) / 1000000;
+  }
+
+  // Normalize provider usage ({ prompt_tokens, completion_tokens }) to our own field names
+  normalizeUsage(usage) {
+    if (!usage) return null;
+
+    const promptTokens = usage.promptTokens ?? usage.prompt_tokens ?? usage.input_tokens ?? 0;
+    const completionTokens = usage.completionTokens ?? usage.completion_tokens ?? usage.output_tokens ?? 0;
+    if (!promptTokens && !completionTokens) return null;
+
+    return { promptTokens, completionTokens };
+  }
+
+  // Add one finished request to the day's totals. Returns the stored entry for the request.
+  record(connection, model, usage, { estimated = false } = {}) {
+    const normalized = this.normalizeUsage(usage);
+    if (!connection || !normalized) return Promise.resolve(null);
+
+    const entry = {
+      ...normalized,
+      cost: this.calculateCost(connection, normalized),
+      estimated
+    };
+
+    this.writeQueue = this.writeQueue.then(async () => {
+      const data = await this.load();
+      const day = this.getDayKey(new Date());
+      const key = `${connection.id}|${model || connection.model || ''}`;
+
+      const days = data.days || {};
+      const totals = days[day] || (days[day] = {});
+      const total = totals[key] || (totals[key] = {
+        connectionId: connection.id,
+        connectionName: connection.name,
+        model: model || connection.model || '',
+        requests: 0,
+        promptTokens: 0,
+        completionTokens: 0,
+        cost: 0,
+        estimatedRequests: 0
+      });
+
+      total.connectionName = connection.name;
+      total.requests++;
+      total.promptTokens += entry.promptTokens;
+      total.completionTokens += entry.completionTokens;
+      total.cost += entry.cost;
+      if (estimated) {
+        total.estimatedRequests++;
+      }
+
+      data.days = this.prune(days);
+      await chrome.storage.local.set({ [this.storageKey]: data });
+    }).catch(error => {
+      console.error('UsageTracker: Error recording usage:', error);
+    });
+
+    return this.writeQueue.then(() => entry);
+  }
+
+  // Totals per connection and model for today and this month
+  async getSummary(date = new Date()) {
+    const data = await this.load();
+    const today = this.getDayKey(date);
+    const month = today.substring(0, 7);
+    const rows = new Map();
+    const totals = {
+      today: this.createTotals(),
+      month: this.createTotals()
+    };
+
+    for (const [day, entries] of Object.entries(data.days || {})) {
+      if (!day.startsWith(month)) continue;
+
+      for (const [key, entry] of Object.entries(entries)) {
+        const row = rows.get(key) || {
+          connectionId: entry.connectionId,
+          connectionName: entry.connectionName,
+          model: entry.model,
+          today: this.createTotals(),
+          month: this.createTotals()
+        };
+        row.connectionName = entry.connectionName;
+
+        this.addTotals(row.month, entry);
+        this.addTotals(totals.month, entry);
+        if (day === today) {
+          this.addTotals(row.today, entry);
+          this.addTotals(totals.today, entry);
+        }
+        rows.set(key, row);
+      }
+    }
+
+    return {
+      rows: [...rows.values()].sort((a, b) => b.month.cost - a.month.cost || b.month.promptTokens - a.month.promptTokens),
+      totals
+    };
+  }
+
+  // Spend so far this month, for the budget check
+  async getMonthCost(date = new Date()) {
+    const summary = await this.getSummary(date);
+    return summary.totals.month.cost;
+  }
+
+  // Compare this month's spend with the monthly budget in global settings.
+  // Returns null when no budget is set.
+  async checkBudget(globalSettings) {
+    const budget = parseFloat(globalSettings?.monthlyBudget);
+    if (!budget || budget <= 0) return null;
+
+    const spent = await this.getMonthCost();
+    return {
+      budget,
+      spent,
+      exceeded: spent >= budget,
+      action: globalSettings.budgetAction === 'block' ? 'block' : 'warn'
+    };
+  }
+
+  async clear() {
+    await this.writeQueue;
+    await chrome.storage.local.remove(this.storageKey);
+  }
+
+  async load() {
+    const result = await chrome.storage.local.get(this.storageKey);
+    return result[this.storageKey] || { days: {} };
+  }
+
+  // Drop days older than the retention period
+  prune(days) {
+    const cutoff = this.getDayKey(new Date(Date.now() - this.retentionDays * 24 * 60 * 60 * 1000));
+    const kept = {};
+    for (const [day, entries] of Object.entries(days)) {
+      if (day >= cutoff) {
+        kept[day] = entries;
+      }
+    }
+    return kept;
+  }
+
+  createTotals() {
+    return { requests: 0, promptTokens: 0, completionTokens: 0, cost: 0, estimatedRequests: 0 };
+  }
+
+  addTotals(target, entry) {
+    target.requests += entry.requests || 0;
+    target.promptTokens += entry.promptTokens || 0;
+    target.completionTokens += entry.completionTokens || 0;
+    target.cost += entry.cost || 0;
+    target.estimatedRequests += entry.estimatedRequests || 0;
+  }
+
+  // Local calendar day, so "today" matches the user's clock
+  getDayKey(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = UsageTracker;
+} else if (typeof globalThis !== 'undefined') {
+  globalThis.UsageTracker = UsageTracker;
+} else if (typeof self !== 'undefined') {
+  self.UsageTracker = UsageTracker;
+}
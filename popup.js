@@ -291,6 +291,7 @@ document.addEventListener('DOMContentLoaded', async () => {
             <div class="llamb-card-content">
               <div class="llamb-card-title">${action.label}</div>
               <div class="llamb-card-subtitle">${truncateText(action.prompt, 60)}</div>
+              ${action.schema ? '<div class="llamb-card-meta">Structured output (JSON)</div>' : ''}
             </div>
           </div>
         </div>
@@ -356,6 +357,11 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
       }
 
+      // Actions with a schema ask for structured output, named after the action
+      const outputSchema = action.schema
+        ? { name: action.label.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, ''), schema: action.schema }
+        : null;
+
       // Toggle sidebar and send message
       await chrome.tabs.sendMessage(tab.id, { action: 'toggleSidebar' });
       
@@ -364,7 +370,8 @@ document.addEventListener('DOMContentLoaded', async () => {
         await chrome.tabs.sendMessage(tab.id, { 
           action: 'addMessage',
           message: prompt,
-          sender: 'user'
+          sender: 'user',
+          outputSchema
         });
       }, 500);
       
@@ -431,6 +438,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         document.getElementById('action-icon').value = action.icon;
         document.getElementById('action-prompt').value = action.prompt;
         document.getElementById('action-use-context').checked = action.usePageContext;
+        document.getElementById('action-schema').value = action.schema ? JSON.stringify(action.schema, null, 2) : '';
       }
     } catch (error) {
       debugError('Error loading action for editing:', error);
@@ -449,13 +457,30 @@ document.addEventListener('DOMContentLoaded', async () => {
       label: document.getElementById('action-label').value.trim(),
       icon: document.getElementById('action-icon').value.trim() || '⚡',
       prompt: document.getElementById('action-prompt').value.trim(),
-      usePageContext: document.getElementById('action-use-context').checked
+      usePageContext: document.getElementById('action-use-context').checked,
+      schema: null
     };
     
     if (!actionData.label || !actionData.prompt) {
       showNotification('Please fill in all required fields');
       return;
     }
+
+    const schemaText = document.getElementById('action-schema').value.trim();
+    if (schemaText) {
+      try {
+        actionData.schema = JSON.parse(schemaText);
+      } catch (error) {
+        showNotification('Invalid JSON in output schema');
+        return;
+      }
+
+      const schemaError = JsonSchema.check(actionData.schema);
+      if (schemaError) {
+        showNotification(schemaError);
+        return;
+      }
+    }
     
     try {
       if (actionId) {
@@ -851,6 +876,9 @@ document.addEventListener('DOMContentLoaded', async () => {
         <button class="llamb-btn llamb-btn-sm llamb-test-btn" data-connection-id="${connection.id}" title="Test Connection">
           <img src="${chrome.runtime.getURL('icons/test.svg')}" class="llamb-icon" alt="Test">
         </button>
+        <button class="llamb-btn llamb-btn-sm llamb-refresh-models-btn" data-connection-id="${connection.id}" title="Refresh Models">
+          <img src="${chrome.runtime.getURL('icons/refresh.svg')}" class="llamb-icon" alt="Refresh models">
+        </button>
         <button class="llamb-btn llamb-btn-sm llamb-edit-btn" data-connection-id="${connection.id}" title="Edit">
           <img src="${chrome.runtime.getURL('icons/edit.svg')}" class="llamb-icon" alt="Edit">
         </button>
@@ -860,6 +888,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Add event listeners for the buttons
     const setActiveBtn = card.querySelector('.llamb-set-active-btn');
     const testBtn = card.querySelector('.llamb-test-btn');
+    const refreshModelsBtn = card.querySelector('.llamb-refresh-models-btn');
     const editBtn = card.querySelector('.llamb-edit-btn');
     
     if (setActiveBtn) {
@@ -867,6 +896,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
     
     testBtn.addEventListener('click', () => testConnection(connection.id));
+    refreshModelsBtn.addEventListener('click', () => refreshModels(connection));
     editBtn.addEventListener('click', () => editConnection(connection.id));
     
     return card;
@@ -895,11 +925,44 @@ document.addEventListener('DOMContentLoaded', async () => {
   // Test connection
   async function testConnection(connectionId) {
     showNotification('Testing connection...');
-    // This could be implemented to actually test the connection
-    // For now, just show a placeholder
-    setTimeout(() => {
-      showNotification('Connection test feature coming soon');
-    }, 1000);
+    try {
+      const connection = await storageManager.getConnection(connectionId);
+      if (!connection) {
+        throw new Error('Connection not found');
+      }
+
+      const response = await chrome.runtime.sendMessage({ action: 'testConnection', connectionData: connection });
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Connection test failed');
+      }
+
+      const result = response.result;
+      showNotification(result.success
+        ? `${connection.name}: OK (${result.latencyMs} ms)`
+        : `${connection.name}: ${result.message}`);
+    } catch (error) {
+      debugError('Error testing connection:', error);
+      showNotification('Test failed: ' + error.message);
+    }
+  }
+
+  // Fetch a fresh model list for a connection into the background's cache
+  async function refreshModels(connection) {
+    showNotification('Refreshing models...');
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'listModels', connectionId: connection.id, refresh: true });
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Could not list models');
+      }
+
+      const found = response.models.some(model => model.id === connection.model || model.id === `${connection.model}:latest`);
+      showNotification(found
+        ? `${connection.name}: ${response.models.length} models`
+        : `${connection.name}: ${response.models.length} models, ${connection.model} not among them`);
+    } catch (error) {
+      debugError('Error refreshing models:', error);
+      showNotification('Refresh failed: ' + error.message);
+    }
   }
 
   // Edit connection
@@ -2,14 +2,19 @@
 class SettingsManager {
   constructor() {
     this.storageManager = new StorageManager();
+    this.usageTracker = new UsageTracker();
     this.currentEditingId = null;
+    this.currentProviderId = null;
+    this.customProviders = [];
     this.init();
   }
 
   async init() {
     await this.loadSettings();
     this.setupEventListeners();
+    await this.loadCustomProviders();
     this.loadConnections();
+    this.loadUsage();
     this.loadPlugins();
   }
 
@@ -21,11 +26,15 @@ class SettingsManager {
 
       document.getElementById('theme-select').value = global.theme || 'auto';
       document.getElementById('max-tokens').value = global.maxTokens || 4000;
-      document.getElementById('temperature').value = global.temperature || 0.7;
+      document.getElementById('temperature').value = global.temperature ?? 0.7;
       document.getElementById('auto-context').checked = global.autoContextCapture !== false;
       document.getElementById('streaming-enabled').checked = global.streamingEnabled !== false;
       document.getElementById('show-thinking').checked = global.showThinkingBlocks !== false;
       document.getElementById('debug-logging').checked = global.debugLogging === true;
+      document.getElementById('fallback-enabled').checked = settings.fallbackEnabled !== false;
+      document.getElementById('monthly-budget').value = global.monthlyBudget || '';
+      document.getElementById('budget-action').value = global.budgetAction || 'warn';
+      document.getElementById('embedding-model').value = global.embeddingModel || '';
     } catch (error) {
       this.showToast('Failed to load settings', 'error');
     }
@@ -41,11 +50,17 @@ class SettingsManager {
         autoContextCapture: document.getElementById('auto-context').checked,
         streamingEnabled: document.getElementById('streaming-enabled').checked,
         showThinkingBlocks: document.getElementById('show-thinking').checked,
-        debugLogging: document.getElementById('debug-logging').checked
+        debugLogging: document.getElementById('debug-logging').checked,
+        monthlyBudget: parseFloat(document.getElementById('monthly-budget').value) || null,
+        budgetAction: document.getElementById('budget-action').value,
+        embeddingConnectionId: document.getElementById('embedding-connection').value || null,
+        embeddingModel: document.getElementById('embedding-model').value.trim() || null
       };
 
       await this.storageManager.updateGlobalSettings(globalSettings);
+      await this.storageManager.setFallbackEnabled(document.getElementById('fallback-enabled').checked);
       this.showToast('Settings saved', 'success');
+      this.loadUsage();
     } catch (error) {
       this.showToast('Failed to save settings', 'error');
     }
@@ -61,6 +76,20 @@ class SettingsManager {
     document.getElementById('streaming-enabled').addEventListener('change', () => this.saveGlobalSettings());
     document.getElementById('show-thinking').addEventListener('change', () => this.saveGlobalSettings());
     document.getElementById('debug-logging').addEventListener('change', () => this.saveGlobalSettings());
+    document.getElementById('fallback-enabled').addEventListener('change', () => this.saveGlobalSettings());
+    document.getElementById('monthly-budget').addEventListener('change', () => this.saveGlobalSettings());
+    document.getElementById('budget-action').addEventListener('change', () => this.saveGlobalSettings());
+    document.getElementById('reset-usage-btn').addEventListener('click', () => this.resetUsage());
+    document.getElementById('embedding-connection').addEventListener('change', () => this.saveGlobalSettings());
+    document.getElementById('embedding-model').addEventListener('change', () => this.saveGlobalSettings());
+    document.getElementById('clear-embedding-cache-btn').addEventListener('click', () => this.clearEmbeddingCache());
+
+    // Usage totals update as requests finish
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes[this.usageTracker.storageKey]) {
+        this.loadUsage();
+      }
+    });
 
     // Connection management
     document.getElementById('add-connection-btn').addEventListener('click', () => this.openConnectionModal());
@@ -70,6 +99,26 @@ class SettingsManager {
     document.getElementById('test-connection-btn').addEventListener('click', () => this.testConnection());
     document.getElementById('fetch-models-btn').addEventListener('click', () => this.fetchModels());
     
+    // Custom providers
+    document.getElementById('add-provider-btn').addEventListener('click', () => this.openProviderModal());
+    document.getElementById('provider-modal-close-btn').addEventListener('click', () => this.closeProviderModal());
+    document.getElementById('provider-cancel-btn').addEventListener('click', () => this.closeProviderModal());
+    document.getElementById('provider-example-btn').addEventListener('click', () => {
+      document.getElementById('provider-spec').value = JSON.stringify(this.getExampleProviderSpec(), null, 2);
+    });
+    document.getElementById('provider-form').addEventListener('submit', (e) => this.handleProviderSubmit(e));
+    document.getElementById('provider-modal').addEventListener('click', (e) => {
+      if (e.target === document.getElementById('provider-modal')) {
+        this.closeProviderModal();
+      }
+    });
+    
+    // Provider-specific options
+    document.getElementById('connection-type').addEventListener('change', () => this.handleTypeChange());
+    document.getElementById('ollama-refresh-btn').addEventListener('click', () => this.loadOllamaModels());
+    document.getElementById('ollama-pull-btn').addEventListener('click', () => this.pullOllamaModel());
+    document.getElementById('llamacpp-slots-refresh-btn').addEventListener('click', () => this.loadLlamaCppSlots());
+    
     // Model selection handling
     document.getElementById('connection-model-select').addEventListener('change', () => this.handleModelSelect());
     document.getElementById('connection-model-input').addEventListener('input', () => this.handleModelInput());
@@ -93,6 +142,7 @@ class SettingsManager {
       const settings = await this.storageManager.getSettings();
       const connectionsContainer = document.getElementById('connections-container');
       const emptyState = document.getElementById('empty-state');
+      this.loadEmbeddingConnections(settings);
 
       if (settings.connections.length === 0) {
         emptyState.style.display = 'block';
@@ -116,6 +166,55 @@ class SettingsManager {
     }
   }
 
+  // Connections whose provider can embed, for the embedding connection setting
+  loadEmbeddingConnections(settings) {
+    const select = document.getElementById('embedding-connection');
+    const savedId = settings.globalSettings?.embeddingConnectionId || '';
+
+    // Without the providers, keep offering the saved choice so auto-save does not clear it
+    let providers = null;
+    try {
+      providers = new LLMProviders();
+      providers.setCustomProviders(settings.customProviders);
+    } catch (error) {
+      console.error('Failed to load providers for embedding connections:', error);
+    }
+
+    select.innerHTML = '<option value="">None</option>';
+    for (const connection of settings.connections) {
+      try {
+        const supported = providers
+          ? providers.getProvider(connection.type).supportedFeatures?.embeddings
+          : connection.id === savedId;
+        if (!supported) continue;
+      } catch (error) {
+        continue;
+      }
+      const option = document.createElement('option');
+      option.value = connection.id;
+      option.textContent = `${connection.name} (${this.getTypeLabel(connection.type)})`;
+      select.appendChild(option);
+    }
+    select.value = savedId;
+  }
+
+  // Cached vectors live in the background's IndexedDB
+  async clearEmbeddingCache() {
+    if (!confirm('Clear all cached embeddings? They will be created again when needed.')) {
+      return;
+    }
+
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'clearEmbeddingCache' });
+      if (!response?.success) {
+        throw new Error(response?.error || 'No response from background');
+      }
+      this.showToast('Embedding cache cleared', 'success');
+    } catch (error) {
+      this.showToast('Failed to clear embedding cache: ' + error.message, 'error');
+    }
+  }
+
   // Create connection card HTML
   createConnectionCard(connection, isActive) {
     const card = document.createElement('div');
@@ -135,7 +234,7 @@ class SettingsManager {
       </div>
       
       <div class="connection-details">
-        <strong>Type:</strong> <span>${connection.type}</span>
+        <strong>Type:</strong> <span>${this.escapeHtml(this.getTypeLabel(connection.type))}</span>
         <strong>Model:</strong> <span>${connection.model}</span>
         <strong>Endpoint:</strong> <span>${this.truncateUrl(connection.endpoint)}</span>
         <strong>Features:</strong> <span>${this.formatFeatures(connection.features)}</span>
@@ -185,6 +284,8 @@ class SettingsManager {
     if (features.streaming) enabled.push('Streaming');
     if (features.reasoning) enabled.push('Reasoning');
     if (features.thinking) enabled.push('Thinking');
+    if (features.toolCalling) enabled.push('Tools');
+    if (features.vision) enabled.push('Vision');
     return enabled.length > 0 ? enabled.join(', ') : 'Basic';
   }
 
@@ -206,6 +307,8 @@ class SettingsManager {
     } else {
       this.clearConnectionForm();
     }
+    document.getElementById('connection-test-results').style.display = 'none';
+    this.fetchedModels = null;
     
     modal.classList.add('active');
   }
@@ -247,13 +350,67 @@ class SettingsManager {
     
     document.getElementById('context-window').value = connection.features?.contextWindow || 4096;
     document.getElementById('connection-timeout').value = connection.timeout || 30000;
+    document.getElementById('connection-max-concurrent').value = connection.maxConcurrentRequests || 2;
+    document.getElementById('connection-price-input').value = connection.pricing?.input ?? '';
+    document.getElementById('connection-price-output').value = connection.pricing?.output ?? '';
+    
+    const parameters = connection.parameters || {};
+    document.getElementById('param-top-p').value = parameters.topP ?? '';
+    document.getElementById('param-seed').value = parameters.seed ?? '';
+    document.getElementById('param-presence-penalty').value = parameters.presencePenalty ?? '';
+    document.getElementById('param-frequency-penalty').value = parameters.frequencyPenalty ?? '';
+    document.getElementById('param-stop').value = (parameters.stop || []).join('\n');
+    document.getElementById('param-extra-body').value = parameters.extraBody
+      ? JSON.stringify(parameters.extraBody, null, 2)
+      : '';
+    document.getElementById('reasoning-effort').value = connection.reasoning?.effort || '';
+    document.getElementById('reasoning-thinking-budget').value = connection.reasoning?.thinkingBudget || '';
     
     document.getElementById('feature-streaming').checked = connection.features?.streaming !== false;
     document.getElementById('feature-reasoning').checked = connection.features?.reasoning || false;
     document.getElementById('feature-thinking').checked = connection.features?.thinking || false;
+    document.getElementById('feature-tool-calling').checked = connection.features?.toolCalling || false;
+    document.getElementById('feature-vision').checked = connection.features?.vision || false;
     document.getElementById('connection-enabled').checked = connection.enabled !== false;
     
     document.getElementById('custom-headers').value = JSON.stringify(connection.customHeaders || {}, null, 2);
+    document.getElementById('connection-reasoning-tags').value = (connection.reasoningTags || [])
+      .map(tag => typeof tag === 'string' ? tag : `${tag.start} ${tag.end}`)
+      .join('\n');
+    
+    // llama.cpp options
+    document.getElementById('llamacpp-grammar').value = connection.llamacpp?.grammar || '';
+    document.getElementById('llamacpp-json-schema').value = connection.llamacpp?.jsonSchema
+      ? JSON.stringify(connection.llamacpp.jsonSchema, null, 2)
+      : '';
+    document.getElementById('llamacpp-n-probs').value = connection.llamacpp?.nProbs ?? '';
+    document.getElementById('llamacpp-slot-id').value = connection.llamacpp?.slotId ?? '';
+    
+    // Mock options
+    document.getElementById('mock-mode').value = connection.mock?.mode || 'echo';
+    document.getElementById('mock-delay').value = connection.mock?.delayMs ?? '';
+    document.getElementById('mock-response').value = connection.mock?.response || '';
+    document.getElementById('mock-error').value = connection.mock?.error || 'none';
+    document.getElementById('mock-reasoning').checked = connection.mock?.reasoning || false;
+    document.getElementById('mock-tool-calls').checked = connection.mock?.toolCalls || false;
+    
+    // Bedrock options
+    document.getElementById('bedrock-region').value = connection.bedrock?.region || '';
+    document.getElementById('bedrock-access-key-id').value = connection.bedrock?.accessKeyId || '';
+    document.getElementById('bedrock-session-token').value = connection.bedrock?.sessionToken || '';
+    
+    // Azure options
+    document.getElementById('azure-deployment').value = connection.azure?.deployment || '';
+    document.getElementById('azure-api-version').value = connection.azure?.apiVersion || '';
+    document.getElementById('azure-auth-type').value = connection.azure?.authType || 'key';
+    
+    // Ollama options
+    document.getElementById('ollama-keep-alive').value = connection.ollama?.keepAlive || '';
+    document.getElementById('ollama-options-json').value = connection.ollama?.options
+      ? JSON.stringify(connection.ollama.options, null, 2)
+      : '';
+    
+    this.handleTypeChange();
   }
 
   // Clear connection form
@@ -261,6 +418,7 @@ class SettingsManager {
     document.getElementById('connection-form').reset();
     document.getElementById('context-window').value = 4096;
     document.getElementById('connection-timeout').value = 30000;
+    document.getElementById('connection-max-concurrent').value = 2;
     document.getElementById('custom-headers').value = '{}';
     document.getElementById('feature-streaming').checked = true;
     document.getElementById('connection-enabled').checked = true;
@@ -268,6 +426,33 @@ class SettingsManager {
     // Clear model fields
     document.getElementById('connection-model-select').value = '';
     document.getElementById('connection-model-input').value = '';
+    
+    // Clear provider-specific fields
+    document.getElementById('llamacpp-grammar').value = '';
+    document.getElementById('llamacpp-json-schema').value = '';
+    document.getElementById('llamacpp-n-probs').value = '';
+    document.getElementById('llamacpp-slot-id').value = '';
+    document.getElementById('llamacpp-slots-list').innerHTML =
+      '<div class="llamb-text-secondary llamb-text-sm">Click refresh to list the server\'s slots</div>';
+    document.getElementById('mock-mode').value = 'echo';
+    document.getElementById('mock-delay').value = '';
+    document.getElementById('mock-response').value = '';
+    document.getElementById('mock-error').value = 'none';
+    document.getElementById('mock-reasoning').checked = false;
+    document.getElementById('mock-tool-calls').checked = false;
+    document.getElementById('bedrock-region').value = '';
+    document.getElementById('bedrock-access-key-id').value = '';
+    document.getElementById('bedrock-session-token').value = '';
+    document.getElementById('azure-deployment').value = '';
+    document.getElementById('azure-api-version').value = '';
+    document.getElementById('azure-auth-type').value = 'key';
+    document.getElementById('ollama-keep-alive').value = '';
+    document.getElementById('ollama-options-json').value = '';
+    document.getElementById('ollama-models-list').innerHTML = 
+      '<div class="llamb-text-secondary llamb-text-sm">Click refresh to list installed models</div>';
+    document.getElementById('ollama-pull-progress').style.display = 'none';
+    
+    this.handleTypeChange();
   }
 
   // Handle connection form submission
@@ -332,31 +517,460 @@ class SettingsManager {
       throw new Error('Endpoint URL is required');
     }
 
-    return {
+    const type = document.getElementById('connection-type').value;
+
+    const formData = {
       name: document.getElementById('connection-name').value.trim(),
-      type: document.getElementById('connection-type').value,
+      type: type,
       endpoint: document.getElementById('connection-endpoint').value.trim(),
       apiKey: document.getElementById('connection-api-key').value.trim() || null,
       model: model,
       enabled: document.getElementById('connection-enabled').checked,
       timeout: parseInt(document.getElementById('connection-timeout').value),
+      maxConcurrentRequests: parseInt(document.getElementById('connection-max-concurrent').value) || 2,
+      pricing: this.getPricingFormData(),
+      reasoningTags: this.getReasoningTagsFormData(),
+      parameters: this.getParametersFormData(),
+      reasoning: this.getReasoningFormData(),
       features: {
         streaming: document.getElementById('feature-streaming').checked,
         reasoning: document.getElementById('feature-reasoning').checked,
         thinking: document.getElementById('feature-thinking').checked,
+        toolCalling: document.getElementById('feature-tool-calling').checked,
+        vision: document.getElementById('feature-vision').checked,
         contextWindow: parseInt(document.getElementById('context-window').value)
       },
       customHeaders
     };
+
+    if (type === 'ollama') {
+      formData.ollama = this.getOllamaFormData();
+    }
+
+    if (type === 'bedrock') {
+      formData.bedrock = this.getBedrockFormData();
+    }
+
+    if (type === 'llamacpp') {
+      formData.llamacpp = this.getLlamaCppFormData();
+    }
+
+    if (type === 'mock') {
+      formData.mock = this.getMockFormData();
+    }
+
+    if (type === 'azure-openai') {
+      formData.azure = {
+        deployment: document.getElementById('azure-deployment').value.trim() || null,
+        apiVersion: document.getElementById('azure-api-version').value.trim() || null,
+        authType: document.getElementById('azure-auth-type').value
+      };
+    }
+
+    return formData;
+  }
+
+  // Optional price table, in USD per million tokens
+  getPricingFormData() {
+    const input = parseFloat(document.getElementById('connection-price-input').value);
+    const output = parseFloat(document.getElementById('connection-price-output').value);
+    if (isNaN(input) && isNaN(output)) {
+      return null;
+    }
+    return { input: isNaN(input) ? 0 : input, output: isNaN(output) ? 0 : output };
+  }
+
+  // Per-connection generation parameters. Empty fields fall back to the global settings
+  // or the provider's defaults.
+  getParametersFormData() {
+    const number = (id) => {
+      const value = parseFloat(document.getElementById(id).value);
+      return isNaN(value) ? undefined : value;
+    };
+
+    let extraBody;
+    try {
+      const extraBodyText = document.getElementById('param-extra-body').value.trim();
+      if (extraBodyText) {
+        extraBody = JSON.parse(extraBodyText);
+      }
+    } catch (error) {
+      console.error('Extra request body JSON error:', error);
+      throw new Error('Invalid JSON in extra request body');
+    }
+    if (extraBody !== undefined && (typeof extraBody !== 'object' || extraBody === null || Array.isArray(extraBody))) {
+      throw new Error('Extra request body must be a JSON object');
+    }
+
+    const stop = document.getElementById('param-stop').value
+      .split('\n')
+      .filter(line => line.trim());
+
+    const seed = number('param-seed');
+
+    return {
+      topP: number('param-top-p'),
+      seed: seed === undefined ? undefined : Math.round(seed),
+      presencePenalty: number('param-presence-penalty'),
+      frequencyPenalty: number('param-frequency-penalty'),
+      stop: stop.length > 0 ? stop : undefined,
+      extraBody
+    };
+  }
+
+  // Reasoning effort (OpenAI) and extended thinking budget (Anthropic)
+  getReasoningFormData() {
+    const effort = document.getElementById('reasoning-effort').value || null;
+    const thinkingBudget = parseInt(document.getElementById('reasoning-thinking-budget').value) || null;
+    if (thinkingBudget !== null && thinkingBudget < 1024) {
+      throw new Error('Thinking budget must be at least 1024 tokens');
+    }
+    return effort || thinkingBudget ? { effort, thinkingBudget } : null;
+  }
+
+  // Extra reasoning markers: "analysis" is the <analysis> tag, "[THINK] [/THINK]" a start/end pair
+  getReasoningTagsFormData() {
+    return document.getElementById('connection-reasoning-tags').value
+      .split('\n')
+      .map(line => line.trim())
+      .filter(Boolean)
+      .map(line => {
+        const [start, end] = line.split(/\s+/);
+        return end ? { start, end } : start;
+      });
+  }
+
+  // Get Ollama-specific options from the form
+  getOllamaFormData() {
+    let options = {};
+    try {
+      const optionsText = document.getElementById('ollama-options-json').value.trim();
+      if (optionsText) {
+        options = JSON.parse(optionsText);
+      }
+    } catch (error) {
+      console.error('Ollama options JSON error:', error);
+      throw new Error('Invalid JSON in Ollama model options');
+    }
+
+    return {
+      keepAlive: document.getElementById('ollama-keep-alive').value.trim() || null,
+      options
+    };
+  }
+
+  // Show the options that belong to the selected connection type
+  handleTypeChange() {
+    const type = document.getElementById('connection-type').value;
+    document.getElementById('ollama-options').style.display = type === 'ollama' ? 'block' : 'none';
+    document.getElementById('azure-options').style.display = type === 'azure-openai' ? 'block' : 'none';
+    document.getElementById('bedrock-options').style.display = type === 'bedrock' ? 'block' : 'none';
+    document.getElementById('llamacpp-options').style.display = type === 'llamacpp' ? 'block' : 'none';
+    document.getElementById('mock-options').style.display = type === 'mock' ? 'block' : 'none';
+
+    // Bedrock's runtime endpoint follows from the region, so offer the usual one
+    const endpointInput = document.getElementById('connection-endpoint');
+    if (type === 'bedrock' && !endpointInput.value.trim()) {
+      endpointInput.value = 'https://bedrock-runtime.us-east-1.amazonaws.com';
+    }
+
+    // The mock provider needs no server, but the form still asks for an endpoint and model
+    const modelInput = document.getElementById('connection-model-input');
+    if (type === 'mock') {
+      if (!endpointInput.value.trim()) {
+        endpointInput.value = 'mock://local';
+      }
+      if (!modelInput.value.trim() && !document.getElementById('connection-model-select').value) {
+        modelInput.value = 'mock-1';
+      }
+    }
+  }
+
+  getMockFormData() {
+    const delayMs = parseInt(document.getElementById('mock-delay').value);
+    return {
+      mode: document.getElementById('mock-mode').value,
+      response: document.getElementById('mock-response').value.trim() || null,
+      delayMs: delayMs >= 0 ? delayMs : null,
+      reasoning: document.getElementById('mock-reasoning').checked,
+      toolCalls: document.getElementById('mock-tool-calls').checked,
+      error: document.getElementById('mock-error').value
+    };
+  }
+
+  getLlamaCppFormData() {
+    let jsonSchema = null;
+    try {
+      const schemaText = document.getElementById('llamacpp-json-schema').value.trim();
+      if (schemaText) {
+        jsonSchema = JSON.parse(schemaText);
+      }
+    } catch (error) {
+      console.error('llama.cpp JSON schema error:', error);
+      throw new Error('Invalid JSON in llama.cpp JSON schema');
+    }
+
+    const grammar = document.getElementById('llamacpp-grammar').value.trim() || null;
+    if (grammar && jsonSchema) {
+      throw new Error('Use either a grammar or a JSON schema, not both');
+    }
+
+    const nProbs = parseInt(document.getElementById('llamacpp-n-probs').value);
+    const slotId = parseInt(document.getElementById('llamacpp-slot-id').value);
+    return {
+      grammar,
+      jsonSchema,
+      nProbs: nProbs > 0 ? nProbs : null,
+      slotId: Number.isInteger(slotId) && slotId >= 0 ? slotId : null
+    };
+  }
+
+  getBedrockFormData() {
+    return {
+      region: document.getElementById('bedrock-region').value.trim() || null,
+      accessKeyId: document.getElementById('bedrock-access-key-id').value.trim() || null,
+      sessionToken: document.getElementById('bedrock-session-token').value.trim() || null
+    };
+  }
+
+  // Build a minimal connection from the form for model listing and Ollama model management
+  getFormConnection() {
+    const endpoint = document.getElementById('connection-endpoint').value.trim();
+    if (!endpoint) {
+      throw new Error('Please enter an endpoint URL first');
+    }
+
+    let customHeaders = {};
+    try {
+      const headersText = document.getElementById('custom-headers').value.trim();
+      if (headersText) {
+        customHeaders = JSON.parse(headersText);
+      }
+    } catch (error) {
+      throw new Error('Invalid JSON in custom headers');
+    }
+
+    return { endpoint, customHeaders };
+  }
+
+  // List models installed on the Ollama server
+  async loadOllamaModels() {
+    const listElement = document.getElementById('ollama-models-list');
+    const provider = new OllamaProvider();
+
+    try {
+      const connection = this.getFormConnection();
+      listElement.innerHTML = '<div class="llamb-text-secondary llamb-text-sm">Loading models...</div>';
+
+      const models = await provider.listLocalModels(connection);
+
+      if (models.length === 0) {
+        listElement.innerHTML = '<div class="llamb-text-secondary llamb-text-sm">No models installed</div>';
+        return;
+      }
+
+      listElement.innerHTML = '';
+      models.sort((a, b) => a.name.localeCompare(b.name));
+
+      for (const model of models) {
+        const row = document.createElement('div');
+        row.className = 'ollama-model-row';
+
+        const details = [model.parameterSize, model.quantization, this.formatBytes(model.size)]
+          .filter(Boolean)
+          .join(' • ');
+
+        row.innerHTML = `
+          <div>
+            <div>${this.escapeHtml(model.name)}</div>
+            <div class="ollama-model-meta">${this.escapeHtml(details)}</div>
+          </div>
+          <div class="ollama-model-actions">
+            <button type="button" class="llamb-btn llamb-btn-sm ollama-use-btn">Use</button>
+            <button type="button" class="llamb-btn llamb-btn-sm btn-danger ollama-delete-btn">Delete</button>
+          </div>
+        `;
+
+        row.querySelector('.ollama-use-btn').addEventListener('click', () => {
+          document.getElementById('connection-model-select').value = '';
+          document.getElementById('connection-model-input').value = model.name;
+        });
+        row.querySelector('.ollama-delete-btn').addEventListener('click', () => this.deleteOllamaModel(model.name));
+
+        listElement.appendChild(row);
+      }
+    } catch (error) {
+      console.error('Error listing Ollama models:', error);
+      listElement.innerHTML = `<div class="llamb-text-secondary llamb-text-sm">Failed to list models: ${this.escapeHtml(error.message)}</div>`;
+    }
+  }
+
+  // List the llama.cpp server's slots with their state and cached prompt size
+  async loadLlamaCppSlots() {
+    const listElement = document.getElementById('llamacpp-slots-list');
+    const provider = new LlamaCppProvider();
+
+    try {
+      const connection = this.getFormConnection();
+      listElement.innerHTML = '<div class="llamb-text-secondary llamb-text-sm">Loading slots...</div>';
+
+      const slots = await provider.listSlots(connection);
+      if (!Array.isArray(slots) || slots.length === 0) {
+        listElement.innerHTML = '<div class="llamb-text-secondary llamb-text-sm">No slots reported</div>';
+        return;
+      }
+
+      listElement.innerHTML = '';
+      for (const slot of slots) {
+        const row = document.createElement('div');
+        row.className = 'ollama-model-row';
+
+        const details = [
+          slot.is_processing ? 'Busy' : 'Idle',
+          slot.n_ctx ? `${slot.n_ctx} context` : null,
+          slot.prompt ? `${slot.prompt.length} chars cached` : null
+        ].filter(Boolean).join(' • ');
+
+        row.innerHTML = `
+          <div>
+            <div>Slot ${this.escapeHtml(String(slot.id))}</div>
+            <div class="ollama-model-meta">${this.escapeHtml(details)}</div>
+          </div>
+          <div class="ollama-model-actions">
+            <button type="button" class="llamb-btn llamb-btn-sm llamacpp-use-slot-btn">Use</button>
+            <button type="button" class="llamb-btn llamb-btn-sm btn-danger llamacpp-erase-slot-btn">Erase</button>
+          </div>
+        `;
+
+        row.querySelector('.llamacpp-use-slot-btn').addEventListener('click', () => {
+          document.getElementById('llamacpp-slot-id').value = slot.id;
+        });
+        row.querySelector('.llamacpp-erase-slot-btn').addEventListener('click', () => this.eraseLlamaCppSlot(slot.id));
+
+        listElement.appendChild(row);
+      }
+    } catch (error) {
+      console.error('Error listing llama.cpp slots:', error);
+      listElement.innerHTML = `<div class="llamb-text-secondary llamb-text-sm">Failed to list slots: ${this.escapeHtml(error.message)}</div>`;
+    }
+  }
+
+  // Drop a slot's cached prompt
+  async eraseLlamaCppSlot(slotId) {
+    try {
+      await new LlamaCppProvider().eraseSlot(this.getFormConnection(), slotId);
+      this.showToast(`Slot ${slotId} erased`, 'success');
+      await this.loadLlamaCppSlots();
+    } catch (error) {
+      this.showToast('Failed to erase slot: ' + error.message, 'error');
+    }
+  }
+
+  // Pull a model into the Ollama server with progress
+  async pullOllamaModel() {
+    const nameInput = document.getElementById('ollama-pull-name');
+    const pullBtn = document.getElementById('ollama-pull-btn');
+    const progress = document.getElementById('ollama-pull-progress');
+    const barFill = document.getElementById('ollama-pull-bar-fill');
+    const status = document.getElementById('ollama-pull-status');
+    const modelName = nameInput.value.trim();
+
+    if (!modelName) {
+      this.showToast('Please enter a model name to pull', 'error');
+      return;
+    }
+
+    const provider = new OllamaProvider();
+
+    try {
+      const connection = this.getFormConnection();
+
+      pullBtn.disabled = true;
+      progress.style.display = 'block';
+      barFill.style.width = '0%';
+      status.textContent = 'Starting pull...';
+
+      await provider.pullModel(connection, modelName, ({ status: pullStatus, completed, total }) => {
+        if (total > 0) {
+          const percent = Math.round((completed / total) * 100);
+          barFill.style.width = `${percent}%`;
+          status.textContent = `${pullStatus} - ${percent}% (${this.formatBytes(completed)} / ${this.formatBytes(total)})`;
+        } else {
+          status.textContent = pullStatus;
+        }
+      });
+
+      barFill.style.width = '100%';
+      status.textContent = 'Pull complete';
+      nameInput.value = '';
+      this.showToast(`Pulled ${modelName}`, 'success');
+      await this.loadOllamaModels();
+    } catch (error) {
+      console.error('Error pulling Ollama model:', error);
+      status.textContent = `Pull failed: ${error.message}`;
+      this.showToast('Failed to pull model: ' + error.message, 'error');
+    } finally {
+      pullBtn.disabled = false;
+    }
+  }
+
+  // Delete a model from the Ollama server
+  async deleteOllamaModel(modelName) {
+    if (!confirm(`Delete ${modelName} from the Ollama server?`)) {
+      return;
+    }
+
+    const provider = new OllamaProvider();
+
+    try {
+      await provider.deleteModel(this.getFormConnection(), modelName);
+      this.showToast(`Deleted ${modelName}`, 'success');
+      await this.loadOllamaModels();
+    } catch (error) {
+      console.error('Error deleting Ollama model:', error);
+      this.showToast('Failed to delete model: ' + error.message, 'error');
+    }
+  }
+
+  // Format a byte count for display
+  formatBytes(bytes) {
+    if (!bytes) return '';
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+    return `${(bytes / Math.pow(1024, exponent)).toFixed(exponent > 1 ? 1 : 0)} ${units[exponent]}`;
+  }
+
+  // Escape HTML for safe insertion
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text == null ? '' : String(text);
+    return div.innerHTML;
+  }
+
+  // Run the provider's connection checks in the background, where the providers live
+  async runConnectionTest(connectionData) {
+    const response = await chrome.runtime.sendMessage({ action: 'testConnection', connectionData });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Connection test failed');
+    }
+    return response.result;
   }
 
   // Test connection
   async testConnection() {
+    const resultsDiv = document.getElementById('connection-test-results');
     try {
       const formData = this.getConnectionFormData();
       this.setTestingState(true);
+      resultsDiv.style.display = 'none';
       
-      const result = await this.storageManager.testConnection(formData);
+      const result = await this.runConnectionTest(formData);
+      this.renderTestResults(result);
+
+      // Servers that report their context size (llama.cpp) set the context window
+      if (result.contextWindow) {
+        document.getElementById('context-window').value = result.contextWindow;
+      }
       
       if (result.success) {
         this.showToast('Connection test successful!', 'success');
@@ -370,6 +984,37 @@ class SettingsManager {
     }
   }
 
+  // Pass/fail line per check, with timings
+  renderTestResults(result) {
+    const resultsDiv = document.getElementById('connection-test-results');
+    const icons = { passed: '✅', failed: '❌', skipped: '⏭️' };
+
+    resultsDiv.innerHTML = (result.checks || []).map(check => `
+      <div class="test-check ${check.status}">
+        <span>${icons[check.status] || '•'}</span>
+        <span class="test-check-label">${this.escapeHtml(check.label)}</span>
+        <span class="test-check-message">${this.escapeHtml(check.message || '')}</span>
+        ${check.status !== 'skipped' && check.durationMs !== undefined ? `<span class="llamb-text-secondary">${check.durationMs} ms</span>` : ''}
+      </div>
+    `).join('');
+    resultsDiv.style.display = 'block';
+  }
+
+  // One-line summary of a test result for toasts
+  getTestSummary(result) {
+    if (!result.success) {
+      return result.message;
+    }
+    const parts = [`${result.latencyMs} ms`];
+    if (result.timeToFirstTokenMs !== null) {
+      parts.push(`first token ${result.timeToFirstTokenMs} ms`);
+    }
+    if (result.streaming === false) {
+      parts.push('streaming failed');
+    }
+    return `Connection successful (${parts.join(', ')})`;
+  }
+
   // Test connection by ID
   async testConnectionById(connectionId) {
     try {
@@ -384,17 +1029,13 @@ class SettingsManager {
         card.className = 'status-dot testing';
       }
 
-      const result = await this.storageManager.testConnection(connection);
+      const result = await this.runConnectionTest(connection);
       
       if (card) {
         card.className = `status-dot ${connection.enabled ? 'enabled' : 'disabled'}`;
       }
 
-      if (result.success) {
-        this.showToast(`${connection.name}: Connection successful!`, 'success');
-      } else {
-        this.showToast(`${connection.name}: ${result.message}`, 'error');
-      }
+      this.showToast(`${connection.name}: ${this.getTestSummary(result)}`, result.success ? 'success' : 'error');
     } catch (error) {
       this.showToast('Test failed: ' + error.message, 'error');
     }
@@ -450,6 +1091,154 @@ class SettingsManager {
     }
   }
 
+  // Name shown for a connection type; custom types show their provider's name
+  getTypeLabel(type) {
+    if (type && type.startsWith('custom:')) {
+      const provider = this.customProviders.find(p => `custom:${p.id}` === type);
+      return provider ? `${provider.name} (custom)` : 'Missing custom provider';
+    }
+    return type;
+  }
+
+  // Load custom providers into their list and the connection type menu
+  async loadCustomProviders() {
+    try {
+      this.customProviders = await this.storageManager.getCustomProviders();
+    } catch (error) {
+      this.showToast('Failed to load custom providers', 'error');
+      return;
+    }
+
+    const container = document.getElementById('custom-providers-container');
+    container.innerHTML = this.customProviders.length === 0
+      ? ''
+      : `<div class="connection-list">${this.customProviders.map(provider => `
+          <div class="connection-card" data-id="${provider.id}">
+            <div class="connection-header">
+              <h3 class="connection-name">${this.escapeHtml(provider.name)}</h3>
+            </div>
+            <div class="connection-details">
+              <strong>URL:</strong> <span>${this.escapeHtml(this.truncateUrl(provider.spec?.url || ''))}</span>
+              <strong>Streaming:</strong> <span>${provider.spec?.stream ? (provider.spec.stream.format === 'ndjson' ? 'NDJSON' : 'SSE') : 'No'}</span>
+            </div>
+            <div class="connection-actions">
+              <button class="btn edit-provider-btn" data-provider-id="${provider.id}">Edit</button>
+              <button class="btn danger delete-provider-btn" data-provider-id="${provider.id}">Delete</button>
+            </div>
+          </div>
+        `).join('')}</div>`;
+
+    container.querySelectorAll('.edit-provider-btn').forEach(button => {
+      button.addEventListener('click', () => this.openProviderModal(this.customProviders.find(p => p.id === button.dataset.providerId)));
+    });
+    container.querySelectorAll('.delete-provider-btn').forEach(button => {
+      button.addEventListener('click', () => this.deleteCustomProvider(button.dataset.providerId));
+    });
+
+    // Connection type menu: keep the current choice if its provider still exists
+    const typeSelect = document.getElementById('connection-type');
+    const selectedType = typeSelect.value;
+    document.getElementById('custom-provider-options').innerHTML = this.customProviders
+      .map(provider => `<option value="custom:${provider.id}">${this.escapeHtml(provider.name)}</option>`)
+      .join('');
+    typeSelect.value = selectedType;
+    if (!typeSelect.value) {
+      typeSelect.value = 'openai-compatible';
+    }
+  }
+
+  openProviderModal(provider = null) {
+    this.currentProviderId = provider ? provider.id : null;
+    document.getElementById('provider-modal-title').textContent = provider ? 'Edit Custom Provider' : 'Add Custom Provider';
+    document.getElementById('provider-name').value = provider ? provider.name : '';
+    document.getElementById('provider-spec').value = JSON.stringify(provider ? provider.spec : this.getExampleProviderSpec(), null, 2);
+    document.getElementById('provider-modal').classList.add('active');
+  }
+
+  closeProviderModal() {
+    document.getElementById('provider-modal').classList.remove('active');
+    this.currentProviderId = null;
+  }
+
+  // Validate the spec the same way the background builds providers from it, then save
+  async handleProviderSubmit(e) {
+    e.preventDefault();
+
+    let spec;
+    try {
+      spec = JSON.parse(document.getElementById('provider-spec').value);
+      CustomProvider.validateSpec(spec);
+    } catch (error) {
+      this.showToast(error instanceof SyntaxError ? 'Invalid JSON in provider spec' : error.message, 'error');
+      return;
+    }
+
+    try {
+      await this.storageManager.saveCustomProvider({
+        id: this.currentProviderId,
+        name: document.getElementById('provider-name').value.trim(),
+        spec
+      });
+      this.showToast(this.currentProviderId ? 'Custom provider updated' : 'Custom provider added', 'success');
+      this.closeProviderModal();
+      await this.loadCustomProviders();
+      await this.loadConnections();
+    } catch (error) {
+      this.showToast('Failed to save custom provider', 'error');
+    }
+  }
+
+  async deleteCustomProvider(providerId) {
+    if (!confirm('Are you sure you want to delete this custom provider?')) {
+      return;
+    }
+
+    try {
+      await this.storageManager.deleteCustomProvider(providerId);
+      this.showToast('Custom provider deleted', 'success');
+      await this.loadCustomProviders();
+    } catch (error) {
+      this.showToast(error.message, 'error');
+    }
+  }
+
+  // OpenAI-style gateway (LiteLLM, most proxies) as a starting point
+  getExampleProviderSpec() {
+    return {
+      url: '{endpoint}/chat/completions',
+      headers: { Authorization: 'Bearer {apiKey}' },
+      body: {
+        model: '{model}',
+        messages: '{messages}',
+        max_tokens: '{maxTokens}',
+        temperature: '{temperature}',
+        stream: '{stream}'
+      },
+      response: {
+        content: '$.choices[0].message.content',
+        reasoning: '$.choices[0].message.reasoning_content',
+        finishReason: '$.choices[0].finish_reason',
+        error: '$.error.message',
+        usage: {
+          promptTokens: '$.usage.prompt_tokens',
+          completionTokens: '$.usage.completion_tokens'
+        }
+      },
+      stream: {
+        format: 'sse',
+        delta: '$.choices[0].delta.content',
+        reasoning: '$.choices[0].delta.reasoning_content',
+        finishReason: '$.choices[0].finish_reason',
+        done: '[DONE]'
+      },
+      models: {
+        url: '{endpoint}/models',
+        list: '$.data',
+        id: '$.id'
+      }
+    };
+  }
+
   // Export settings
   async exportSettings() {
     try {
@@ -469,99 +1258,57 @@ class SettingsManager {
     }
   }
 
-  // Fetch available models from the endpoint
+  // Fetch available models through the connection's provider. The background
+  // lists them (and caches them for the popup); this always asks for a fresh list.
   async fetchModels() {
     const fetchBtn = document.getElementById('fetch-models-btn');
     const originalText = fetchBtn.textContent;
     
     try {
-      // Get current endpoint and API key for fetching models
-      const endpoint = document.getElementById('connection-endpoint').value.trim();
-      const apiKey = document.getElementById('connection-api-key').value.trim();
-      
-      if (!endpoint) {
-        this.showToast('Please enter an endpoint URL first', 'error');
-        return;
-      }
+      const connection = {
+        ...this.getFormConnection(),
+        id: this.currentEditingId || undefined,
+        type: document.getElementById('connection-type').value,
+        apiKey: document.getElementById('connection-api-key').value.trim() || null,
+        bedrock: this.getBedrockFormData(),
+        timeout: parseInt(document.getElementById('connection-timeout').value) || 30000
+      };
 
       fetchBtn.textContent = '🔄 Fetching...';
       fetchBtn.disabled = true;
 
-      // Build the models endpoint URL
-      const modelsUrl = endpoint.replace(/\/+$/, '') + '/models';
-      
-      // Prepare headers
-      const headers = {
-        'Content-Type': 'application/json'
-      };
-      
-      if (apiKey) {
-        headers['Authorization'] = `Bearer ${apiKey}`;
-      }
-
-      console.log('Fetching models from:', modelsUrl);
-      
-      const response = await fetch(modelsUrl, {
-        method: 'GET',
-        headers: headers,
-        signal: AbortSignal.timeout(10000) // 10 second timeout
-      });
-
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-
-      const data = await response.json();
-      console.log('Models response:', data);
-
-      // Parse models based on OpenAI API format
-      let models = [];
-      if (data.data && Array.isArray(data.data)) {
-        // OpenAI format: { data: [{id: "model-name", ...}, ...] }
-        models = data.data.map(model => ({
-          id: model.id,
-          name: model.id,
-          owned_by: model.owned_by || 'unknown'
-        }));
-      } else if (data.models && Array.isArray(data.models)) {
-        // Alternative format: { models: [...] }
-        models = data.models.map(model => ({
-          id: typeof model === 'string' ? model : model.id || model.name,
-          name: typeof model === 'string' ? model : model.name || model.id,
-          owned_by: typeof model === 'string' ? 'unknown' : (model.owned_by || 'unknown')
-        }));
-      } else if (Array.isArray(data)) {
-        // Simple array format: ["model1", "model2", ...]
-        models = data.map(model => ({
-          id: typeof model === 'string' ? model : model.id || model.name,
-          name: typeof model === 'string' ? model : model.name || model.id,
-          owned_by: typeof model === 'string' ? 'unknown' : (model.owned_by || 'unknown')
-        }));
-      } else {
-        throw new Error('Unexpected response format');
+      const response = await chrome.runtime.sendMessage({ action: 'listModels', connectionData: connection, refresh: true });
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Could not list models');
       }
 
+      const models = response.models;
       if (models.length === 0) {
         throw new Error('No models found in response');
       }
+      this.fetchedModels = new Map(models.map(model => [model.id, model]));
 
       // Populate the select dropdown
       const modelSelect = document.getElementById('connection-model-select');
+      const currentModel = modelSelect.value || document.getElementById('connection-model-input').value.trim();
       modelSelect.innerHTML = '<option value="">Select a model...</option>';
       
       // Sort models alphabetically
-      models.sort((a, b) => a.name.localeCompare(b.name));
-      
-      models.forEach(model => {
+      [...models].sort((a, b) => a.name.localeCompare(b.name)).forEach(model => {
         const option = document.createElement('option');
         option.value = model.id;
-        option.textContent = model.name;
-        if (model.owned_by && model.owned_by !== 'unknown') {
-          option.textContent += ` (${model.owned_by})`;
+        option.textContent = model.name === model.id ? model.id : `${model.name} (${model.id})`;
+        if (model.contextWindow) {
+          option.textContent += ` · ${Math.round(model.contextWindow / 1000)}k context`;
         }
         modelSelect.appendChild(option);
       });
 
+      if (this.fetchedModels.has(currentModel)) {
+        modelSelect.value = currentModel;
+        document.getElementById('connection-model-input').value = '';
+      }
+
       this.showToast(`Found ${models.length} models`, 'success');
       
     } catch (error) {
@@ -581,6 +1328,27 @@ class SettingsManager {
     if (modelSelect.value) {
       // Clear input when selecting from dropdown
       modelInput.value = '';
+      this.applyModelMetadata(this.fetchedModels?.get(modelSelect.value));
+    }
+  }
+
+  // Fill the context window and feature flags from what the provider reports about
+  // the model. Unknown values leave the form as it is.
+  applyModelMetadata(model) {
+    if (!model) return;
+
+    if (model.contextWindow) {
+      document.getElementById('context-window').value = model.contextWindow;
+    }
+    const flags = {
+      'feature-vision': model.vision,
+      'feature-tool-calling': model.tools,
+      'feature-reasoning': model.reasoning
+    };
+    for (const [id, value] of Object.entries(flags)) {
+      if (value !== null && value !== undefined) {
+        document.getElementById(id).checked = value;
+      }
     }
   }
 
@@ -610,6 +1378,7 @@ class SettingsManager {
       await this.storageManager.importSettings(text);
       this.showToast('Settings imported successfully', 'success');
       await this.loadSettings();
+      await this.loadCustomProviders();
       await this.loadConnections();
     } catch (error) {
       this.showToast('Import failed: ' + error.message, 'error');
@@ -809,6 +1578,75 @@ class SettingsManager {
     }
   }
 
+  // Show daily and monthly usage per connection and model
+  async loadUsage() {
+    try {
+      const settings = await this.storageManager.getSettings();
+      const summary = await this.usageTracker.getSummary();
+      const budget = parseFloat(settings.globalSettings?.monthlyBudget) || 0;
+      const { today, month } = summary.totals;
+
+      const totals = document.getElementById('usage-totals');
+      totals.innerHTML = `
+        <div><strong>${this.formatCost(today.cost)}</strong>Today · ${this.formatTokenCount(today)} tokens</div>
+        <div class="${budget && month.cost >= budget ? 'over-budget' : ''}">
+          <strong>${this.formatCost(month.cost)}${budget ? ` / ${this.formatCost(budget)}` : ''}</strong>This month · ${this.formatTokenCount(month)} tokens
+        </div>
+      `;
+
+      const tbody = document.getElementById('usage-table-body');
+      if (summary.rows.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="4" class="llamb-text-secondary">No usage recorded this month</td></tr>';
+        return;
+      }
+
+      tbody.innerHTML = summary.rows.map(row => `
+        <tr>
+          <td>${this.escapeHtml(row.connectionName || row.connectionId)}</td>
+          <td>${this.escapeHtml(row.model || '—')}</td>
+          <td>${this.formatUsageCell(row.today)}</td>
+          <td>${this.formatUsageCell(row.month)}</td>
+        </tr>
+      `).join('');
+    } catch (error) {
+      console.error('Failed to load usage:', error);
+    }
+  }
+
+  formatUsageCell(totals) {
+    if (totals.requests === 0) {
+      return '<span class="usage-cost">—</span>';
+    }
+    return `${totals.requests} req · ${this.formatTokenCount(totals)} tok <span class="usage-cost">${this.formatCost(totals.cost)}</span>`;
+  }
+
+  // Prompt + completion tokens, prefixed with ~ when some requests were estimated
+  formatTokenCount(totals) {
+    const tokens = totals.promptTokens + totals.completionTokens;
+    const text = tokens >= 1000000
+      ? (tokens / 1000000).toFixed(1) + 'M'
+      : tokens >= 1000 ? (tokens / 1000).toFixed(1) + 'k' : String(tokens);
+    return totals.estimatedRequests > 0 ? `~${text}` : text;
+  }
+
+  formatCost(cost) {
+    return cost > 0 && cost < 0.01 ? `$${cost.toFixed(4)}` : `$${cost.toFixed(2)}`;
+  }
+
+  async resetUsage() {
+    if (!confirm('Reset all recorded usage? This cannot be undone.')) {
+      return;
+    }
+
+    try {
+      await this.usageTracker.clear();
+      this.loadUsage();
+      this.showToast('Usage reset', 'success');
+    } catch (error) {
+      this.showToast('Failed to reset usage', 'error');
+    }
+  }
+
   // Show toast notification
   showToast(message, type = 'info') {
     const toast = document.createElement('div');